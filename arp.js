@@ -0,0 +1,72 @@
+/**
+ * arp.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: ARP Table Lookup
+ * Responsibility:
+ *   • Read this machine's ARP cache and find the IP a MAC address
+ *     currently answers on
+ *
+ * A terminal this PC talked to recently — or that SADP / another
+ * device on the LAN made the OS resolve — is in the ARP cache with
+ * its new IP right after a DHCP change, so a pinned MAC often finds
+ * it without probing a single host.
+ *
+ *   Linux          /proc/net/arp
+ *   Windows, macOS `arp -a`
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import * as fs            from "fs";
+import { execFile }       from "child_process";
+import { normaliseMac }   from "./sadp.js";
+import { createLogger }   from "./logger.js";
+
+const log = createLogger("arp");
+
+/** `arp -a` should answer instantly; never hold up discovery for long. */
+const ARP_TIMEOUT_MS = 5_000;
+
+/**
+ * Every IP → MAC pair in the ARP cache. Never throws — an unreadable
+ * table is simply empty.
+ *
+ * @returns {Promise<{ ip: string, mac: string }[]>}
+ */
+export async function readArpTable() {
+  try {
+    const text = fs.existsSync("/proc/net/arp")
+      ? fs.readFileSync("/proc/net/arp", "utf8")
+      : await new Promise((resolve, reject) =>
+          execFile("arp", ["-a"], { timeout: ARP_TIMEOUT_MS, windowsHide: true }, (err, stdout) =>
+            err ? reject(err) : resolve(stdout)
+          )
+        );
+
+    const entries = [];
+    for (const line of text.split(/\r?\n/)) {
+      const ip  = line.match(/\b(\d{1,3}(?:\.\d{1,3}){3})\b/)?.[1];
+      const mac = line.match(/\b([0-9a-f]{1,2}(?:[:-][0-9a-f]{1,2}){5})\b/i)?.[1];
+      if (!ip || !mac) continue;
+
+      // macOS drops leading zeros ("0:1a:2b:…")
+      const full = mac.split(/[:-]/).map((b) => b.padStart(2, "0")).join(":");
+      if (full === "00:00:00:00:00:00" || full === "ff:ff:ff:ff:ff:ff") continue;   // incomplete / broadcast
+      entries.push({ ip, mac: normaliseMac(full) });
+    }
+    return entries;
+  } catch (err) {
+    log.debug(`  ARP table unavailable: ${err.message}`);
+    return [];
+  }
+}
+
+/**
+ * IPs the ARP cache currently maps to `mac`.
+ *
+ * @param {string} mac – any common notation
+ * @returns {Promise<string[]>}
+ */
+export async function ipsForMac(mac) {
+  const target = normaliseMac(mac);
+  return (await readArpTable()).filter((e) => e.mac === target).map((e) => e.ip);
+}
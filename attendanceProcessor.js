@@ -7,14 +7,26 @@
  *   • Collapse multiple events per student into one record:
  *       – First event of the day           → time_in
  *       – Any event at/after TIMEOUT_HOUR  → time_out
+ *     or, with ATTENDANCE_CLASSIFICATION=direction, classify each
+ *     scan as in / out from the door, terminal or device direction
  *   • Format times as HH:MM:SS (24-hr)
- *   • POST the processed array to the Cloud School System API
- *   • Retry on transient failures
+ *   • POST the processed array to the Cloud School System API in
+ *     batches of CLOUD_BATCH_SIZE, reporting per batch which adm_nos
+ *     were accepted, failed or rejected
+ *   • Retry each batch on transient failures
+ *   • Park undeliverable batches in the offline queue and replay
+ *     them on the next successful cloud contact
  * ─────────────────────────────────────────────────────────────
  */
 
 import axios from "axios";
-import config from "./config.js";
+import config from "./configLoader.js";
+import { enqueue, listQueued, removeQueuedRecords, markReplayFailed } from "./offlineQueue.js";
+import { recordSent, recordRejected } from "./sentLog.js";
+import { createLogger } from "./logger.js";
+import { isAttendanceEvent, isFailedAuth } from "./eventCodes.js";
+
+const log = createLogger("attendanceProcessor");
 
 /* ================================================================== */
 /*  Constants                                                           */
@@ -25,13 +37,31 @@ import config from "./config.js";
  * as a TIME-OUT instead of a time-in.
  * 14 = 2:00 PM.  Change via TIMEOUT_HOUR in .env if needed.
  */
-const TIMEOUT_HOUR = parseInt(process.env.TIMEOUT_HOUR ?? "14", 10);
+const TIMEOUT_HOUR = config.sync.timeoutHour;
 
 /**
  * Minute within that hour.  30 = :30, so the boundary is 14:30.
  * Change via TIMEOUT_MINUTE in .env if needed.
  */
-const TIMEOUT_MINUTE = parseInt(process.env.TIMEOUT_MINUTE ?? "30", 10);
+const TIMEOUT_MINUTE = config.sync.timeoutMinute;
+
+/** Device direction / attendance-status values that mean "in" or "out". */
+const DEVICE_IN_VALUES  = ["entrance", "in",  "checkin",  "breakin",  "overtimein"];
+const DEVICE_OUT_VALUES = ["exit",     "out", "checkout", "breakout", "overtimeout"];
+
+/**
+ * HTTP statuses that mean the payload itself is wrong — resending the
+ * same records cannot succeed, so their batch is "rejected". Any other
+ * 4xx (401/403 bad API key, 404 wrong endpoint, 408, 429 …) is about
+ * the setup or the cloud's load, and the records are kept.
+ */
+const REJECTED_STATUSES = new Set([400, 422]);
+
+/** Client errors worth retrying within a run, like a 5xx. */
+const RETRYABLE_CLIENT_STATUSES = new Set([408, 429]);
+
+/** The cloud refused the API key — every later batch would be refused too. */
+const AUTH_STATUSES = new Set([401, 403]);
 
 /* ================================================================== */
 /*  Time helpers                                                        */
@@ -46,8 +76,10 @@ const TIMEOUT_MINUTE = parseInt(process.env.TIMEOUT_MINUTE ?? "30", 10);
  *   "2024-11-20T14:35:07+03:00"
  *   "2024-11-20T14:35:07Z"
  *
- * We strip the timezone and use the device's local time directly
- * (the device clock should be set to your local timezone).
+ * Events pulled by syncRunner carry `localTime`, already converted to
+ * SYNC_TIMEZONE (see clock.js), so the wall-clock part is school time
+ * and the offset can be dropped. Older stored events without it fall
+ * back to the device's own local time.
  *
  * @param {string} isoString
  * @returns {{ h: number, m: number, s: number, raw: string } | null}
@@ -83,6 +115,48 @@ function isTimeOut(t) {
   return false;
 }
 
+/**
+ * Map a device-reported direction / attendance status onto "in" | "out".
+ *
+ * inOutStatus:       "entrance" | "exit"
+ * attendanceStatus:  "checkIn" | "checkOut" | "breakIn" | "breakOut" |
+ *                    "overtimeIn" | "overtimeOut" | "undefined"
+ *
+ * @param {string|null} value
+ * @returns {"in"|"out"|null}
+ */
+function directionFromDevice(value) {
+  const v = String(value ?? "").toLowerCase();
+  if (DEVICE_IN_VALUES.includes(v))  return "in";
+  if (DEVICE_OUT_VALUES.includes(v)) return "out";
+  return null;
+}
+
+/**
+ * Decide whether a scan is an "in" or an "out" (direction mode).
+ *
+ * Precedence — the most specific configured information wins:
+ *   1. Door role        (TERMINAL_*_DOOR_ROLES)
+ *   2. Terminal role    (TERMINAL_*_ROLE, unless "both")
+ *   3. Device direction (inOutStatus, then attendanceStatus)
+ *   4. Time cutoff      (TIMEOUT_HOUR:TIMEOUT_MINUTE) — only when
+ *                        nothing above says which way the student went
+ *
+ * @param {import('./hikvisionClient.js').AttendanceRecord} event
+ * @param {{ h: number, m: number }} time
+ * @returns {"in"|"out"}
+ */
+function classifyDirection(event, time) {
+  const role = event.doorRole ?? (event.terminalRole !== "both" ? event.terminalRole : null);
+  if (role === "entrance") return "in";
+  if (role === "exit")     return "out";
+
+  const device = directionFromDevice(event.direction) ?? directionFromDevice(event.attendanceStatus);
+  if (device) return device;
+
+  return isTimeOut(time) ? "out" : "in";
+}
+
 /**
  * Compare two "HH:MM:SS" strings chronologically.
  * Returns negative if a < b, 0 if equal, positive if a > b.
@@ -99,30 +173,51 @@ function compareTimeStrings(a, b) {
 /*  Core: process raw attendance records                                */
 /* ================================================================== */
 
+/**
+ * True when a record carries a usable student ID (not empty / "0").
+ *
+ * @param {import('./hikvisionClient.js').AttendanceRecord} record
+ * @returns {boolean}
+ */
+export function hasStudentId(record) {
+  const id = (record.employeeNo ?? "").trim();
+  return id !== "" && id !== "0";
+}
+
 /**
  * Transform an array of raw AttendanceRecords from the terminal into
  * a clean array of ProcessedAttendance objects ready for the cloud API.
  *
- * Rules applied:
+ * Rules applied (ATTENDANCE_CLASSIFICATION=time, the default):
+ *  0. Skip events not on the ATTENDANCE_EVENT_TYPES allow-list (door
+ *     alarms, failed authentications, … — see eventCodes.js).
  *  1. Skip any record whose employeeNo is empty / null / "0".
  *  2. Per student, find the chronologically FIRST event → time_in.
  *  3. Per student, find the chronologically LAST event at or after
  *     TIMEOUT_HOUR:TIMEOUT_MINUTE → time_out (if such an event exists).
  *  4. A student who only has pre-timeout events gets time_in only.
  *
+ * With ATTENDANCE_CLASSIFICATION=direction, steps 2–4 become:
+ *  2. Classify every scan as in / out (see classifyDirection()).
+ *  3. time_in  = first "in" scan (or the first scan of any kind if
+ *     the student never scanned in — they were evidently present).
+ *  4. time_out = last "out" scan, but only if no "in" scan follows
+ *     it — a student who left at 11:00 and came back is still in.
+ *
  * @param {import('./hikvisionClient.js').AttendanceRecord[]} records
  * @returns {ProcessedAttendance[]}
  */
 export function processAttendance(records) {
+  // ── 0. Filter: only allow-listed event types are attendance ─────
+  const attendance = records.filter(isAttendanceEvent);
+
   // ── 1. Filter: must have a valid student ID ─────────────────────
-  const valid = records.filter((r) => {
-    const id = (r.employeeNo ?? "").trim();
-    return id !== "" && id !== "0";
-  });
+  const valid = attendance.filter(hasStudentId);
 
-  console.log(
+  log.info(
     `  Processing: ${records.length} raw event(s), ` +
-    `${records.length - valid.length} skipped (no ID), ` +
+    `${records.length - attendance.length} ignored (event type), ` +
+    `${attendance.length - valid.length} skipped (no ID), ` +
     `${valid.length} retained.`
   );
 
@@ -143,20 +238,15 @@ export function processAttendance(records) {
   for (const [adm_no, events] of byStudent) {
     // Sort all events chronologically
     const sorted = events
-      .map((e) => ({ event: e, time: parseDeviceTime(e.eventTime) }))
+      .map((e) => ({ event: e, time: parseDeviceTime(e.localTime ?? e.eventTime) }))
       .filter((x) => x.time !== null)
       .sort((a, b) => compareTimeStrings(a.time.raw, b.time.raw));
 
     if (sorted.length === 0) continue;
 
-    // Earliest event → time_in
-    const timeIn = sorted[0].time.raw;
-
-    // Filter to scans at or after the threshold, take the LAST one → time_out
-    const postThreshold = sorted.filter((x) => isTimeOut(x.time));
-    const timeOut = postThreshold.length > 0
-      ? postThreshold[postThreshold.length - 1].time.raw
-      : null;
+    const { timeIn, timeOut } = config.sync.classification === "direction"
+      ? collapseByDirection(sorted)
+      : collapseByTime(sorted);
 
     /** @type {ProcessedAttendance} */
     const entry = {
@@ -165,49 +255,170 @@ export function processAttendance(records) {
       ...(timeOut !== null && { time_out: timeOut }),
     };
 
+    if (config.sync.payloadMode === "sessions") {
+      entry.sessions         = buildSessions(sorted);
+      entry.time_on_premises = formatDuration(totalSeconds(entry.sessions));
+    }
+
     processed.push(entry);
   }
 
   return processed;
 }
 
+/**
+ * Failed authentication attempts (face not matched, expired card, …)
+ * grouped by person, most attempts first. Attempts by people the
+ * terminal could not identify are grouped under an empty employeeNo.
+ *
+ * @param {import('./hikvisionClient.js').AttendanceRecord[]} records
+ * @returns {FailedAuthSummary[]}
+ */
+export function failedAuthReport(records) {
+  /** @type {Map<string, FailedAuthSummary>} */
+  const byPerson = new Map();
+
+  for (const r of records.filter(isFailedAuth)) {
+    const id    = hasStudentId(r) ? r.employeeNo.trim() : "";
+    const time  = parseDeviceTime(r.localTime ?? r.eventTime)?.raw ?? null;
+    const entry = byPerson.get(id) ?? { employeeNo: id, name: r.name ?? null, attempts: 0, lastAt: null, reasons: {} };
+
+    entry.attempts += 1;
+    entry.reasons[r.eventTypeName] = (entry.reasons[r.eventTypeName] ?? 0) + 1;
+    if (time && (!entry.lastAt || time > entry.lastAt)) entry.lastAt = time;
+    byPerson.set(id, entry);
+  }
+
+  return [...byPerson.values()].sort((a, b) => b.attempts - a.attempts);
+}
+
+/**
+ * Time-cutoff classification: earliest scan → time_in, last scan at or
+ * after the cutoff → time_out.
+ *
+ * @param {{ event: object, time: { raw: string, h: number, m: number } }[]} sorted
+ * @returns {{ timeIn: string, timeOut: string|null }}
+ */
+function collapseByTime(sorted) {
+  // Earliest event → time_in
+  const timeIn = sorted[0].time.raw;
+
+  // Filter to scans at or after the threshold, take the LAST one → time_out
+  const postThreshold = sorted.filter((x) => isTimeOut(x.time));
+  const timeOut = postThreshold.length > 0
+    ? postThreshold[postThreshold.length - 1].time.raw
+    : null;
+
+  return { timeIn, timeOut };
+}
+
+/**
+ * Direction-aware classification: first "in" → time_in, last "out"
+ * (not followed by another "in") → time_out.
+ *
+ * @param {{ event: object, time: { raw: string, h: number, m: number } }[]} sorted
+ * @returns {{ timeIn: string, timeOut: string|null }}
+ */
+function collapseByDirection(sorted) {
+  const kinds = sorted.map((x) => classifyDirection(x.event, x.time));
+
+  const firstIn = kinds.indexOf("in");
+  const lastIn  = kinds.lastIndexOf("in");
+  const lastOut = kinds.lastIndexOf("out");
+
+  return {
+    timeIn : sorted[firstIn !== -1 ? firstIn : 0].time.raw,
+    timeOut: lastOut !== -1 && lastOut > lastIn ? sorted[lastOut].time.raw : null,
+  };
+}
+
 /* ================================================================== */
-/*  Cloud sync                                                          */
+/*  Sessions (ATTENDANCE_PAYLOAD_MODE=sessions)                         */
 /* ================================================================== */
 
+/** "HH:MM:SS" → seconds since midnight. */
+function toSeconds(hms) {
+  const [h, m, s] = hms.split(":").map(Number);
+  return h * 3600 + m * 60 + s;
+}
+
+/** Seconds → "HH:MM:SS". */
+function formatDuration(seconds) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+}
+
 /**
- * POST the processed attendance array to the Cloud School System API.
+ * Pair a student's scans into ordered in/out sessions.
  *
- * Endpoint (from config):  CLOUD_API_BASE_URL + CLOUD_ATTENDANCE_ENDPOINT
- * Payload shape:
- * {
- *   "date"      : "2024-11-20",
- *   "attendance": [
- *     { "adm_no": "HYP001", "time_in": "07:45:00" },
- *     { "adm_no": "HYP002", "time_in": "08:10:22", "time_out": "14:35:07" }
- *   ]
- * }
+ *  1. Scans closer than SESSION_MIN_GAP_MINUTES to the previous kept
+ *     scan are duplicates (double taps at the gate) and are ignored.
+ *  2. Each remaining scan is an "in" or an "out":
+ *       direction mode → classifyDirection()
+ *       time mode      → scans simply alternate in, out, in, out …
+ *  3. Consecutive "in"s keep the first, consecutive "out"s keep the
+ *     last (same rule as the collapsed time_in / time_out).
+ *  4. An "out" with no open session (e.g. never scanned in) yields
+ *     { in: null, out }; a session still open has out: null.
  *
- * @param {ProcessedAttendance[]} attendance – output of processAttendance()
- * @param {string}                date       – "YYYY-MM-DD"
- * @returns {Promise<{ success: boolean, sent: number, response: any }>}
+ * @param {{ event: object, time: { raw: string, h: number, m: number } }[]} sorted
+ * @returns {AttendanceSession[]}
  */
-export async function syncToCloud(attendance, date) {
-  if (attendance.length === 0) {
-    console.log("  No processed records to sync — skipping cloud POST.");
-    return { success: true, sent: 0, response: null };
+function buildSessions(sorted) {
+  const minGap = config.sync.sessionMinGapMinutes * 60;
+
+  const kept = [];
+  for (const x of sorted) {
+    const prev = kept[kept.length - 1];
+    if (prev && toSeconds(x.time.raw) - toSeconds(prev.time.raw) < minGap) continue;
+    kept.push(x);
   }
 
-  const url     = `${config.cloud.baseUrl}${config.cloud.attendanceEndpoint}`;
-  const payload = {
-    school_code: config.cloud.schoolCode,
-    date,
-    attendance,
-  };
+  const byDirection = config.sync.classification === "direction";
+  const sessions    = [];
+
+  kept.forEach((x, i) => {
+    const kind = byDirection ? classifyDirection(x.event, x.time) : (i % 2 === 0 ? "in" : "out");
+    const last = sessions[sessions.length - 1];
+
+    if (kind === "in") {
+      if (last && last.out === null) return;            // already in
+      sessions.push({ in: x.time.raw, out: null });
+    } else if (last) {
+      last.out = x.time.raw;                            // close it, or a repeated out moves it later
+    } else {
+      sessions.push({ in: null, out: x.time.raw });     // out without a prior in
+    }
+  });
 
-  console.log(`\n▶ Syncing ${attendance.length} record(s) to cloud …`);
-  console.log(`  Endpoint: POST ${url}`);
+  return sessions;
+}
 
+/**
+ * Total time on premises across complete sessions (open or
+ * unmatched sessions are not counted — their length is unknown).
+ *
+ * @param {AttendanceSession[]} sessions
+ * @returns {number} seconds
+ */
+function totalSeconds(sessions) {
+  return sessions
+    .filter((s) => s.in !== null && s.out !== null)
+    .reduce((sum, s) => sum + toSeconds(s.out) - toSeconds(s.in), 0);
+}
+
+/* ================================================================== */
+/*  Cloud sync                                                          */
+/* ================================================================== */
+
+/**
+ * POST one payload to the cloud, retrying transient failures.
+ *
+ * @param {object} payload
+ * @param {string} url
+ * @returns {Promise<{ success: boolean, rejected: boolean, status: number|null, response: any, error: Error|null }>}
+ */
+async function postWithRetry(payload, url) {
   let lastError;
 
   // ── Retry loop ──────────────────────────────────────────────────
@@ -222,32 +433,267 @@ export async function syncToCloud(attendance, date) {
         },
       });
 
-      console.log(`  ✔  Cloud sync successful (HTTP ${res.status}).`);
-      return { success: true, sent: attendance.length, response: res.data };
+      log.info(`  ✔  Cloud sync successful (HTTP ${res.status}).`, { url, status: res.status, attempt });
+      return { success: true, rejected: false, status: res.status, response: res.data, error: null };
 
     } catch (err) {
       lastError = err;
       const status = err.response?.status ?? "network error";
-      console.warn(
+      log.warn(
         `  ⚠  Attempt ${attempt}/${config.cloud.retryAttempts} failed ` +
-        `(${status}): ${err.message}`
+        `(${status}): ${err.message}`,
+        { url, status, attempt, body: err.response?.data ?? null }
       );
 
       // Don't retry on client errors (4xx) — they won't self-correct
-      if (err.response?.status >= 400 && err.response?.status < 500) {
-        console.error("  ✖  Client error — aborting retries.");
-        break;
+      // within this run. Only a bad payload is rejected for good.
+      const code = err.response?.status;
+      if (code >= 400 && code < 500 && !RETRYABLE_CLIENT_STATUSES.has(code)) {
+        const rejected = REJECTED_STATUSES.has(code);
+        log.error(
+          rejected                ? "  ✖  Cloud rejected the payload — aborting retries." :
+          AUTH_STATUSES.has(code) ? "  ✖  Cloud refused CLOUD_API_KEY — aborting retries; the records are kept." :
+                                    "  ✖  Client error — aborting retries; the records are kept."
+        );
+        return {
+          success : false,
+          rejected,
+          status  : code,
+          response: err.response?.data ?? null,
+          error   : err,
+        };
       }
 
       if (attempt < config.cloud.retryAttempts) {
-        console.log(`  Retrying in ${config.cloud.retryDelayMs}ms …`);
+        log.info(`  Retrying in ${config.cloud.retryDelayMs}ms …`);
         await sleep(config.cloud.retryDelayMs);
       }
     }
   }
 
-  console.error(`  ✖  All retry attempts failed: ${lastError?.message}`);
-  return { success: false, sent: 0, response: lastError?.response?.data ?? null };
+  log.error(`  ✖  All retry attempts failed: ${lastError?.message}`);
+  return {
+    success : false,
+    rejected: false,
+    status  : lastError?.response?.status ?? null,
+    response: lastError?.response?.data ?? null,
+    error   : lastError ?? null,
+  };
+}
+
+/**
+ * Split records into CLOUD_BATCH_SIZE chunks (a single chunk when
+ * the batch size is 0 or negative).
+ *
+ * @param {ProcessedAttendance[]} records
+ * @returns {ProcessedAttendance[][]}
+ */
+function toBatches(records) {
+  const size    = config.cloud.batchSize > 0 ? config.cloud.batchSize : records.length;
+  const batches = [];
+  for (let i = 0; i < records.length; i += size) batches.push(records.slice(i, i + size));
+  return batches;
+}
+
+/**
+ * POST a day's records in batches, each retried on its own.
+ *
+ *   2xx          → batch "sent"; its records go to the sent log
+ *   400 / 422    → batch "rejected"; resending cannot succeed — its
+ *                  records go to the sent log's rejected list
+ *   other        → batch "failed"; the caller re-queues it (5xx,
+ *                  network errors, and 401 / 403 / 408 / 429 …)
+ *
+ * A batch that fails without any HTTP response (network down,
+ * timeout) means the cloud is unreachable, and a 401 / 403 means it
+ * refuses the API key — either way the remaining batches are marked
+ * "failed" without being tried, instead of burning the full retry
+ * budget on each.
+ *
+ * @param {string}                date
+ * @param {ProcessedAttendance[]} attendance
+ * @param {string}                url
+ * @returns {Promise<BatchReport>}
+ */
+async function postInBatches(date, attendance, url) {
+  const batches = toBatches(attendance);
+  const report  = {
+    batches  : [],
+    succeeded: [],
+    failed   : [],
+    rejected : [],
+    reachable: true,
+    response : null,
+    error    : null,
+  };
+
+  for (const [i, batch] of batches.entries()) {
+    const admNos = batch.map((r) => r.adm_no);
+    const result = { index: i + 1, size: batch.length, admNos, status: "failed", httpStatus: null, error: null };
+    report.batches.push(result);
+
+    if (!report.reachable) {
+      result.error = "not attempted — cloud unreachable";
+      report.failed.push(...admNos);
+      continue;
+    }
+
+    if (batches.length > 1) log.info(`  Batch ${i + 1}/${batches.length}: ${batch.length} record(s) …`);
+
+    const res = await postWithRetry({ school_code: config.cloud.schoolCode, date, attendance: batch }, url);
+    result.httpStatus = res.status;
+    report.response   = res.response;
+
+    if (res.success) {
+      result.status = "sent";
+      report.succeeded.push(...admNos);
+      recordSent(date, batch);
+      continue;
+    }
+
+    result.error = res.error?.message ?? "unknown error";
+    if (res.rejected) {
+      result.status = "rejected";
+      report.rejected.push(...admNos);
+      recordRejected(date, batch, res.status, res.response?.error ?? res.response?.message ?? result.error);
+      log.error(
+        `  ✖  Cloud rejected batch ${i + 1}/${batches.length} for ${date} (HTTP ${res.status}): ${admNos.join(", ")}`,
+        { date, batch: i + 1, httpStatus: res.status, admNos, response: res.response }
+      );
+      continue;
+    }
+
+    report.failed.push(...admNos);
+    report.error = result.error;
+    if (res.status === null || AUTH_STATUSES.has(res.status)) report.reachable = false;
+  }
+
+  if (batches.length > 1) {
+    log.info(
+      `  Batches: ${report.batches.filter((b) => b.status === "sent").length} sent, ` +
+      `${report.batches.filter((b) => b.status === "failed").length} failed, ` +
+      `${report.batches.filter((b) => b.status === "rejected").length} rejected ` +
+      `(${report.succeeded.length} / ${report.failed.length} / ${report.rejected.length} record(s)).`,
+      { date, batches: report.batches.map(({ admNos, ...b }) => b) }
+    );
+  }
+
+  return report;
+}
+
+/**
+ * Replay every payload in the offline queue, oldest date first.
+ *
+ * Each date is posted in batches. Delivered and rejected (400 / 422)
+ * batches leave the queue — a rejected batch will never succeed.
+ * Stops at the first date with a failed batch (the cloud is still
+ * struggling, so there is no point burning retries on the rest).
+ *
+ * @returns {Promise<{ reachable: boolean, replayed: number, error: string|null }>}
+ */
+export async function replayQueue() {
+  const entries = listQueued();
+  if (entries.length === 0) return { reachable: true, replayed: 0, error: null };
+
+  const url = `${config.cloud.baseUrl}${config.cloud.attendanceEndpoint}`;
+  log.info(`\n▶ Replaying ${entries.length} queued date(s) from the offline queue …`);
+
+  let replayed = 0;
+
+  for (const entry of entries) {
+    log.info(`  Queued ${entry.date}: ${entry.attendance.length} record(s), ${entry.attempts} failed attempt(s) so far`);
+
+    const report = await postInBatches(entry.date, entry.attendance, url);
+    removeQueuedRecords(entry.date, [...report.succeeded, ...report.rejected]);
+    replayed += report.succeeded.length;
+
+    if (report.rejected.length > 0) {
+      log.error(`  ✖  Dropped ${report.rejected.length} rejected record(s) for ${entry.date} from the queue.`);
+    }
+
+    if (report.failed.length > 0) {
+      markReplayFailed(entry.date, report.error ?? "unknown error");
+      log.warn("  ⚠  Cloud still unreachable — remaining queue kept for the next run.");
+      return { reachable: false, replayed, error: report.error };
+    }
+  }
+
+  log.info(`  ✔  Offline queue drained (${replayed} record(s) delivered).`);
+  return { reachable: true, replayed, error: null };
+}
+
+/**
+ * POST the processed attendance array to the Cloud School System API.
+ *
+ * Endpoint (from config):  CLOUD_API_BASE_URL + CLOUD_ATTENDANCE_ENDPOINT
+ * Payload shape (one POST per CLOUD_BATCH_SIZE records):
+ * {
+ *   "date"      : "2024-11-20",
+ *   "attendance": [
+ *     { "adm_no": "HYP001", "time_in": "07:45:00" },
+ *     { "adm_no": "HYP002", "time_in": "08:10:22", "time_out": "14:35:07" }
+ *   ]
+ * }
+ *
+ * Offline behaviour:
+ *   • Anything waiting in the offline queue is replayed FIRST, so
+ *     older data never lands on top of newer data.
+ *   • If the cloud is unreachable the whole payload is stored in the
+ *     offline queue; otherwise only the records of FAILED batches
+ *     (network error, timeout, 5xx after all retries) are queued.
+ *   • A batch rejected with 400 / 422 is not queued — resending it
+ *     cannot succeed. Its adm_nos are listed in `batches.rejected`.
+ *
+ * @param {ProcessedAttendance[]} attendance – output of processAttendance()
+ * @param {string}                date       – "YYYY-MM-DD"
+ * @returns {Promise<CloudSyncResult>}
+ */
+export async function syncToCloud(attendance, date) {
+  // ── Replay anything left over from earlier outages ──────────────
+  const replay = await replayQueue();
+
+  if (attendance.length === 0) {
+    log.info("  No processed records to sync — skipping cloud POST.");
+    return { success: true, sent: 0, response: null, queued: false, replayed: replay.replayed, batches: null };
+  }
+
+  if (!replay.reachable) {
+    const d = enqueue(date, attendance, replay.error);
+    log.warn(
+      `  ⚠  Queued ${attendance.length} record(s) for ${date} offline ` +
+      `(queue: ${d.records} record(s) across ${d.dates} date(s)).`
+    );
+    return { success: false, sent: 0, response: null, queued: true, replayed: replay.replayed, batches: null };
+  }
+
+  const url     = `${config.cloud.baseUrl}${config.cloud.attendanceEndpoint}`;
+  const batches = toBatches(attendance).length;
+
+  log.info(`\n▶ Syncing ${attendance.length} record(s) to cloud` +
+           (batches > 1 ? ` in ${batches} batch(es) of up to ${config.cloud.batchSize} …` : " …"));
+  log.info(`  Endpoint: POST ${url}`);
+
+  const report = await postInBatches(date, attendance, url);
+
+  let queued = false;
+  if (report.failed.length > 0) {
+    const failed = new Set(report.failed);
+    const d = enqueue(date, attendance.filter((r) => failed.has(r.adm_no)), report.error);
+    queued  = true;
+    log.warn(
+      `  ⚠  Queued ${report.failed.length} record(s) for ${date} offline ` +
+      `(queue: ${d.records} record(s) across ${d.dates} date(s)).`
+    );
+  }
+
+  return {
+    success : report.failed.length === 0 && report.rejected.length === 0,
+    sent    : report.succeeded.length,
+    response: report.response,
+    queued,
+    replayed: replay.replayed,
+    batches : report,
+  };
 }
 
 /* ================================================================== */
@@ -264,5 +710,55 @@ const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
  * @typedef {object} ProcessedAttendance
  * @property {string}           adm_no    – student admission number
  * @property {string}           time_in   – "HH:MM:SS" first event of the day
- * @property {string|undefined} time_out  – "HH:MM:SS" latest event ≥ 14:30 (if any)
+ * @property {string|undefined} time_out  – "HH:MM:SS" latest event ≥ 14:30, or latest
+ *                                          "out" scan in direction mode (if any)
+ * @property {AttendanceSession[]|undefined} sessions – ordered in/out pairs (sessions mode only)
+ * @property {string|undefined} time_on_premises – "HH:MM:SS" sum of complete sessions (sessions mode only)
+ */
+
+/**
+ * @typedef {object} FailedAuthSummary
+ * @property {string}      employeeNo – "" when the terminal could not identify the person
+ * @property {string|null} name       – name stored on the terminal
+ * @property {number}      attempts   – failed attempts that day
+ * @property {string|null} lastAt     – "HH:MM:SS" of the latest attempt
+ * @property {Record<string, number>} reasons – attempts per event name
+ */
+
+/**
+ * @typedef {object} CloudSyncResult
+ * @property {boolean} success   – every record was accepted
+ * @property {number}  sent      – records accepted by the cloud
+ * @property {any}     response  – body of the last cloud response
+ * @property {boolean} queued    – some or all records went to the offline queue
+ * @property {number}  replayed  – queued records delivered before this POST
+ * @property {BatchReport|null} batches – per-batch outcome (null if nothing was posted)
+ */
+
+/**
+ * @typedef {object} BatchReport
+ * @property {BatchResult[]} batches
+ * @property {string[]} succeeded  – adm_nos accepted
+ * @property {string[]} failed     – adm_nos in failed batches (re-queued)
+ * @property {string[]} rejected   – adm_nos in batches rejected with 400 / 422
+ * @property {boolean}  reachable  – false if a batch got no HTTP response at all,
+ *                                   or the cloud refused the API key
+ * @property {any}      response   – body of the last cloud response
+ * @property {string|null} error   – last transient failure message
+ */
+
+/**
+ * @typedef {object} BatchResult
+ * @property {number}      index       – 1-based batch number
+ * @property {number}      size        – records in the batch
+ * @property {string[]}    admNos
+ * @property {"sent"|"failed"|"rejected"} status
+ * @property {number|null} httpStatus  – last HTTP status (null on network error)
+ * @property {string|null} error
+ */
+
+/**
+ * @typedef {object} AttendanceSession
+ * @property {string|null} in   – "HH:MM:SS" (null if the student never scanned in)
+ * @property {string|null} out  – "HH:MM:SS" (null while still on premises)
  */
\ No newline at end of file
@@ -0,0 +1,152 @@
+/**
+ * backfill.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Backfill of Past Days
+ * Responsibility:
+ *   • Sync a single past date or an inclusive range of dates, e.g.
+ *     after the PC was switched off for a few days
+ *   • Skip days the sent log already confirms as fully synced
+ *     (unless forced, which also resends every record of the day)
+ *   • Run each day through the normal pipeline (syncRunner.runSync),
+ *     so terminal paging, batching, the offline queue and the sent
+ *     log behave exactly as for a live run
+ *
+ * Days are processed oldest first, one at a time — the terminal is
+ * only ever asked for one full day of events per run. A failed day
+ * does not stop the rest of the range.
+ *
+ * Used by index.js:
+ *   node index.js --date 2026-10-14
+ *   node index.js --from 2026-10-12 --to 2026-10-14 [--force]
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import { runSync, getTodayRange } from "./syncRunner.js";
+import { isComplete }             from "./sentLog.js";
+import { createLogger }           from "./logger.js";
+
+const log = createLogger("backfill");
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/* ================================================================== */
+/*  Helpers                                                             */
+/* ================================================================== */
+
+/**
+ * Throw unless `value` is a real "YYYY-MM-DD" date.
+ *
+ * @param {string} name  – option name for the error message
+ * @param {any}    value
+ */
+function assertDate(name, value) {
+  if (value === undefined) throw new Error(`${name} is required.`);
+
+  const parsed = new Date(`${value}T00:00:00Z`);
+  if (!DATE_RE.test(value) || isNaN(parsed) || parsed.toISOString().slice(0, 10) !== value) {
+    throw new Error(`${name} must be a date in YYYY-MM-DD format, got: "${value}"`);
+  }
+}
+
+/**
+ * Every date from `from` to `to`, inclusive.
+ *
+ * @param {string} from – "YYYY-MM-DD"
+ * @param {string} to   – "YYYY-MM-DD"
+ * @returns {string[]}
+ */
+function eachDate(from, to) {
+  const dates = [];
+  const day   = new Date(`${from}T00:00:00Z`);
+  const end   = new Date(`${to}T00:00:00Z`);
+
+  while (day <= end) {
+    dates.push(day.toISOString().slice(0, 10));
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+  return dates;
+}
+
+/* ================================================================== */
+/*  Main export                                                         */
+/* ================================================================== */
+
+/**
+ * Sync every day from `from` to `to` (inclusive).
+ *
+ * @param {object}  opts
+ * @param {string}  opts.from              – "YYYY-MM-DD"
+ * @param {string}  [opts.to=opts.from]    – "YYYY-MM-DD", clamped to today
+ * @param {boolean} [opts.force=false]     – re-sync confirmed days too, resending
+ *                                           every record instead of only the
+ *                                           ones the cloud has not accepted yet
+ * @param {(result: import('./syncRunner.js').RunResult) => void} [opts.onDay]
+ *                                         – called after each synced day
+ * @returns {Promise<BackfillDay[]>}
+ */
+export async function runBackfill(opts) {
+  const { from, to = opts.from, force = false, onDay } = opts;
+
+  assertDate("--from / --date", from);
+  assertDate("--to", to);
+  if (to < from) throw new Error(`--to (${to}) is before --from (${from}).`);
+
+  const today = getTodayRange().dateStr;
+  if (from > today) throw new Error(`${from} is in the future — nothing to backfill.`);
+
+  let last = to;
+  if (last > today) {
+    log.warn(`  ⚠  --to ${to} is in the future — stopping at today (${today}).`);
+    last = today;
+  }
+
+  const dates = eachDate(from, last);
+  log.info(`▶ Backfilling ${dates.length} day(s): ${from} → ${last}${force ? "  (--force)" : ""}\n`);
+
+  /** @type {BackfillDay[]} */
+  const days = [];
+
+  for (const date of dates) {
+    if (!force && date < today && isComplete(date)) {
+      log.info(`  ${date}  already confirmed as synced — skipping.`);
+      days.push({ date, status: "skipped", sent: 0, queued: false, rejected: [], error: null });
+      continue;
+    }
+
+    log.info(`\n── ${date} ─────────────────────────────────────────`);
+    try {
+      const result = await runSync({ date, trigger: "backfill", resend: force });
+      days.push({
+        date,
+        status  : result.success ? "synced" : result.queued ? "queued" : "rejected",
+        sent    : result.sent,
+        queued  : result.queued,
+        rejected: result.batches?.rejected ?? [],
+        error   : null,
+      });
+      onDay?.(result);
+    } catch (err) {
+      // Another run holds the lock — the remaining days would all fail the same way
+      if (err.code === "RUN_IN_PROGRESS") throw err;
+
+      log.error(`  ✖  ${date} failed: ${err.message}`, { date, runId: err.runId });
+      days.push({ date, status: "failed", sent: 0, queued: false, rejected: [], error: err.message });
+    }
+  }
+
+  return days;
+}
+
+/* ================================================================== */
+/*  Types                                                               */
+/* ================================================================== */
+
+/**
+ * @typedef {object} BackfillDay
+ * @property {string}      date    – "YYYY-MM-DD"
+ * @property {"synced"|"skipped"|"queued"|"rejected"|"failed"} status
+ * @property {number}      sent     – records accepted by the cloud
+ * @property {boolean}     queued   – some records went to the offline queue
+ * @property {string[]}    rejected – adm_nos the cloud rejected with 400 / 422
+ * @property {string|null} error    – why the day could not be synced
+ */
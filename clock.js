@@ -0,0 +1,264 @@
+/**
+ * clock.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Timezones & Terminal Clock Drift
+ * Responsibility:
+ *   • Convert terminal event timestamps into the school timezone
+ *     (SYNC_TIMEZONE), whatever timezone the terminal is set to
+ *   • Convert school-day search windows back into the terminal's
+ *     own clock, because ISAPI searches take device-local times
+ *   • Measure each terminal's clock against the host clock via
+ *     GET /ISAPI/System/time, warn when it drifts beyond
+ *     CLOCK_DRIFT_WARN_SECONDS, and optionally shift event times
+ *     by the measured drift (CLOCK_DRIFT_CORRECT=true)
+ *
+ * Wall-clock strings are "YYYY-MM-DDTHH:MM:SS" with no offset;
+ * zoned strings carry one, e.g. "2024-11-20T07:45:02+03:00".
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import { zonedParts } from "./scheduler.js";
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/* ================================================================== */
+/*  Timezone arithmetic                                                 */
+/* ================================================================== */
+
+/**
+ * Epoch ms of a wall-clock string read as if it were UTC.
+ *
+ * @param {string} wall – "YYYY-MM-DDTHH:MM:SS" (any trailing offset is ignored)
+ * @returns {number}
+ */
+function wallAsUtc(wall) {
+  const m = String(wall).match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})/);
+  if (!m) throw new Error(`Unrecognised timestamp: "${wall}"`);
+  return Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]);
+}
+
+/**
+ * Format epoch ms (already shifted to local) as a wall-clock string.
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+function utcAsWall(ms) {
+  return new Date(ms).toISOString().slice(0, 19);
+}
+
+/**
+ * "+03:00" / "-05:30" for an offset in minutes.
+ *
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatOffset(minutes) {
+  const abs = Math.abs(minutes);
+  return `${minutes < 0 ? "-" : "+"}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * The UTC offset carried by a timestamp, or null if it has none.
+ *
+ * @param {string} iso
+ * @returns {number|null} minutes east of UTC
+ */
+function offsetOf(iso) {
+  if (/Z$/i.test(iso)) return 0;
+  const m = String(iso).match(/([+-])(\d{2}):?(\d{2})$/);
+  if (!m || !/T\d{2}:\d{2}:\d{2}/.test(iso)) return null;
+  return (m[1] === "-" ? -1 : 1) * (parseInt(m[2], 10) * 60 + parseInt(m[3], 10));
+}
+
+/**
+ * UTC offset of `timeZone` at the given instant.
+ *
+ * @param {Date}   date
+ * @param {string} timeZone – IANA name
+ * @returns {number} minutes east of UTC
+ */
+export function zoneOffsetMinutes(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60_000);
+}
+
+/**
+ * The instant a wall-clock time denotes in `timeZone`.
+ *
+ * @param {string} wall
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function wallTimeToDate(wall, timeZone) {
+  const guess = wallAsUtc(wall);
+  // Second pass settles wall times next to a DST switch
+  const first = guess - zoneOffsetMinutes(new Date(guess), timeZone) * 60_000;
+  return new Date(guess - zoneOffsetMinutes(new Date(first), timeZone) * 60_000);
+}
+
+/**
+ * Format an instant in `timeZone`, with its offset.
+ *
+ * @param {Date}   date
+ * @param {string} timeZone
+ * @returns {string} e.g. "2024-11-20T07:45:02+03:00"
+ */
+export function formatInZone(date, timeZone) {
+  const offset = zoneOffsetMinutes(date, timeZone);
+  return `${utcAsWall(date.getTime() + offset * 60_000)}${formatOffset(offset)}`;
+}
+
+/**
+ * Today's date ("YYYY-MM-DD") in `timeZone`.
+ *
+ * @param {string} timeZone
+ * @param {Date}   [now=new Date()]
+ * @returns {string}
+ */
+export function dateInZone(timeZone, now = new Date()) {
+  const p = zonedParts(now, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+/**
+ * Parse the POSIX-style zone ISAPI reports, e.g. "CST-3:00:00".
+ * POSIX counts hours WEST of UTC, so "CST-3" means UTC+03:00.
+ *
+ * @param {string} spec
+ * @returns {number|null} minutes east of UTC
+ */
+export function parseIsapiTimeZone(spec) {
+  const m = String(spec ?? "").match(/^[A-Za-z]*([+-]?)(\d{1,2})(?::(\d{2}))?/);
+  if (!m) return null;
+  const minutes = parseInt(m[2], 10) * 60 + parseInt(m[3] ?? "0", 10);
+  return m[1] === "-" ? minutes : -minutes;
+}
+
+/**
+ * The POSIX-style zone ISAPI expects for a UTC offset — the inverse
+ * of parseIsapiTimeZone(), e.g. 180 → "CST-3:00:00".
+ *
+ * @param {number} minutes – minutes east of UTC
+ * @returns {string}
+ */
+export function formatIsapiTimeZone(minutes) {
+  const abs = Math.abs(minutes);
+  return `CST${minutes < 0 ? "+" : "-"}${Math.floor(abs / 60)}:${pad(abs % 60)}:00`;
+}
+
+/* ================================================================== */
+/*  Terminal clock                                                      */
+/* ================================================================== */
+
+/**
+ * Read a terminal's clock and compare it with the host clock. Half
+ * the request round trip is credited to the network.
+ *
+ * @param {import('./hikvisionClient.js').HikvisionClient} client
+ * @param {string} timeZone – school timezone, assumed for the terminal
+ *                            when it reports no offset at all
+ * @returns {Promise<DeviceClock>}
+ */
+export async function measureClock(client, timeZone) {
+  const sentAt   = Date.now();
+  const time     = await client.getDeviceTime();
+  const hostMs   = (sentAt + Date.now()) / 2;
+
+  const offsetMinutes = offsetOf(time.localTime)
+    ?? parseIsapiTimeZone(time.timeZone)
+    ?? zoneOffsetMinutes(new Date(hostMs), timeZone);
+
+  // localTime is truncated to the second — +500 ms is the best estimate
+  const deviceMs = wallAsUtc(time.localTime) - offsetMinutes * 60_000 + 500;
+
+  return {
+    measured     : true,
+    offsetMinutes,
+    driftMs      : Math.round((deviceMs - hostMs) / 1000) * 1000,
+    localTime    : time.localTime,
+    timeMode     : time.timeMode ?? null,
+    measuredAt   : new Date(hostMs).toISOString(),
+  };
+}
+
+/**
+ * Clock to fall back on when a terminal cannot report its time:
+ * assume it runs on school time with no drift.
+ *
+ * @param {string} timeZone
+ * @returns {DeviceClock}
+ */
+export function assumedClock(timeZone) {
+  return {
+    measured     : false,
+    offsetMinutes: zoneOffsetMinutes(new Date(), timeZone),
+    driftMs      : 0,
+    localTime    : null,
+    timeMode     : null,
+    measuredAt   : new Date().toISOString(),
+  };
+}
+
+/**
+ * Human-readable drift, e.g. "4m 12s ahead".
+ *
+ * @param {number} driftMs
+ * @returns {string}
+ */
+export function describeDrift(driftMs) {
+  const total = Math.round(Math.abs(driftMs) / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  const text = [h && `${h}h`, (h || m) && `${m}m`, `${s}s`].filter(Boolean).join(" ");
+  return driftMs >= 0 ? `${text} ahead` : `${text} behind`;
+}
+
+/**
+ * Converters between a terminal's clock and the school timezone.
+ *
+ * @param {DeviceClock} clock
+ * @param {string}      timeZone – school timezone
+ * @param {boolean}     correct  – also undo the measured drift
+ * @returns {ClockConverter}
+ */
+export function createClockConverter(clock, timeZone, correct) {
+  const shiftMs = correct ? clock.driftMs : 0;
+
+  return {
+    toSchool(eventTime) {
+      if (!eventTime) return null;
+      const offset = offsetOf(eventTime) ?? clock.offsetMinutes;
+      return formatInZone(new Date(wallAsUtc(eventTime) - offset * 60_000 - shiftMs), timeZone);
+    },
+
+    toDevice(wall) {
+      const ms = wallTimeToDate(wall, timeZone).getTime() + shiftMs;
+      return utcAsWall(ms + clock.offsetMinutes * 60_000);
+    },
+  };
+}
+
+/* ================================================================== */
+/*  Types                                                               */
+/* ================================================================== */
+
+/**
+ * @typedef {object} DeviceClock
+ * @property {boolean}     measured       – false if assumed (terminal did not answer)
+ * @property {number}      offsetMinutes  – UTC offset the terminal's clock runs on
+ * @property {number}      driftMs        – terminal minus host, whole seconds (+ = ahead)
+ * @property {string|null} localTime      – terminal's reported local time
+ * @property {string|null} timeMode       – "NTP" | "manual" | …
+ * @property {string}      measuredAt     – ISO host time of the measurement
+ */
+
+/**
+ * @typedef {object} ClockConverter
+ * @property {(eventTime: string|null) => string|null} toSchool
+ *           – device event timestamp → zoned timestamp in the school timezone
+ * @property {(wall: string) => string} toDevice
+ *           – school wall-clock → terminal wall-clock (for ISAPI search windows)
+ */
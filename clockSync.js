@@ -0,0 +1,165 @@
+/**
+ * clockSync.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Terminal Clock Sync
+ * Responsibility:
+ *   • Set every terminal's clock to this PC's clock, in the school
+ *     timezone (SYNC_TIMEZONE)
+ *   • Or point the terminals at an NTP server (--ntp / CLOCK_NTP_SERVER)
+ *     and switch them to NTP mode, so they keep themselves right
+ *   • Report each terminal's drift before and after
+ *
+ * After a power cut the terminals fall back to a stale clock and
+ * every scan lands on the wrong day. This puts them right:
+ *   node index.js --sync-clock
+ *   node index.js --sync-clock --ntp pool.ntp.org
+ *
+ * ISAPI only takes a fixed UTC offset, so the offset in force today
+ * is pushed — re-run after a DST switch in zones that have one.
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import { HikvisionClient }       from "./hikvisionClient.js";
+import { ensureDeviceReachable } from "./deviceDiscovery.js";
+import { measureClock, formatInZone, zoneOffsetMinutes,
+         formatIsapiTimeZone, describeDrift } from "./clock.js";
+import { createLogger }          from "./logger.js";
+import config                    from "./configLoader.js";
+
+const log = createLogger("clockSync");
+
+/* ================================================================== */
+/*  Helpers                                                             */
+/* ================================================================== */
+
+/**
+ * Read a terminal's clock, or null if it cannot report it.
+ *
+ * @param {HikvisionClient} client
+ * @returns {Promise<import('./clock.js').DeviceClock|null>}
+ */
+async function readClock(client) {
+  try {
+    return await measureClock(client, config.sync.timezone);
+  } catch (err) {
+    log.warn(`  ⚠  Could not read the terminal clock: ${err.message.split("\n")[0]}`);
+    return null;
+  }
+}
+
+/**
+ * Sync one terminal's clock.
+ *
+ * @param {import('./syncRunner.js').TerminalConfig} t
+ * @param {{ ntpServer: string|null, ntpIntervalMinutes: number }} opts
+ * @param {string} tag – "[id] " prefix on multi-terminal sites
+ * @returns {Promise<ClockSyncResult>}
+ */
+async function syncTerminal(t, opts, tag) {
+  const { timezone } = config.sync;
+
+  const discovery = await ensureDeviceReachable({
+    host      : t.host,
+    port      : t.port,
+    username  : t.username,
+    password  : t.password,
+    useHttps  : t.useHttps,
+    deviceName: t.deviceName,
+    hostEnvKey: t.hostEnvKey,
+    label     : tag ? t.id : undefined,
+  });
+
+  const client = new HikvisionClient({
+    host               : discovery.ip,
+    port               : t.port,
+    username           : t.username,
+    password           : t.password,
+    useHttps           : t.useHttps,
+    rejectUnauthorized : t.rejectUnauthorized,
+  });
+
+  const before = await readClock(client);
+  if (before) log.info(`  ${tag}Clock was : ${before.localTime}  (${describeDrift(before.driftMs)})`);
+
+  const timeZone = formatIsapiTimeZone(zoneOffsetMinutes(new Date(), timezone));
+
+  if (opts.ntpServer) {
+    log.info(`  ${tag}Setting NTP server ${opts.ntpServer} (every ${opts.ntpIntervalMinutes} min) …`);
+    await client.setNtpServer({ host: opts.ntpServer, intervalMinutes: opts.ntpIntervalMinutes });
+    await client.setDeviceTime({ timeMode: "NTP", timeZone });
+  } else {
+    const localTime = formatInZone(new Date(), timezone);
+    log.info(`  ${tag}Setting clock to ${localTime} …`);
+    await client.setDeviceTime({ timeMode: "manual", localTime, timeZone });
+  }
+
+  const after = await readClock(client);
+  if (after) log.info(`  ${tag}Clock now : ${after.localTime}  (${describeDrift(after.driftMs)})`);
+
+  return {
+    id           : t.id,
+    ip           : discovery.ip,
+    mode         : opts.ntpServer ? "NTP" : "manual",
+    driftBeforeMs: before?.driftMs ?? null,
+    driftAfterMs : after?.driftMs  ?? null,
+    error        : null,
+  };
+}
+
+/* ================================================================== */
+/*  Main export                                                         */
+/* ================================================================== */
+
+/**
+ * Sync the clock of every configured terminal. A terminal that fails
+ * does not stop the rest.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.ntpServer=CLOCK_NTP_SERVER] – switch the terminals to NTP
+ *                                                     instead of setting the time once
+ * @param {number} [opts.ntpIntervalMinutes=CLOCK_NTP_INTERVAL_MINUTES]
+ * @returns {Promise<ClockSyncResult[]>}
+ */
+export async function syncTerminalClocks(opts = {}) {
+  const ntpServer          = opts.ntpServer          || config.sync.ntpServer || null;
+  const ntpIntervalMinutes = opts.ntpIntervalMinutes ?? config.sync.ntpIntervalMinutes;
+  const multi              = config.terminals.length > 1;
+
+  log.info(ntpServer
+    ? `▶ Switching ${config.terminals.length} terminal(s) to NTP (${ntpServer}) …\n`
+    : `▶ Setting ${config.terminals.length} terminal clock(s) to this PC's time (${config.sync.timezone}) …\n`);
+
+  /** @type {ClockSyncResult[]} */
+  const results = [];
+
+  for (const t of config.terminals) {
+    const tag = multi ? `[${t.id}] ` : "";
+    try {
+      results.push(await syncTerminal(t, { ntpServer, ntpIntervalMinutes }, tag));
+    } catch (err) {
+      log.error(`  ✖  ${tag}Clock sync failed: ${err.message}`, { terminal: t.id });
+      results.push({
+        id: t.id, ip: null, mode: ntpServer ? "NTP" : "manual",
+        driftBeforeMs: null, driftAfterMs: null, error: err.message,
+      });
+    }
+    log.info("");
+  }
+
+  return results;
+}
+
+/* ================================================================== */
+/*  Types                                                               */
+/* ================================================================== */
+
+/**
+ * @typedef {object} ClockSyncResult
+ * @property {string}          id            – terminal id
+ * @property {string|null}     ip            – where the terminal was found
+ * @property {"manual"|"NTP"}  mode          – how the clock was set
+ * @property {number|null}     driftBeforeMs – terminal minus host before the sync
+ * @property {number|null}     driftAfterMs  – terminal minus host after the sync
+ *                                             (NTP terminals may take a moment to catch up)
+ * @property {string|null}     error         – why the terminal could not be synced
+ */
@@ -0,0 +1,207 @@
+/**
+ * configCheck.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: `config check` Command
+ * Responsibility:
+ *   • Print the configuration in effect, section by section, with
+ *     secrets masked and where each value came from
+ *   • List every validation problem at once (configSchema.js), and
+ *     warn about .env keys nothing reads — usually typos
+ *   • Test the connection to every terminal and to the cloud API
+ *
+ * Works on a broken configuration: configLoader.js (which throws) and the
+ * modules importing it are only loaded once validation passes.
+ *
+ * Usage:
+ *   npm run config check [-- --offline]
+ *   node configCheck.js check [--offline]     — --offline skips the connection tests
+ *
+ * Exit code 0 when the configuration is valid and every connection
+ * test passed, 1 otherwise.
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import "dotenv/config";
+import * as fs   from "fs";
+import * as path from "path";
+import dotenv    from "dotenv";
+import axios     from "axios";
+import { loadConfig, SCHEMA, TERMINAL_FIELDS,
+         MASK, redactUrl } from "./configSchema.js";
+
+const args    = process.argv.slice(2);
+const OFFLINE = args.includes("--offline");
+const COMMAND = args.find((a) => !a.startsWith("--")) ?? "check";
+
+/* ================================================================== */
+/*  Printing                                                            */
+/* ================================================================== */
+
+/**
+ * A value as printed: secrets masked, credentials in URLs hidden.
+ *
+ * @param {import("./configSchema.js").ConfigEntry} entry
+ * @returns {string}
+ */
+function display(entry) {
+  if (entry.value === null) return "(missing)";
+  if (entry.value === "")   return "(empty)";
+  if (entry.secret)         return MASK;
+  return redactUrl(entry.value);
+}
+
+/**
+ * Print every entry grouped by section.
+ *
+ * @param {import("./configSchema.js").ConfigEntry[]} entries
+ */
+function printEntries(entries) {
+  const width = Math.max(...entries.map((e) => e.key.length));
+
+  for (const section of Object.keys(SCHEMA)) {
+    console.log(`  ── ${section} ${"─".repeat(Math.max(0, 50 - section.length))}`);
+    for (const e of entries.filter((x) => x.section === section)) {
+      const origin = e.source === "env" ? "" : e.source === "default" ? "  (default)" : `  (from ${e.source})`;
+      console.log(`    ${e.key.padEnd(width)}  ${display(e)}${origin}`);
+    }
+    console.log("");
+  }
+}
+
+/**
+ * Keys set in the .env file that the schema never reads.
+ *
+ * @param {import("./configSchema.js").ConfigEntry[]} entries
+ * @returns {string[]}
+ */
+function unusedEnvKeys(entries) {
+  const file = path.resolve(".env");
+  if (!fs.existsSync(file)) return [];
+
+  const read = new Set(entries.flatMap((e) => [e.key, e.source]));
+  for (const spec of Object.values(TERMINAL_FIELDS)) {
+    if (spec.shared) read.add(`TERMINAL_${spec.name}`);
+  }
+  return Object.keys(dotenv.parse(fs.readFileSync(file))).filter((k) => !read.has(k));
+}
+
+/* ================================================================== */
+/*  Connection tests                                                    */
+/* ================================================================== */
+
+/**
+ * Ask every terminal for its deviceInfo. No discovery: a check must
+ * never rewrite .env.
+ *
+ * @param {object} config
+ * @returns {Promise<boolean>} true when every terminal answered
+ */
+async function testTerminals(config) {
+  const { HikvisionClient } = await import("./hikvisionClient.js");
+  let ok = true;
+
+  for (const t of config.terminals) {
+    const where = `${t.useHttps ? "https" : "http"}://${t.host}:${t.port}`;
+    try {
+      const client = new HikvisionClient({ ...t, timeout: 5_000 });
+      const info   = await client.getDeviceInfo();
+      console.log(
+        `  ✔  Terminal "${t.id}" at ${where}: ${info?.model ?? "unknown model"}, ` +
+        `serial ${info?.serialNumber ?? "—"}, name "${info?.deviceName ?? "—"}"`
+      );
+      if (info?.deviceName && t.deviceName && ![info.deviceName, info.serialNumber, info.macAddress]
+        .some((v) => String(v ?? "").toLowerCase() === t.deviceName.toLowerCase())) {
+        console.log(`  ⚠  It does not report DEVICE_NAME "${t.deviceName}" — is ${t.hostEnvKey} pointing at the right terminal?`);
+      }
+    } catch (err) {
+      ok = false;
+      const status = err.status ?? err.response?.status;
+      console.log(`  ✖  Terminal "${t.id}" at ${where}: ${status ? `HTTP ${status} — ` : ""}${err.message}`);
+    }
+  }
+  return ok;
+}
+
+/**
+ * Call the attendance endpoint with the API key. Any answer short of
+ * 401 / 403 / 5xx shows the API is reachable and takes the key — the
+ * endpoint itself may well reject a GET.
+ *
+ * @param {object} config
+ * @returns {Promise<boolean>}
+ */
+async function testCloud(config) {
+  const url = `${config.cloud.baseUrl}${config.cloud.attendanceEndpoint}`;
+  try {
+    const res = await axios.get(url, {
+      timeout       : Math.min(config.cloud.timeoutMs, 10_000),
+      params        : { school_code: config.cloud.schoolCode },
+      headers       : {
+        "Authorization": `Bearer ${config.cloud.apiKey}`,
+        "X-Source"     : "hikvision-middleware",
+      },
+      validateStatus: () => true,
+    });
+
+    if (res.status === 401 || res.status === 403) {
+      console.log(`  ✖  Cloud API at ${url}: HTTP ${res.status} — CLOUD_API_KEY was rejected.`);
+      return false;
+    }
+    if (res.status >= 500) {
+      console.log(`  ✖  Cloud API at ${url}: HTTP ${res.status} — the server is failing.`);
+      return false;
+    }
+    console.log(`  ✔  Cloud API at ${url}: reachable (HTTP ${res.status}).`);
+    return true;
+  } catch (err) {
+    console.log(`  ✖  Cloud API at ${url}: ${err.code ?? "network error"} — ${err.message}`);
+    return false;
+  }
+}
+
+/* ================================================================== */
+/*  Main                                                                */
+/* ================================================================== */
+
+async function main() {
+  if (COMMAND !== "check") {
+    console.error(`Unknown command "${COMMAND}". Usage: node configCheck.js check [--offline]`);
+    process.exit(1);
+  }
+
+  console.log("═══════════════════════════════════════════════════════");
+  console.log("  Configuration check");
+  console.log("═══════════════════════════════════════════════════════\n");
+
+  const { config, errors, warnings, entries } = loadConfig(process.env);
+  printEntries(entries);
+
+  const unused = unusedEnvKeys(entries);
+  if (unused.length > 0) {
+    console.log(`  ⚠  Set in .env but not used (typo?): ${unused.join(", ")}\n`);
+  }
+
+  for (const w of warnings) console.log(`  ⚠  ${w}\n`);
+
+  if (errors.length > 0) {
+    console.log(`  ✖  ${errors.length} problem(s):`);
+    for (const e of errors) console.log(`     • ${e}`);
+    console.log("");
+    process.exit(1);
+  }
+  console.log("  ✔  Configuration is valid.\n");
+
+  if (OFFLINE) return;
+
+  console.log("▶ Testing connections …");
+  const terminalsOk = await testTerminals(config);
+  const cloudOk     = await testCloud(config);
+  console.log("");
+
+  if (!terminalsOk || !cloudOk) process.exit(1);
+}
+
+main().catch((err) => {
+  console.error(`✖  ${err.message}`);
+  process.exit(1);
+});
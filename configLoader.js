@@ -0,0 +1,42 @@
+/**
+ * configLoader.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Central Configuration Loader
+ * Responsibility:
+ *   • Load the .env file using dotenv
+ *   • Validate every variable against configSchema.js — types,
+ *     ranges, URLs, cron and timezone — reporting all problems at
+ *     once rather than one per restart
+ *   • Export a single frozen config object used by every module
+ *
+ * Every module imports this file. It is tracked in git, so an update
+ * always brings the loader that matches its schema — unlike config.js,
+ * the school's untracked copy of config_example.js.
+ *
+ * To see the configuration in effect (secrets masked) and test the
+ * terminal and cloud connections:   npm run config check
+ * ─────────────────────────────────────────────────────────────
+ * Prerequisites:
+ *   npm install dotenv
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import "dotenv/config";
+import { loadConfig } from "./configSchema.js";
+
+const { config, errors, warnings } = loadConfig(process.env);
+
+// Before logger.js exists — it needs this config
+for (const w of warnings) console.warn(`  ⚠  [config] ${w}`);
+
+if (errors.length > 0) {
+  const err = new Error(
+    `[config] ${errors.length} problem(s) in .env:\n` +
+    errors.map((e) => `  • ${e}`).join("\n")
+  );
+  err.code   = "CONFIG_INVALID";
+  err.errors = errors;
+  throw err;
+}
+
+export default config;
@@ -0,0 +1,489 @@
+/**
+ * configSchema.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Configuration Schema
+ * Responsibility:
+ *   • Declare every .env variable once: its section, type, default,
+ *     allowed range and what it is for
+ *   • Validate an environment against the schema, collecting every
+ *     problem instead of stopping at the first
+ *   • Build the frozen config object that configLoader.js exports
+ *
+ * No side effects and no dotenv: configLoader.js loads .env and calls
+ * loadConfig(process.env), and configCheck.js can import this module
+ * even when the configuration is broken.
+ *
+ * Types:
+ *   string     any text                 int        whole number, min / max
+ *              (`known` lists the usual values — others warn, not fail)
+ *   bool       true|false|yes|no|1|0|on|off (anything else is an error)
+ *   enum       one of `values`          url        http(s)://…
+ *   endpoint   "/path" appended to CLOUD_API_BASE_URL
+ *   host       IPv4 / IPv6 or hostname  cron       5-field cron expression
+ *   timezone   IANA zone, e.g. "Africa/Nairobi"
+ *   size       "10m", "512k", "1g" or bytes
+ *   gitRemote  https://… or git@host:owner/repo.git
+ *   version    release tag, "v1.4.2" or "1.5.0-rc.1"
+ *   cidrs      "10.0.0.0/22,192.168.1.50"
+ *   doorRoles  "1:entrance,2:exit"     eventCodes "5:75,5:1,3:*"
+ *   ids        "gate,exit" (TERMINAL_IDS)
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import * as net      from "net";
+import { parseCron } from "./scheduler.js";
+
+/* ================================================================== */
+/*  Value types                                                         */
+/* ================================================================== */
+
+/** Spellings accepted for booleans (case-insensitive). */
+const TRUE_WORDS  = ["true", "yes", "1", "on"];
+const FALSE_WORDS = ["false", "no", "0", "off"];
+
+/** Types whose empty value is an empty list rather than "". */
+const LIST_TYPES = new Set(["cidrs", "doorRoles", "eventCodes", "ids"]);
+
+/** Split "a, b,,c" into ["a", "b", "c"]. */
+function splitList(raw) {
+  return raw.split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+/**
+ * Parser per type. Each takes the raw string and the field spec and
+ * returns the value, or throws an Error whose message completes
+ * "KEY: …".
+ */
+const TYPES = Object.freeze({
+  string: (raw) => raw,
+
+  int: (raw, spec) => {
+    if (!/^\s*-?\d+\s*$/.test(raw)) throw new Error(`must be a whole number, got "${raw}"`);
+    const n = parseInt(raw, 10);
+    if (spec.min !== undefined && n < spec.min) throw new Error(`must be at least ${spec.min}, got ${n}`);
+    if (spec.max !== undefined && n > spec.max) throw new Error(`must be at most ${spec.max}, got ${n}`);
+    return n;
+  },
+
+  bool: (raw) => {
+    const v = raw.trim().toLowerCase();
+    if (TRUE_WORDS.includes(v))  return true;
+    if (FALSE_WORDS.includes(v)) return false;
+    throw new Error(`must be true or false, got "${raw}"`);
+  },
+
+  enum: (raw, spec) => {
+    const v = raw.trim().toLowerCase();
+    if (!spec.values.includes(v)) throw new Error(`must be one of ${spec.values.join(" | ")}, got "${raw}"`);
+    return v;
+  },
+
+  url: (raw) => {
+    let u;
+    try { u = new URL(raw); } catch { throw new Error(`must be a URL like "https://school.example.com/api", got "${raw}"`); }
+    if (!["http:", "https:"].includes(u.protocol)) throw new Error(`must start with http:// or https://, got "${raw}"`);
+    return raw;
+  },
+
+  endpoint: (raw) => {
+    if (!/^\/\S*$/.test(raw)) throw new Error(`must be a path starting with "/", got "${raw}"`);
+    return raw;
+  },
+
+  host: (raw) => {
+    const host = raw.trim();
+    if (!net.isIP(host) && !/^[a-z0-9]([a-z0-9.-]*[a-z0-9])?$/i.test(host)) {
+      throw new Error(`must be an IP address (IPv4 or IPv6) or hostname, got "${raw}"`);
+    }
+    return host;
+  },
+
+  cron: (raw) => {
+    parseCron(raw);   // throws a descriptive error
+    return raw;
+  },
+
+  timezone: (raw) => {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: raw });
+    } catch {
+      throw new Error(`must be an IANA timezone such as "Africa/Nairobi", got "${raw}"`);
+    }
+    return raw;
+  },
+
+  size: (raw) => {
+    if (!/^\d+(\.\d+)?\s*[kmg]?b?$/i.test(raw.trim())) throw new Error(`must look like "10m", "512k" or "1g", got "${raw}"`);
+    return raw;
+  },
+
+  gitRemote: (raw) => {
+    if (!/^(https?:\/\/\S+|git@[^:\s]+:\S+|ssh:\/\/\S+)$/.test(raw)) {
+      throw new Error(`must be a git remote such as "https://github.com/owner/repo.git", got "${raw}"`);
+    }
+    return raw;
+  },
+
+  version: (raw) => {
+    if (!/^v?\d+\.\d+\.\d+(-[0-9a-z.-]+)?$/i.test(raw)) {
+      throw new Error(`must be a release version such as "v1.4.2", got "${raw}"`);
+    }
+    return raw;
+  },
+
+  // "10.0.0.0/22,192.168.1.50" → ["10.0.0.0/22", "192.168.1.50/32"]
+  cidrs: (raw) => Object.freeze(splitList(raw).map((entry) => {
+    const m = entry.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})(?:\/(\d{1,2}))?$/);
+    if (!m || m.slice(1, 5).some((o) => +o > 255) || (m[5] !== undefined && +m[5] > 32)) {
+      throw new Error(`entries must look like "10.0.0.0/22" or "10.0.0.5", got "${entry}"`);
+    }
+    return `${m.slice(1, 5).join(".")}/${m[5] ?? 32}`;
+  })),
+
+  // "1:entrance,2:exit" → { "1": "entrance", "2": "exit" }
+  doorRoles: (raw) => {
+    const roles = {};
+    for (const pair of splitList(raw)) {
+      const [door, role] = pair.split(":").map((s) => s.trim().toLowerCase());
+      if (!/^\d+$/.test(door) || !["entrance", "exit"].includes(role)) {
+        throw new Error(`entries must look like "1:entrance" or "2:exit", got "${pair}"`);
+      }
+      roles[door] = role;
+    }
+    return Object.freeze(roles);
+  },
+
+  // "5:75,3:*" → [{ major: 5, minor: 75 }, { major: 3, minor: null }]
+  eventCodes: (raw) => {
+    const codes = splitList(raw).map((pair) => {
+      const m = pair.match(/^(\d+):(\d+|\*)$/);
+      if (!m) throw new Error(`entries must look like "5:75" or "5:*", got "${pair}"`);
+      return Object.freeze({ major: parseInt(m[1], 10), minor: m[2] === "*" ? null : parseInt(m[2], 10) });
+    });
+    if (codes.length === 0) throw new Error("must list at least one event code");
+    return Object.freeze(codes);
+  },
+
+  ids: (raw) => {
+    const ids = splitList(raw);
+    const bad = ids.find((id) => !/^[a-z0-9_-]+$/i.test(id));
+    if (bad) throw new Error(`ids may only use letters, digits, "-" and "_", got "${bad}"`);
+    const dup = ids.find((id, i) => ids.indexOf(id) !== i);
+    if (dup) throw new Error(`lists "${dup}" twice`);
+    return Object.freeze(ids);
+  },
+});
+
+/* ================================================================== */
+/*  Schema                                                              */
+/* ================================================================== */
+
+/** Roles a terminal can play when classifying scans. */
+const TERMINAL_ROLES = ["entrance", "exit", "both"];
+
+/**
+ * Settings read once per terminal, from TERMINAL_<ID>_<name> — or
+ * TERMINAL_<name> for a single terminal. `shared` ones fall back to
+ * TERMINAL_<name> when a terminal does not set its own.
+ */
+export const TERMINAL_FIELDS = Object.freeze({
+  role              : { name: "ROLE",                type: "enum",      default: "both", values: TERMINAL_ROLES, shared: true,
+                        description: "Whether scans on this terminal are entrances, exits or both" },
+  host              : { name: "HOST",                type: "host",
+                        description: "IP address or hostname of the terminal (rewritten by discovery)" },
+  port              : { name: "PORT",                type: "int",       default: 80, min: 1, max: 65535, shared: true,
+                        description: "ISAPI port — 80 for HTTP, 443 for HTTPS" },
+  username          : { name: "USERNAME",            type: "string",    shared: true,
+                        description: "Terminal admin user name" },
+  password          : { name: "PASSWORD",            type: "string",    shared: true, secret: true,
+                        description: "Terminal admin password" },
+  useHttps          : { name: "USE_HTTPS",           type: "bool",      default: false, shared: true,
+                        description: "Talk to the terminal over HTTPS" },
+  rejectUnauthorized: { name: "REJECT_UNAUTHORIZED", type: "bool",      default: false, shared: true,
+                        description: "Reject self-signed terminal certificates" },
+  deviceName        : { name: "DEVICE_NAME",         type: "string",
+                        description: "deviceName, serial number or MAC that identifies the terminal during discovery" },
+  doorRoles         : { name: "DOOR_ROLES",          type: "doorRoles", default: "",
+                        description: "Per-door roles, e.g. \"1:entrance,2:exit\" (overrides ROLE)" },
+});
+
+/**
+ * Every other variable, by config section. The property names are
+ * those of the config object (config.cloud.baseUrl, …).
+ */
+export const SCHEMA = Object.freeze({
+
+  /* ── 1. Hikvision Terminal(s) ──────────────────────────────────── */
+  terminal: {
+    ids          : { key: "TERMINAL_IDS",             type: "ids",  default: "",
+                     description: "Terminal ids when there is more than one, e.g. \"gate,exit\"" },
+    pageSize     : { key: "TERMINAL_PAGE_SIZE",       type: "int",  default: 100, min: 1, max: 1000,
+                     description: "Events requested per ISAPI search page" },
+    fetchAllPages: { key: "TERMINAL_FETCH_ALL_PAGES", type: "bool", default: true,
+                     description: "Follow MORE pages until the search is complete" },
+  },
+
+  /* ── 2. Cloud School System API ────────────────────────────────── */
+  cloud: {
+    schoolCode        : { key: "SCHOOL_CODE",               type: "string",
+                          description: "School code sent with every record" },
+    baseUrl           : { key: "CLOUD_API_BASE_URL",        type: "url",
+                          description: "Base URL of the cloud school system API" },
+    apiKey            : { key: "CLOUD_API_KEY",             type: "string",   secret: true,
+                          description: "Bearer token for the cloud API" },
+    attendanceEndpoint: { key: "CLOUD_ATTENDANCE_ENDPOINT", type: "endpoint", default: "/attendance/sync",
+                          description: "Path attendance is POSTed to" },
+    timeoutMs         : { key: "CLOUD_API_TIMEOUT_MS",      type: "int",      default: 15000, min: 1000, max: 600000,
+                          description: "Cloud request timeout (ms)" },
+    batchSize         : { key: "CLOUD_BATCH_SIZE",          type: "int",      default: 50, min: 0,
+                          description: "Records per POST (0 = all in one)" },
+    retryAttempts     : { key: "CLOUD_RETRY_ATTEMPTS",      type: "int",      default: 3, min: 1, max: 20,
+                          description: "Attempts per POST before queueing" },
+    retryDelayMs      : { key: "CLOUD_RETRY_DELAY_MS",      type: "int",      default: 2000, min: 0,
+                          description: "Pause between attempts (ms)" },
+  },
+
+  /* ── 3. Sync Scheduler ─────────────────────────────────────────── */
+  sync: {
+    cronSchedule         : { key: "SYNC_CRON_SCHEDULE",         type: "cron",       default: "*/5 * * * *",
+                             description: "When the daemon syncs (5-field cron)" },
+    timezone             : { key: "SYNC_TIMEZONE",              type: "timezone",   default: "Africa/Nairobi",
+                             description: "School timezone for the schedule and attendance dates" },
+    lookbackMinutes      : { key: "SYNC_LOOKBACK_MINUTES",      type: "int",        default: 10, min: 0,
+                             description: "Overlap with the previous run, for late events" },
+    stateFilePath        : { key: "SYNC_STATE_FILE_PATH",       type: "string",     default: "./data/sync_state.json",
+                             description: "Where sync progress is kept" },
+    classification       : { key: "ATTENDANCE_CLASSIFICATION",  type: "enum",       default: "time", values: ["time", "direction"],
+                             description: "Classify scans by time of day or by terminal / door role" },
+    payloadMode          : { key: "ATTENDANCE_PAYLOAD_MODE",    type: "enum",       default: "collapsed", values: ["collapsed", "sessions"],
+                             description: "One record per student per day, or every in/out session" },
+    sessionMinGapMinutes : { key: "SESSION_MIN_GAP_MINUTES",    type: "int",        default: 5, min: 0,
+                             description: "Scans closer together than this are one scan" },
+    eventTypes           : { key: "ATTENDANCE_EVENT_TYPES",     type: "eventCodes", default: "5:1,5:2,5:38,5:40,5:75",
+                             description: "Event codes counted as attendance (major:minor)" },
+    sentLogDir           : { key: "SENT_LOG_DIR",               type: "string",     default: "./data/sent",
+                             description: "Where records confirmed by the cloud are logged" },
+    clockDriftWarnSeconds: { key: "CLOCK_DRIFT_WARN_SECONDS",   type: "int",        default: 60, min: 0,
+                             description: "Warn when a terminal clock is off by more than this" },
+    correctClockDrift    : { key: "CLOCK_DRIFT_CORRECT",        type: "bool",       default: false,
+                             description: "Shift event times by the measured drift" },
+    ntpServer            : { key: "CLOCK_NTP_SERVER",           type: "host",       default: "",
+                             description: "NTP server terminals are pointed at (--sync-clock)" },
+    ntpIntervalMinutes   : { key: "CLOCK_NTP_INTERVAL_MINUTES", type: "int",        default: 60, min: 1,
+                             description: "How often terminals re-sync with NTP" },
+    timeoutHour          : { key: "TIMEOUT_HOUR",               type: "int",        default: 14, min: 0, max: 23,
+                             description: "Scans from this hour on count as time_out" },
+    timeoutMinute        : { key: "TIMEOUT_MINUTE",             type: "int",        default: 30, min: 0, max: 59,
+                             description: "Minute of TIMEOUT_HOUR that time_out starts" },
+  },
+
+  /* ── 4. Local Queue / Offline Buffer ───────────────────────────── */
+  queue: {
+    filePath: { key: "QUEUE_FILE_PATH", type: "string", default: "./data/queue.json",
+                description: "Where records are kept while the cloud is unreachable" },
+    maxSize : { key: "QUEUE_MAX_SIZE",  type: "int",    default: 5000, min: 0,
+                description: "Most queued records before the oldest are dropped (0 = unlimited)" },
+  },
+
+  /* ── 5. Logging ────────────────────────────────────────────────── */
+  logging: {
+    level   : { key: "LOG_LEVEL",     type: "enum",   default: "info", values: ["error", "warn", "info", "debug"],
+                description: "Least severe level printed and written to the log file" },
+    dir     : { key: "LOG_DIR",       type: "string", default: "./logs",
+                description: "Log file directory" },
+    maxSize : { key: "LOG_MAX_SIZE",  type: "size",   default: "10m",
+                description: "Size at which the log file is rotated" },
+    maxFiles: { key: "LOG_MAX_FILES", type: "int",    default: 7, min: 0,
+                description: "Rotated log files kept (0 = none, the file starts over)" },
+  },
+
+  /* ── 6. Middleware Server ──────────────────────────────────────── */
+  server: {
+    port   : { key: "SERVER_PORT", type: "int",  default: 3000, min: 0, max: 65535,
+               description: "Local HTTP API port in daemon mode (0 = off)" },
+    host   : { key: "SERVER_HOST", type: "host", default: "127.0.0.1",
+               description: "Address the HTTP API listens on (0.0.0.0 = every interface)" },
+    nodeEnv: { key: "NODE_ENV",    type: "string", default: "development", known: ["development", "production", "test"],
+               description: "Runtime environment" },
+  },
+
+  /* ── 7. GitHub Auto-Updater ────────────────────────────────────── */
+  github: {
+    repoUrl       : { key: "GITHUB_REPO_URL",           type: "gitRemote", default: "",
+                      description: "Repository the updater pulls from" },
+    branch        : { key: "GITHUB_BRANCH",             type: "string",    default: "main",
+                      description: "Branch the beta channel follows" },
+    channel       : { key: "UPDATE_CHANNEL",            type: "enum",      default: "beta", values: ["stable", "beta"],
+                      description: "stable = newest release tag, beta = tip of GITHUB_BRANCH" },
+    pinVersion    : { key: "UPDATE_PIN_VERSION",        type: "version",   default: "",
+                      description: "Hold this install on one release, whatever the channel" },
+    method        : { key: "UPDATE_METHOD",             type: "enum",      default: "auto", values: ["auto", "git", "archive"],
+                      description: "git pull, release archive, or auto (git when this is a clone)" },
+    archiveSource : { key: "UPDATE_ARCHIVE_SOURCE",     type: "string",    default: "",
+                      description: "URL or directory holding releases.json and the archives" },
+    archiveKey    : { key: "UPDATE_ARCHIVE_PUBLIC_KEY", type: "string",    default: "",
+                      description: "PEM public key — when set, archives must carry a valid signature" },
+    historyPath   : { key: "UPDATE_HISTORY_PATH",       type: "string",    default: "./data/update_history.log",
+                      description: "Log of every update attempt and rollback" },
+    smokeTimeoutMs: { key: "UPDATE_SMOKE_TIMEOUT_MS",   type: "int",       default: 120000, min: 10000,
+                      description: "Longest the post-update smoke check may take (ms)" },
+  },
+
+  /* ── 8. Roster Provisioning ────────────────────────────────────── */
+  roster: {
+    endpoint     : { key: "CLOUD_ROSTER_ENDPOINT",    type: "endpoint", default: "/students",
+                     description: "Path the student roster is fetched from" },
+    deleteMissing: { key: "ROSTER_DELETE_MISSING",    type: "bool",     default: false,
+                     description: "Delete persons the roster sync enrolled once they leave the roster" },
+    deleteMax    : { key: "ROSTER_DELETE_MAX",        type: "int",      default: 20, min: 0,
+                     description: "Most persons deleted per terminal in one run (0 = no limit)" },
+    createdPath  : { key: "ROSTER_CREATED_FILE_PATH", type: "string",   default: "./data/roster_created.json",
+                     description: "Persons the roster sync enrolled — the only ones it deletes" },
+  },
+
+  /* ── 9. Event Snapshots ────────────────────────────────────────── */
+  snapshots: {
+    enabled      : { key: "SNAPSHOT_ENABLED",        type: "bool",     default: false,
+                     description: "Download the capture photo of each event" },
+    dir          : { key: "SNAPSHOT_DIR",            type: "string",   default: "./data/snapshots",
+                     description: "Where snapshots are kept" },
+    retentionDays: { key: "SNAPSHOT_RETENTION_DAYS", type: "int",      default: 30, min: 1,
+                     description: "Days of snapshots kept locally" },
+    endpoint     : { key: "CLOUD_SNAPSHOT_ENDPOINT", type: "endpoint", default: "",
+                     description: "Path snapshots are uploaded to (empty = keep locally only)" },
+  },
+
+  /* ── 10. Terminal Discovery ────────────────────────────────────── */
+  discovery: {
+    ranges          : { key: "DISCOVERY_RANGES",          type: "cidrs",  default: "",
+                        description: "Networks scanned for a moved terminal (empty = local networks)" },
+    exclude         : { key: "DISCOVERY_EXCLUDE",         type: "cidrs",  default: "",
+                        description: "Addresses never probed" },
+    maxHosts        : { key: "DISCOVERY_MAX_HOSTS",       type: "int",    default: 1024, min: 1,
+                        description: "Most hosts probed in one scan" },
+    registryFilePath: { key: "DEVICE_REGISTRY_FILE_PATH", type: "string", default: "./data/devices.json",
+                        description: "Pinned terminal identities and known IPs" },
+    auditLogPath    : { key: "DEVICE_AUDIT_LOG_PATH",     type: "string", default: "./data/device_ip_changes.log",
+                        description: "Log of every terminal IP change" },
+  },
+});
+
+/* ================================================================== */
+/*  Loading                                                             */
+/* ================================================================== */
+
+/** Shown instead of a secret value. */
+export const MASK = "********";
+
+/**
+ * Hide the credentials of every URL in `text` — a repository or
+ * release URL may carry a token (https://<token>@github.com/…).
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function redactUrl(text) {
+  return String(text).replace(/\/\/[^/@\s]+@/g, `//${MASK}@`);
+}
+
+/**
+ * Validate an environment against the schema and build the config.
+ * Never throws — every problem is returned in `errors`, and `config`
+ * is only complete when there are none. `warnings` are values that
+ * work but look unintended (e.g. an unusual NODE_ENV).
+ *
+ * @param {Record<string, string|undefined>} env – usually process.env
+ * @returns {{ config: object, errors: string[], warnings: string[], entries: ConfigEntry[] }}
+ */
+export function loadConfig(env) {
+  const errors   = [];
+  const warnings = [];
+  const entries  = [];
+  const has     = (key) => env[key] !== undefined && env[key] !== "";
+
+  /**
+   * Read one variable. `source` is the key actually read — a shared
+   * TERMINAL_* key when a terminal does not set its own.
+   */
+  const read = (section, key, spec, source = key) => {
+    const set = has(source);
+    const raw = set ? env[source] : spec.default !== undefined ? String(spec.default) : undefined;
+
+    entries.push({
+      section,
+      key,
+      value      : raw ?? null,
+      source     : !set ? "default" : source === key ? "env" : source,
+      secret     : Boolean(spec.secret),
+      description: spec.description,
+    });
+
+    if (raw === undefined) {
+      errors.push(`${key} is required — ${spec.description}.`);
+      return undefined;
+    }
+    if (raw === "" && !LIST_TYPES.has(spec.type)) return "";
+
+    try {
+      const value = TYPES[spec.type](raw, spec);
+      if (spec.known && !spec.known.includes(value)) {
+        warnings.push(redactUrl(`${source}: "${raw}" is not one of ${spec.known.join(" | ")} — used as is.`));
+      }
+      return value;
+    } catch (err) {
+      errors.push(redactUrl(`${source}: ${err.message}.`));
+      return undefined;
+    }
+  };
+
+  const readSection = (section) => Object.fromEntries(
+    Object.entries(SCHEMA[section]).map(([prop, spec]) => [prop, read(section, spec.key, spec)])
+  );
+
+  /* ── Terminals ── */
+  const { ids, ...paging } = readSection("terminal");
+
+  const terminalFrom = (id, prefix) => {
+    const t = { id, hostEnvKey: `${prefix}HOST` };   // hostEnvKey: rewritten by discovery on DHCP changes
+    for (const [prop, spec] of Object.entries(TERMINAL_FIELDS)) {
+      const own = `${prefix}${spec.name}`;
+      t[prop] = read("terminal", own, spec, spec.shared && !has(own) ? `TERMINAL_${spec.name}` : own);
+    }
+    return Object.freeze(t);
+  };
+
+  //   TERMINAL_IDS unset        → one terminal ("main") from TERMINAL_*
+  //   TERMINAL_IDS=gate,exit    → TERMINAL_GATE_*, TERMINAL_EXIT_*
+  const terminals = (ids ?? []).length === 0
+    ? [terminalFrom("main", "TERMINAL_")]
+    : ids.map((id) => terminalFrom(id, `TERMINAL_${id.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_`));
+
+  /* ── Everything else ── */
+  const sections = Object.fromEntries(
+    Object.keys(SCHEMA).filter((s) => s !== "terminal").map((s) => [s, Object.freeze(readSection(s))])
+  );
+
+  const config = Object.freeze({
+    // `terminal` is the first terminal plus the shared paging settings,
+    // so single-terminal code keeps working unchanged.
+    terminal : Object.freeze({ ...terminals[0], ...paging }),
+    terminals: Object.freeze(terminals),
+    ...sections,
+  });
+
+  return { config, errors, warnings, entries };
+}
+
+/* ================================================================== */
+/*  Types                                                               */
+/* ================================================================== */
+
+/**
+ * @typedef {object} ConfigEntry
+ * @property {string}      section     – "terminal", "cloud", …
+ * @property {string}      key         – e.g. "TERMINAL_GATE_PORT"
+ * @property {string|null} value       – raw value in effect (null = required but missing)
+ * @property {string}      source      – "env", "default", or the shared key it came from
+ * @property {boolean}     secret      – mask when printing
+ * @property {string}      description
+ */
@@ -4,19 +4,29 @@
  * Module: Hikvision Device Discovery & IP Auto-Healing
  *
  * Responsibility:
- *   1. Verify the TERMINAL_HOST in .env is still reachable.
- *   2. If unreachable → scan the local subnet for every live host.
- *   3. For each live host, attempt an ISAPI /deviceInfo probe.
- *   4. Match the responding device against TERMINAL_DEVICE_NAME.
- *   5. If a match is found → rewrite TERMINAL_HOST in .env and
- *      return the new IP so the rest of the middleware can continue
- *      without a restart.
+ *   1. Verify the TERMINAL_HOST in .env is still reachable — and, once
+ *      the terminal is pinned (deviceRegistry.js), that the device
+ *      answering there is still the pinned one.
+ *   2. If not → try the IPs the terminal was seen on before, then the
+ *      ARP table entries for its pinned MAC (arp.js).
+ *   3. Still not found → send a SADP multicast probe (sadp.js) and
+ *      confirm the devices that answer with an ISAPI /deviceInfo probe.
+ *   4. If SADP finds nothing → scan the local networks (each
+ *      interface's real netmask, or DISCOVERY_RANGES), attempting an
+ *      ISAPI /deviceInfo probe on every host not in DISCOVERY_EXCLUDE,
+ *      nearest the old IP first, at most DISCOVERY_MAX_HOSTS hosts.
+ *   5. Match the responding device: by the pinned serial / MAC, or —
+ *      before the first match — exactly against TERMINAL_DEVICE_NAME.
+ *   6. If a match is found → rewrite TERMINAL_HOST in .env, record the
+ *      IP change in the audit log and return the new IP so the rest of
+ *      the middleware can continue without a restart.
  *
- * Why no mDNS / SADP?
- *   SADP (Hikvision's own discovery protocol) requires raw UDP
- *   sockets and elevated privileges on some OSes. This module
- *   uses pure HTTP/ISAPI so it works out of the box on any Node
- *   environment without extra system permissions.
+ * Why SADP first?
+ *   The subnet scan logs in to every host of every network — it takes
+ *   minutes and can trip login lockouts on other devices. SADP asks
+ *   Hikvision devices to announce themselves in a few seconds. It
+ *   needs UDP multicast, which some networks block, so the HTTP scan
+ *   stays as the fallback.
  *
  * Dependencies (add to package.json):
  *   npm install axios dotenv
@@ -29,12 +39,21 @@ import * as fs        from "fs";
 import * as os        from "os";
 import * as path      from "path";
 import * as url       from "url";
-import * as crypto    from "crypto";
+import { DigestSession } from "./digestAuth.js";
+import { urlHost }      from "./hikvisionClient.js";
+import config from "./configLoader.js";
+import { discoverSadp, normaliseMac,
+         SADP_GROUP, SADP_PORT } from "./sadp.js";
+import { ipsForMac }    from "./arp.js";
+import { getPin, matchesPin, pinDevice,
+         knownIps, recordIp } from "./deviceRegistry.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("deviceDiscovery");
 
 /* ------------------------------------------------------------------ */
 /*  Optional XML parser — install with:  npm install xml2js            */
-/*  If not installed the raw XML string is still returned as-is        */
-/*  so the name-match can still work on the raw text.                  */
+/*  If not installed the fields are extracted with a regex instead.    */
 /* ------------------------------------------------------------------ */
 let parseXml = null;
 try {
@@ -52,51 +71,13 @@ try {
 const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
 const ENV_PATH  = path.resolve(__dirname, ".env");
 
-/* ================================================================== */
-/*  Digest-Auth (same lightweight implementation as hikvisionClient)   */
-/* ================================================================== */
-
-function digestParam(header, key) {
-  const q = header.match(new RegExp(`${key}="([^"]+)"`));
-  if (q) return q[1];
-  const u = header.match(new RegExp(`${key}=([^,\\s]+)`));
-  return u ? u[1] : "";
-}
-
-function buildDigestAuth(method, uri, username, password, wwwAuth) {
-  const realm  = digestParam(wwwAuth, "realm");
-  const nonce  = digestParam(wwwAuth, "nonce");
-  const qop    = digestParam(wwwAuth, "qop");
-  const opaque = digestParam(wwwAuth, "opaque");
-  const algo   = digestParam(wwwAuth, "algorithm") || "MD5";
-  const md5    = (s) => crypto.createHash("md5").update(s).digest("hex");
-
-  const ha1 = algo.toUpperCase() === "MD5-SESS"
-    ? md5(`${md5(`${username}:${realm}:${password}`)}:${nonce}:`)
-    : md5(`${username}:${realm}:${password}`);
-  const ha2 = md5(`${method}:${uri}`);
-
-  let response, extras = "";
-  if (qop === "auth" || qop === "auth-int") {
-    const nc = "00000001", cnonce = crypto.randomBytes(8).toString("hex");
-    response = md5(`${ha1}:${nonce}:${nc}:${cnonce}:${qop}:${ha2}`);
-    extras   = `, qop=${qop}, nc=${nc}, cnonce="${cnonce}"`;
-  } else {
-    response = md5(`${ha1}:${nonce}:${ha2}`);
-  }
-
-  return (
-    `Digest username="${username}", realm="${realm}", nonce="${nonce}", ` +
-    `uri="${uri}", algorithm=${algo}, response="${response}"` +
-    (opaque ? `, opaque="${opaque}"` : "") + extras
-  );
-}
-
 /* ================================================================== */
 /*  Low-level helpers                                                   */
 /* ================================================================== */
 
 const ISAPI_DEVICE_INFO = "/ISAPI/System/deviceInfo";
+const SADP_TARGET       = `${SADP_GROUP}:${SADP_PORT}`;
+const MAC_RE            = /^[0-9a-f]{2}([-:])(?:[0-9a-f]{2}\1){4}[0-9a-f]{2}$/i;
 const PROBE_TIMEOUT_MS  = 2_500;   // per-host timeout during subnet scan
 const SCAN_CONCURRENCY  = 30;      // hosts probed simultaneously
 
@@ -206,7 +187,7 @@ async function normaliseDeviceInfo(data, contentType) {
  */
 async function probeDevice(ip, port, username, password, useHttps = false) {
   const scheme  = useHttps ? "https" : "http";
-  const baseURL = `${scheme}://${ip}:${port}`;
+  const baseURL = `${scheme}://${urlHost(ip)}:${port}`;
 
   const http = axios.create({
     baseURL,
@@ -237,7 +218,9 @@ async function probeDevice(ip, port, username, password, useHttps = false) {
       if (!wwwAuth) continue;
 
       // ── Step 2: digest-authenticated request ──
-      const authHeader = buildDigestAuth("GET", reqPath, username, password, wwwAuth);
+      const digest = new DigestSession(username, password);
+      digest.challenge(wwwAuth);
+      const authHeader = digest.authorization("GET", reqPath);
       const authed = await http.get(reqPath, {
         headers: { Authorization: authHeader, Accept: accept },
       });
@@ -284,13 +267,14 @@ function isVirtualIface(name) {
 }
 
 /**
- * Collect ALL non-loopback IPv4 subnets (/24 bases) present on this
- * machine, sorted so real physical/WiFi adapters come first.
+ * Collect ALL non-loopback IPv4 networks present on this machine,
+ * with their real netmask, sorted so real physical/WiFi adapters
+ * come first.
  *
  * Returns an array of objects so callers can log interface names
- * alongside the subnet for easier debugging.
+ * alongside the network for easier debugging.
  *
- * @returns {{ name: string, address: string, subnet: string }[]}
+ * @returns {{ name: string, address: string, cidr: string }[]}
  */
 function detectAllSubnets() {
   const ifaces  = os.networkInterfaces();
@@ -299,8 +283,9 @@ function detectAllSubnets() {
   for (const [name, addrs] of Object.entries(ifaces)) {
     for (const addr of addrs) {
       if (addr.family !== "IPv4" || addr.internal) continue;
-      const subnet = addr.address.split(".").slice(0, 3).join(".");
-      results.push({ name, address: addr.address, subnet });
+      // cidr is null when the netmask is not contiguous — assume a /24
+      const cidr = parseCidr(addr.cidr ?? `${addr.address}/24`).cidr;
+      results.push({ name, address: addr.address, cidr });
     }
   }
 
@@ -321,14 +306,92 @@ function detectAllSubnets() {
   return results;
 }
 
+/* ================================================================== */
+/*  Address ranges                                                      */
+/* ================================================================== */
+
+/** "192.168.1.10" → 3232235786 */
+function ipToInt(ip) {
+  return ip.split(".").reduce((n, octet) => n * 256 + parseInt(octet, 10), 0);
+}
+
+/** 3232235786 → "192.168.1.10" */
+function intToIp(n) {
+  return [24, 16, 8, 0].map((shift) => Math.floor(n / 2 ** shift) % 256).join(".");
+}
+
 /**
- * Generate all 254 host addresses for a /24 subnet.
+ * Bounds of a CIDR range. Hosts exclude the network and broadcast
+ * addresses, except in /31 and /32 ranges which have none.
  *
- * @param {string} base  e.g. "192.168.1"
- * @returns {string[]}
+ * @param {string} cidr – "10.0.4.17/22" (host bits are ignored)
+ * @returns {AddressRange}
  */
-function subnetHosts(base) {
-  return Array.from({ length: 254 }, (_, i) => `${base}.${i + 1}`);
+function parseCidr(cidr) {
+  const [ip, bits] = cidr.split("/");
+  const prefix  = parseInt(bits ?? "32", 10);
+  const size    = 2 ** (32 - prefix);
+  const network = Math.floor(ipToInt(ip) / size) * size;
+  const edges   = prefix >= 31 ? 0 : 1;
+
+  return {
+    cidr : `${intToIp(network)}/${prefix}`,
+    start: network,
+    end  : network + size - 1,
+    first: network + edges,
+    last : network + size - 1 - edges,
+  };
+}
+
+/**
+ * Host addresses of a range in probing order: outward from `near`
+ * when it lies inside the range (a terminal that moved by DHCP usually
+ * lands close to its old address), else upward from the first host.
+ *
+ * @param {AddressRange} range
+ * @param {number|null}  near
+ * @returns {Generator<number>}
+ */
+function* rangeHosts(range, near) {
+  const center = near !== null && near >= range.first && near <= range.last ? near : range.first;
+  for (let d = 0; center - d >= range.first || center + d <= range.last; d++) {
+    if (center + d <= range.last)            yield center + d;
+    if (d > 0 && center - d >= range.first) yield center - d;
+  }
+}
+
+/**
+ * The hosts to probe: every range in order, skipping excluded and
+ * local addresses, until DISCOVERY_MAX_HOSTS is reached.
+ *
+ * @param {AddressRange[]} ranges
+ * @param {object}         opts
+ * @param {string}         opts.near     – the terminal's last known IP
+ * @param {string[]}       opts.local    – this machine's addresses
+ * @returns {{ hosts: string[], truncated: string[] }} truncated – ranges not fully covered
+ */
+function planScan(ranges, opts) {
+  const excluded = config.discovery.exclude.map(parseCidr);
+  const skip     = new Set(opts.local.map(ipToInt));
+  const near     = /^\d+\.\d+\.\d+\.\d+$/.test(opts.near ?? "") ? ipToInt(opts.near) : null;
+  const hosts    = [];
+  const truncated = [];
+
+  for (const range of ranges) {
+    let complete = true;
+    for (const n of rangeHosts(range, near)) {
+      if (skip.has(n) || excluded.some((x) => n >= x.start && n <= x.end)) continue;
+      if (hosts.length >= config.discovery.maxHosts) {
+        complete = false;
+        break;
+      }
+      skip.add(n);   // ranges may overlap
+      hosts.push(intToIp(n));
+    }
+    if (!complete) truncated.push(range.cidr);
+  }
+
+  return { hosts, truncated };
 }
 
 /* ================================================================== */
@@ -365,43 +428,51 @@ function updateEnvFile(key, newValue) {
 /*  Name matching                                                       */
 /* ================================================================== */
 
+/** Shortest TERMINAL_DEVICE_NAME accepted as the tail of a serial number. */
+const MIN_SERIAL_SUFFIX = 8;
+
 /**
- * Decide whether a DeviceInfo response is the target device.
+ * Decide whether a DeviceInfo response is the target device, before
+ * the terminal is pinned.
  *
- * Matching is case-insensitive and checks:
- *   • deviceName, model, serialNumber, macAddress
- *   • raw XML string (fallback — searches the whole body)
+ * Matching is case-insensitive and exact against deviceName,
+ * serialNumber or macAddress. The serial may also be given as its
+ * tail (e.g. "L12345678", as printed on the label). Model names are
+ * not matched — a second terminal of the same model would match too.
  *
- * @param {object} info         – normalised DeviceInfo from probeDevice()
+ * @param {object} info         – normalised DeviceInfo from probeDevice() (or a SadpDevice)
  * @param {string} targetName   – TERMINAL_DEVICE_NAME from .env
  * @returns {boolean}
  */
 function isTargetDevice(info, targetName) {
   if (!info || !targetName) return false;
-  const target = targetName.toLowerCase().trim();
+  const name   = targetName.trim();
+  // "44-47-CC-…" and "44:47:cc:…" are the same MAC; other names keep their dashes
+  if (MAC_RE.test(name)) return normaliseMac(info.macAddress) === normaliseMac(name);
 
-  const candidates = [
-    info.deviceName,
-    info.model,
-    info.serialNumber,
-    info.macAddress,
-  ].filter(Boolean).map((v) => String(v).toLowerCase().trim());
+  const target = name.toLowerCase();
+  const lower  = (v) => (v ? String(v).toLowerCase().trim() : "");
+  const serial = lower(info.serialNumber);
 
-  const fieldMatch = candidates.some(
-    (c) => c === target || c.includes(target) || target.includes(c)
+  return (
+    lower(info.deviceName) === target ||
+    serial === target ||
+    (target.length >= MIN_SERIAL_SUFFIX && serial.endsWith(target))
   );
-  if (fieldMatch) return true;
-
-  // Last resort: search the entire raw XML/JSON string
-  if (info._raw) {
-    const rawStr = (typeof info._raw === "string"
-      ? info._raw
-      : JSON.stringify(info._raw)
-    ).toLowerCase();
-    return rawStr.includes(target);
-  }
+}
 
-  return false;
+/**
+ * The test every discovery strategy applies: the pinned serial / MAC
+ * once the terminal is pinned, the device name until then.
+ *
+ * @param {import("./deviceRegistry.js").DevicePin|null} pin
+ * @param {string} deviceName
+ * @returns {(info: object) => boolean}
+ */
+function targetMatcher(pin, deviceName) {
+  return pin
+    ? (info) => Boolean(info) && matchesPin(pin, info)
+    : (info) => isTargetDevice(info, deviceName);
 }
 
 /* ================================================================== */
@@ -415,14 +486,15 @@ function isTargetDevice(info, targetName) {
  * @param {T[]}                items
  * @param {number}             concurrency
  * @param {(item: T) => Promise<R>} fn
+ * @param {() => boolean}      [stop] – checked before each item; true ends the run early
  * @returns {Promise<R[]>}
  */
-async function pMap(items, concurrency, fn) {
+async function pMap(items, concurrency, fn, stop = () => false) {
   const results = [];
   let   index   = 0;
 
   async function worker() {
-    while (index < items.length) {
+    while (index < items.length && !stop()) {
       const i = index++;
       results[i] = await fn(items[i]);
     }
@@ -436,14 +508,151 @@ async function pMap(items, concurrency, fn) {
   return results;
 }
 
+/* ================================================================== */
+/*  Discovery strategies                                                */
+/* ================================================================== */
+
+/**
+ * Find a pinned terminal without any broadcast: ask the IPs it was
+ * seen on before, then whatever IP the ARP table maps its MAC to.
+ *
+ * @param {object}                                    cfg    – as for ensureDeviceReachable()
+ * @param {import("./deviceRegistry.js").DevicePin}   pin
+ * @param {(info: object) => boolean}                 isOurs
+ * @returns {Promise<DeviceMatch|null>}
+ */
+async function findViaRegistry(cfg, pin, isOurs) {
+  const { host, port, username, password, useHttps } = cfg;
+  const tried = new Set([host]);
+
+  const cached = knownIps(pin).filter((ip) => !tried.has(ip));
+  if (cached.length > 0) {
+    log.info(`  Trying ${cached.length} previously known IP(s): ${cached.join(", ")} …`);
+  }
+  for (const ip of cached) {
+    tried.add(ip);
+    const info = await probeDevice(ip, port, username, password, useHttps);
+    if (isOurs(info)) return { ip, info, via: "cache" };
+  }
+
+  if (pin.macAddress) {
+    const fromArp = (await ipsForMac(pin.macAddress)).filter((ip) => !tried.has(ip));
+    if (fromArp.length > 0) {
+      log.info(`  ARP table has ${pin.macAddress} at ${fromArp.join(", ")} …`);
+    }
+    for (const ip of fromArp) {
+      const info = await probeDevice(ip, port, username, password, useHttps);
+      if (isOurs(info)) return { ip, info, via: "arp" };
+    }
+  }
+
+  log.info("  Not at any known address or in the ARP table.\n");
+  return null;
+}
+
+/**
+ * Find the terminal with a SADP multicast probe. Devices whose SADP
+ * reply already matches (pinned serial / MAC, or the device name) are
+ * confirmed first. Before the terminal is pinned the rest are then
+ * asked for their deviceInfo, since the friendly device name is only
+ * available over ISAPI; once pinned, SADP's serial and MAC suffice.
+ *
+ * @param {object}                    cfg    – as for ensureDeviceReachable()
+ * @param {boolean}                   pinned
+ * @param {(info: object) => boolean} isOurs
+ * @returns {Promise<DeviceMatch|null>}
+ */
+async function findViaSadp(cfg, pinned, isOurs) {
+  const { host, port, username, password, useHttps, deviceName } = cfg;
+
+  log.info(`  Sending SADP probe to ${SADP_TARGET} …`);
+  const devices = (await discoverSadp()).filter((d) => d.ip !== host);
+
+  if (devices.length === 0) {
+    log.info("  No device answered SADP (multicast may be blocked) — falling back to a subnet scan.\n");
+    return null;
+  }
+
+  for (const d of devices) {
+    log.info(
+      `  📡 SADP reply: ${d.ip}  [${d.model ?? "unknown model"}]  ` +
+      `serial: ${d.serialNumber ?? "—"}  mac: ${d.macAddress ?? "—"}` +
+      (d.activated ? "" : "  (not activated)")
+    );
+  }
+
+  const likely     = devices.filter(isOurs);
+  const others     = pinned ? [] : devices.filter((d) => !likely.includes(d));
+  const candidates = [...likely, ...others];
+  const confirmed  = [];
+
+  for (const d of candidates) {
+    const info = await probeDevice(d.ip, port, username, password, useHttps);
+    if (isOurs(info)) return { ip: d.ip, info, via: "sadp" };
+    if (info) confirmed.push(d.ip);
+  }
+
+  log.info(
+    `  ${devices.length} device(s) answered SADP, none matched ` +
+    (pinned ? "the pinned serial / MAC" : `TERMINAL_DEVICE_NAME="${deviceName}"`) +
+    (confirmed.length < candidates.length ? " or accepted the credentials" : "") +
+    " — falling back to a subnet scan.\n"
+  );
+  return null;
+}
+
+/**
+ * Switch to the discovered IP: pin the terminal if it is not pinned
+ * yet, record the IP change, rewrite the .env key and patch
+ * process.env so this process uses it without a restart.
+ *
+ * @param {DeviceMatch} match
+ * @param {object}      cfg – as for ensureDeviceReachable()
+ * @param {boolean}     pinned
+ * @returns {DiscoveryResult}
+ */
+function adoptDevice(match, cfg, pinned) {
+  const { host, deviceName } = cfg;
+  const hostEnvKey = cfg.hostEnvKey ?? "TERMINAL_HOST";
+  const newIp      = match.ip;
+
+  log.info(
+    `  ✔  Matched device "${deviceName}" → new IP: ${newIp}  (via ${match.via})`,
+    { previousIp: host, newIp, hostEnvKey, via: match.via }
+  );
+
+  try {
+    if (!pinned) pinDevice(hostEnvKey, deviceName, match.info, newIp);
+    recordIp(hostEnvKey, host, newIp, match.via);
+  } catch (err) {
+    log.warn(`  ⚠  Could not update the device registry: ${err.message}`);
+  }
+
+  log.info(`     Updating ${hostEnvKey} in .env …`);
+
+  try {
+    updateEnvFile(hostEnvKey, newIp);
+    // Also patch process.env so the running process uses the new IP
+    // immediately without needing a restart.
+    process.env[hostEnvKey] = newIp;
+    log.info(`  ✔  .env updated. ${hostEnvKey} is now ${newIp}\n`);
+  } catch (err) {
+    log.warn(`  ⚠  Could not write .env: ${err.message}`);
+    log.warn(`     Continuing with discovered IP ${newIp} for this session.\n`);
+  }
+
+  return { ip: newIp, changed: true, info: match.info };
+}
+
 /* ================================================================== */
 /*  Main export: ensureDeviceReachable                                  */
 /* ================================================================== */
 
 /**
- * Verify the configured terminal IP is reachable.
- * If not, scan the local subnet, find the matching Hikvision device
- * by name, update .env, and return the new IP.
+ * Verify the configured terminal IP is reachable and answered by the
+ * pinned device. If not, find the terminal — at a known IP, via the
+ * ARP table, via SADP or failing that a subnet scan — update .env,
+ * and return the new IP.
  *
  * @param {object} cfg
  * @param {string}  cfg.host           – current TERMINAL_HOST from config
@@ -452,27 +661,69 @@ async function pMap(items, concurrency, fn) {
  * @param {string}  cfg.password       – TERMINAL_PASSWORD
  * @param {boolean} cfg.useHttps       – TERMINAL_USE_HTTPS
  * @param {string}  cfg.deviceName     – TERMINAL_DEVICE_NAME (used to match device)
+ * @param {string}  [cfg.hostEnvKey="TERMINAL_HOST"] – .env key rewritten when the IP moves
+ * @param {string}  [cfg.label]        – terminal id shown in log lines (multi-terminal sites)
  *
  * @returns {Promise<DiscoveryResult>}
  */
 export async function ensureDeviceReachable(cfg) {
   const { host, port, username, password, useHttps, deviceName } = cfg;
+  const label      = cfg.label ? ` "${cfg.label}"` : "";
+  const hostEnvKey = cfg.hostEnvKey ?? "TERMINAL_HOST";
+  const pin        = getPin(hostEnvKey, deviceName);
+  const isOurs     = targetMatcher(pin, deviceName);
 
   /* ── 1. Try the configured IP first ─────────────────────────── */
-  console.log(`▶ Verifying terminal at ${host}:${port} …`);
+  log.info(`▶ Verifying terminal${label} at ${host}:${port} …`);
   const currentInfo = await probeDevice(host, port, username, password, useHttps);
 
-  if (currentInfo) {
-    console.log(`  ✔  Terminal reachable at ${host}`);
-    console.log(`     Model  : ${currentInfo.model        ?? "N/A"}`);
-    console.log(`     Serial : ${currentInfo.serialNumber ?? "N/A"}`);
-    console.log(`     Name   : ${currentInfo.deviceName   ?? "N/A"}`);
+  if (currentInfo && (!pin || isOurs(currentInfo))) {
+    log.info(`  ✔  Terminal${label} reachable at ${host}`);
+    log.info(`     Model  : ${currentInfo.model        ?? "N/A"}`);
+    log.info(`     Serial : ${currentInfo.serialNumber ?? "N/A"}`);
+    log.info(`     Name   : ${currentInfo.deviceName   ?? "N/A"}`);
+
+    try {
+      if (pin) {
+        // Only write when the IP differs from the last one seen (moved by hand)
+        const last = knownIps(pin)[0];
+        if (last !== host) recordIp(hostEnvKey, last ?? host, host, "configured");
+      } else if (isOurs(currentInfo)) {
+        pinDevice(hostEnvKey, deviceName, currentInfo, host);
+      } else if (deviceName) {
+        log.warn(
+          `  ⚠  The device at ${host} does not match TERMINAL_DEVICE_NAME="${deviceName}" — ` +
+          "using it, but it is not pinned and discovery cannot follow it."
+        );
+      }
+    } catch (err) {
+      log.warn(`  ⚠  Could not update the device registry: ${err.message}`);
+    }
+
     return { ip: host, changed: false, info: currentInfo };
   }
 
-  /* ── 2. Configured IP failed — begin subnet scan ────────────── */
-  console.warn(`  ⚠  Cannot reach ${host}. Starting subnet discovery …\n`);
+  /* ── 2. Configured IP failed — try known IPs and the ARP table ─ */
+  if (currentInfo) {
+    log.warn(
+      `  ⚠  ${host} is answered by another device (serial ${currentInfo.serialNumber ?? "—"}, ` +
+      `MAC ${currentInfo.macAddress ?? "—"}), not the one pinned to ${hostEnvKey} ` +
+      `(serial ${pin.serialNumber ?? "—"}, MAC ${pin.macAddress ?? "—"}). Starting discovery …\n`
+    );
+  } else {
+    log.warn(`  ⚠  Cannot reach${label} ${host}. Starting discovery …\n`);
+  }
+
+  if (pin) {
+    const viaRegistry = await findViaRegistry(cfg, pin, isOurs);
+    if (viaRegistry) return adoptDevice(viaRegistry, cfg, true);
+  }
 
+  /* ── 3. Ask SADP ─────────────────────────────────────────────── */
+  const viaSadp = await findViaSadp(cfg, Boolean(pin), isOurs);
+  if (viaSadp) return adoptDevice(viaSadp, cfg, Boolean(pin));
+
+  /* ── 4. Nothing via SADP — begin subnet scan ────────────────── */
   let subnets;
   try {
     subnets = detectAllSubnets();
@@ -481,108 +732,122 @@ export async function ensureDeviceReachable(cfg) {
   }
 
   // Log every detected interface so the user can see what was found
-  console.log("  Detected network interfaces:");
+  log.info("  Detected network interfaces:");
   for (const s of subnets) {
     const tag = isVirtualIface(s.name) ? " (virtual — lower priority)" : " ✔ (physical)";
-    console.log(`    ${s.name.padEnd(30)} ${s.address}  →  scanning ${s.subnet}.0/24${tag}`);
+    log.info(`    ${s.name.padEnd(30)} ${s.address}  →  ${s.cidr}${tag}`);
   }
-  console.log("");
+  log.info("");
 
-  // Deduplicate subnets (a machine may have multiple IPs on the same /24)
-  const uniqueSubnets = [...new Map(subnets.map((s) => [s.subnet, s])).values()];
+  // DISCOVERY_RANGES replaces the interface networks when set
+  const ranges = config.discovery.ranges.length > 0
+    ? config.discovery.ranges.map(parseCidr)
+    : subnets.map((s) => parseCidr(s.cidr));
+  const scanned = [...new Set(ranges.map((r) => r.cidr))].join(", ");
 
-  const found = [];   // { ip, info }
+  const { hosts, truncated } = planScan(ranges, { near: host, local: subnets.map((s) => s.address) });
 
-  for (const { name: ifaceName, subnet } of uniqueSubnets) {
-    const allHosts = subnetHosts(subnet);
-    console.log(
-      `  Scanning ${allHosts.length} hosts on ${subnet}.0/24` +
-      `  [interface: ${ifaceName}]`
+  log.info(
+    `  Scanning ${hosts.length} host(s) on ${scanned}` +
+    (config.discovery.ranges.length > 0 ? "  [DISCOVERY_RANGES]" : "")
+  );
+  log.info(`  Concurrency: ${SCAN_CONCURRENCY}, timeout per host: ${PROBE_TIMEOUT_MS}ms`);
+  if (config.discovery.exclude.length > 0) {
+    log.info(`  Excluded: ${config.discovery.exclude.join(", ")}`);
+  }
+  if (truncated.length > 0) {
+    log.warn(
+      `  ⚠  DISCOVERY_MAX_HOSTS=${config.discovery.maxHosts} reached — ${truncated.join(", ")} ` +
+      `not fully covered (hosts nearest ${host} go first).`
     );
-    console.log(`  Concurrency: ${SCAN_CONCURRENCY}, timeout per host: ${PROBE_TIMEOUT_MS}ms`);
-
-    await pMap(allHosts, SCAN_CONCURRENCY, async (ip) => {
-      const info = await probeDevice(ip, port, username, password, useHttps);
-      if (info) {
-        const name   = info.deviceName   ?? "";
-        const model  = info.model        ?? "";
-        const serial = info.serialNumber ?? "";
-        console.log(
-          `  📡 Hikvision found: ${ip}  ` +
-          `[${model || "unknown model"}]  \nserial: ${serial}  \nname: "${name}"`
-        );
-        found.push({ ip, info });
-      }
-    });
+  }
 
-    console.log(`  Done scanning ${subnet}.0/24\n`);
+  const found     = [];   // { ip, info }
+  const startedAt = Date.now();
+  const step      = Math.max(Math.ceil(hosts.length / 10), SCAN_CONCURRENCY);
+  const seconds   = () => ((Date.now() - startedAt) / 1000).toFixed(1);
+  const matched   = () => found.some(({ info }) => isOurs(info));
+  let   probed    = 0;
+
+  await pMap(hosts, SCAN_CONCURRENCY, async (ip) => {
+    const info = await probeDevice(ip, port, username, password, useHttps);
+    if (info) {
+      const name   = info.deviceName   ?? "";
+      const model  = info.model        ?? "";
+      const serial = info.serialNumber ?? "";
+      log.info(
+        `  📡 Hikvision found: ${ip}  ` +
+        `[${model || "unknown model"}]  \nserial: ${serial}  \nname: "${name}"`
+      );
+      found.push({ ip, info });
+    }
 
-    // Stop early if we already matched the target device
-    if (deviceName && found.some(({ info }) => isTargetDevice(info, deviceName))) {
-      console.log("  ✔  Target device already found — skipping remaining subnets.\n");
-      break;
+    probed += 1;
+    if (probed % step === 0 && probed < hosts.length) {
+      log.info(
+        `  … ${probed}/${hosts.length} probed (${Math.round((probed / hosts.length) * 100)}%), ` +
+        `${found.length} device(s) found, ${seconds()}s`
+      );
     }
-  }
+  }, matched);   // stop as soon as the target answers
 
-  console.log(`  Scan complete. ${found.length} Hikvision device(s) found across all subnets.\n`);
+  if (matched()) {
+    log.info("  ✔  Target device found — skipping the remaining hosts.");
+  }
+  log.info(
+    `  Scan complete. ${found.length} Hikvision device(s) found, ${probed} host(s) probed in ${seconds()}s.\n`,
+    { probed, found: found.length, durationMs: Date.now() - startedAt, ranges: scanned }
+  );
 
   if (found.length === 0) {
-    const scannedSubnets = uniqueSubnets.map((s) => `${s.subnet}.0/24`).join(", ");
     throw new Error(
-      `No Hikvision devices responded on: ${scannedSubnets}\n` +
+      `No Hikvision devices responded on: ${scanned}\n` +
       `  • Ensure the terminal is powered on and connected to the same network.\n` +
       `  • Confirm the admin credentials in .env are correct.\n` +
       `  • Check that HTTP port ${port} is not firewalled.\n` +
-      `  • If on a different subnet, set TERMINAL_HOST manually in .env.`
+      `  • If on a different subnet, set TERMINAL_HOST manually in .env,\n` +
+      `    or list its network in DISCOVERY_RANGES.`
     );
   }
 
-  /* ── 3. Match by device name ────────────────────────────────── */
+  /* ── 5. Match by pinned identity or device name ─────────────── */
   if (!deviceName) {
     throw new Error(
       `TERMINAL_DEVICE_NAME is not set in .env.\n` +
-      `  Set it to the device name, model, or serial shown above so\n` +
+      `  Set it to the device name, serial or MAC shown above so\n` +
       `  the middleware knows which device to connect to.`
     );
   }
 
-  const match = found.find(({ info }) => isTargetDevice(info, deviceName));
+  const match = found.find(({ info }) => isOurs(info));
 
   if (!match) {
     // Print all found devices to help the user configure the name
-    console.error(`  ✖  No device matched TERMINAL_DEVICE_NAME="${deviceName}"\n`);
-    console.error("  Devices found on the network:\n");
+    log.error(
+      pin
+        ? `  ✖  No device matched the serial ${pin.serialNumber ?? "—"} / MAC ${pin.macAddress ?? "—"} ` +
+          `pinned to ${hostEnvKey}\n`
+        : `  ✖  No device matched TERMINAL_DEVICE_NAME="${deviceName}"\n`
+    );
+    log.error("  Devices found on the network:\n");
     found.forEach(({ ip, info }) => {
-      console.error(`    IP: ${ip}`);
-      console.error(`      deviceName   : ${info.deviceName   ?? "—"}`);
-      console.error(`      model        : ${info.model        ?? "—"}`);
-      console.error(`      serialNumber : ${info.serialNumber ?? "—"}`);
-      console.error(`      macAddress   : ${info.macAddress   ?? "—"}\n`);
+      log.error(`    IP: ${ip}`);
+      log.error(`      deviceName   : ${info.deviceName   ?? "—"}`);
+      log.error(`      model        : ${info.model        ?? "—"}`);
+      log.error(`      serialNumber : ${info.serialNumber ?? "—"}`);
+      log.error(`      macAddress   : ${info.macAddress   ?? "—"}\n`);
     });
-    console.error(
-      `  Set TERMINAL_DEVICE_NAME in .env to one of the values above\n` +
-      `  (deviceName, model, or serialNumber all work).`
+    log.error(
+      pin
+        ? `  If the terminal was replaced, set TERMINAL_DEVICE_NAME in .env to the\n` +
+          `  new device's deviceName or serialNumber — it is then pinned again.`
+        : `  Set TERMINAL_DEVICE_NAME in .env to one of the values above\n` +
+          `  (deviceName, serialNumber or macAddress).`
     );
     throw new Error(`Device matching "${deviceName}" not found on the network.`);
   }
 
-  /* ── 4. Match found — update .env ───────────────────────────── */
-  const newIp = match.ip;
-  console.log(`  ✔  Matched device "${deviceName}" → new IP: ${newIp}`);
-  console.log(`     Updating TERMINAL_HOST in .env …`);
-
-  try {
-    updateEnvFile("TERMINAL_HOST", newIp);
-    // Also patch process.env so the running process uses the new IP
-    // immediately without needing a restart.
-    process.env.TERMINAL_HOST = newIp;
-    console.log(`  ✔  .env updated. TERMINAL_HOST is now ${newIp}\n`);
-  } catch (err) {
-    console.warn(`  ⚠  Could not write .env: ${err.message}`);
-    console.warn(`     Continuing with discovered IP ${newIp} for this session.\n`);
-  }
-
-  return { ip: newIp, changed: true, info: match.info };
+  return adoptDevice({ ...match, via: "scan" }, cfg, Boolean(pin));
 }
 
 /* ================================================================== */
@@ -594,4 +859,18 @@ export async function ensureDeviceReachable(cfg) {
  * @property {string}  ip      – the IP address of the reachable terminal
  * @property {boolean} changed – true if the IP was different from .env
  * @property {object}  info    – raw DeviceInfo returned by the terminal
- */
\ No newline at end of file
+ */
+/**
+ * @typedef {object} DeviceMatch
+ * @property {string} ip
+ * @property {object} info – DeviceInfo returned by the terminal
+ * @property {"cache"|"arp"|"sadp"|"scan"} via – strategy that found it
+ */
+/**
+ * @typedef {object} AddressRange
+ * @property {string} cidr  – normalised, e.g. "10.0.4.0/22"
+ * @property {number} start – network address (as an integer)
+ * @property {number} end   – broadcast address
+ * @property {number} first – first host address
+ * @property {number} last  – last host address
+ */
@@ -0,0 +1,196 @@
+/**
+ * deviceRegistry.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Known Terminals (identity pins, IP history, audit log)
+ * Responsibility:
+ *   • Pin each terminal to its serial number and MAC address the
+ *     first time it is matched, so discovery can never adopt another
+ *     device — not even a second terminal of the same model
+ *   • Remember every IP a terminal has been seen on, so discovery
+ *     can try those before any scan
+ *   • Append every IP change to an audit log (DEVICE_AUDIT_LOG_PATH)
+ *
+ * Terminals are keyed by their .env host key (TERMINAL_HOST,
+ * TERMINAL_GATE_HOST, …). A pin is dropped when TERMINAL_DEVICE_NAME
+ * is changed, so replacing a terminal only needs a new device name.
+ *
+ * data/devices.json:
+ *   {
+ *     "TERMINAL_HOST": {
+ *       "name": "GL0274831", "serialNumber": "DS-K1T342MFX-E1…", "macAddress": "44:47:cc:0a:1b:2c",
+ *       "model": "DS-K1T342MFX-E1", "pinnedAt": "2024-11-20T07:45:02.114Z",
+ *       "ips": [ { "ip": "192.168.1.64", "lastSeenAt": "2024-11-21T06:00:03.020Z" } ]
+ *     }
+ *   }
+ *
+ * Audit line (data/device_ip_changes.log):
+ *   {"ts":"…","hostEnvKey":"TERMINAL_HOST","serialNumber":"…","macAddress":"…",
+ *    "from":"192.168.1.64","to":"192.168.1.71","via":"sadp"}
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import * as fs   from "fs";
+import * as path from "path";
+import config    from "./configLoader.js";
+import { readJsonFile, writeJsonAtomic } from "./fileStore.js";
+import { normaliseMac } from "./sadp.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("deviceRegistry");
+
+/** IPs remembered per terminal — the oldest are forgotten. */
+const MAX_KNOWN_IPS = 10;
+
+/* ================================================================== */
+/*  Storage                                                             */
+/* ================================================================== */
+
+/** @returns {Record<string, DevicePin>} */
+function load() {
+  return readJsonFile(
+    path.resolve(config.discovery.registryFilePath),
+    () => ({}),
+    (d) => d && typeof d === "object" && !Array.isArray(d)
+  );
+}
+
+/** @param {Record<string, DevicePin>} registry */
+function save(registry) {
+  writeJsonAtomic(path.resolve(config.discovery.registryFilePath), registry);
+}
+
+/* ================================================================== */
+/*  Public API                                                          */
+/* ================================================================== */
+
+/**
+ * The pin for a terminal, or null if it has none yet — or had one
+ * for a different TERMINAL_DEVICE_NAME.
+ *
+ * @param {string} hostEnvKey
+ * @param {string} deviceName – current TERMINAL_DEVICE_NAME
+ * @returns {DevicePin|null}
+ */
+export function getPin(hostEnvKey, deviceName) {
+  const pin = load()[hostEnvKey];
+  if (!pin) return null;
+  if (pin.name !== deviceName) {
+    log.info(`  TERMINAL_DEVICE_NAME changed ("${pin.name}" → "${deviceName}") — ${hostEnvKey} will be pinned again.`);
+    return null;
+  }
+  return pin;
+}
+
+/**
+ * True when a device is the pinned one: same serial number, or same
+ * MAC when either side has no serial.
+ *
+ * @param {DevicePin} pin
+ * @param {{ serialNumber?: string|null, macAddress?: string|null }} info
+ * @returns {boolean}
+ */
+export function matchesPin(pin, info) {
+  const serial = (v) => (v ? String(v).trim().toLowerCase() : null);
+  if (serial(pin.serialNumber) && serial(info.serialNumber)) {
+    return serial(pin.serialNumber) === serial(info.serialNumber);
+  }
+  return Boolean(pin.macAddress) && normaliseMac(info.macAddress) === pin.macAddress;
+}
+
+/**
+ * Pin a terminal to the device just matched, and record its IP.
+ *
+ * @param {string} hostEnvKey
+ * @param {string} deviceName
+ * @param {object} info – DeviceInfo from the terminal
+ * @param {string} ip
+ * @returns {DevicePin}
+ */
+export function pinDevice(hostEnvKey, deviceName, info, ip) {
+  const registry = load();
+  const pin = {
+    name        : deviceName,
+    serialNumber: info.serialNumber ?? null,
+    macAddress  : normaliseMac(info.macAddress),
+    model       : info.model ?? null,
+    pinnedAt    : new Date().toISOString(),
+    ips         : [{ ip, lastSeenAt: new Date().toISOString() }],
+  };
+  registry[hostEnvKey] = pin;
+  save(registry);
+
+  log.info(
+    `  📌 ${hostEnvKey} pinned to serial ${pin.serialNumber ?? "—"}, MAC ${pin.macAddress ?? "—"}`,
+    { hostEnvKey, serialNumber: pin.serialNumber, macAddress: pin.macAddress, ip }
+  );
+  return pin;
+}
+
+/**
+ * IPs the terminal has been seen on, most recent first.
+ *
+ * @param {DevicePin} pin
+ * @returns {string[]}
+ */
+export function knownIps(pin) {
+  return [...pin.ips].sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt)).map((e) => e.ip);
+}
+
+/**
+ * Record that the pinned terminal answered on `ip`. When that is a new
+ * IP the change goes to the audit log.
+ *
+ * @param {string} hostEnvKey
+ * @param {string} from – IP it was configured on
+ * @param {string} to   – IP it was found on
+ * @param {"configured"|"cache"|"arp"|"sadp"|"scan"} via – how it was found
+ */
+export function recordIp(hostEnvKey, from, to, via) {
+  const registry = load();
+  const pin      = registry[hostEnvKey];
+  if (!pin) return;
+
+  const now   = new Date().toISOString();
+  const entry = pin.ips.find((e) => e.ip === to);
+  if (entry) entry.lastSeenAt = now;
+  else pin.ips.push({ ip: to, lastSeenAt: now });
+
+  pin.ips = pin.ips
+    .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt))
+    .slice(0, MAX_KNOWN_IPS);
+  save(registry);
+
+  if (from !== to) {
+    auditIpChange({ hostEnvKey, serialNumber: pin.serialNumber, macAddress: pin.macAddress, from, to, via });
+  }
+}
+
+/**
+ * Append one IP change to DEVICE_AUDIT_LOG_PATH. A failed write is
+ * logged, never thrown — losing an audit line must not stop the sync.
+ *
+ * @param {object} change
+ */
+function auditIpChange(change) {
+  const file = path.resolve(config.discovery.auditLogPath);
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, `${JSON.stringify({ ts: new Date().toISOString(), ...change })}\n`, "utf8");
+  } catch (err) {
+    log.warn(`  ⚠  Could not write the IP change to ${file}: ${err.message}`);
+  }
+}
+
+/* ================================================================== */
+/*  Types                                                               */
+/* ================================================================== */
+
+/**
+ * @typedef {object} DevicePin
+ * @property {string}      name          – TERMINAL_DEVICE_NAME when pinned
+ * @property {string|null} serialNumber
+ * @property {string|null} macAddress    – "44:47:cc:0a:1b:2c"
+ * @property {string|null} model
+ * @property {string}      pinnedAt      – ISO timestamp
+ * @property {{ ip: string, lastSeenAt: string }[]} ips – most recent first
+ */
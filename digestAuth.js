@@ -0,0 +1,247 @@
+/**
+ * digestAuth.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: HTTP Digest Authentication (RFC 7616)
+ * Responsibility:
+ *   • Parse WWW-Authenticate challenges, picking the strongest one
+ *     when the device offers several (SHA-256 before MD5)
+ *   • Compute responses for MD5, MD5-sess, SHA-256 and SHA-256-sess,
+ *     with qop "auth" or "auth-int" (which hashes the request body)
+ *   • Keep the challenge between requests and count nonce use, so a
+ *     client only needs the unauthenticated round trip once — not
+ *     before every call — until the device re-challenges
+ *
+ * Shared by hikvisionClient.js, deviceDiscovery.js and the terminal
+ * simulator (which checks responses with digestResponse()).
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import * as crypto from "crypto";
+
+/** Hash function behind each algorithm ("-sess" variants share it). */
+const HASHES = Object.freeze({
+  "MD5"    : "md5",
+  "SHA-256": "sha256",
+});
+
+/** Preference when a device offers several challenges — strongest first. */
+const PREFERENCE = ["SHA-256-SESS", "SHA-256", "MD5-SESS", "MD5"];
+
+/* ================================================================== */
+/*  Challenge parsing                                                   */
+/* ================================================================== */
+
+/**
+ * Parse "key=value, key="quoted value"" parameters.
+ *
+ * @param {string} text
+ * @returns {Record<string, string>}
+ */
+function parseParams(text) {
+  const params = {};
+  for (const m of text.matchAll(/([\w-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^,\s]*))/g)) {
+    params[m[1].toLowerCase()] = m[2] !== undefined ? m[2].replace(/\\(.)/g, "$1") : m[3];
+  }
+  return params;
+}
+
+/**
+ * Parse a WWW-Authenticate header. Several Digest challenges may
+ * arrive joined by commas (Node merges repeated headers); the one
+ * with the strongest supported algorithm is returned.
+ *
+ * @param {string|string[]} header
+ * @returns {DigestChallenge|null} null if there is no usable Digest challenge
+ */
+export function parseChallenge(header) {
+  const text       = Array.isArray(header) ? header.join(", ") : String(header ?? "");
+  const challenges = text
+    .split(/,?\s*(?=\bDigest\s)/i)
+    .filter((c) => /^Digest\s/i.test(c))
+    .map((c) => {
+      const p   = parseParams(c.slice(7));
+      const qop = (p.qop ?? "").split(",").map((q) => q.trim().toLowerCase()).filter(Boolean);
+      return {
+        realm    : p.realm  ?? "",
+        nonce    : p.nonce  ?? "",
+        opaque   : p.opaque ?? null,
+        algorithm: p.algorithm ?? "MD5",
+        qop,
+        stale    : /^true$/i.test(p.stale ?? ""),
+      };
+    })
+    .filter((c) => c.nonce && PREFERENCE.includes(c.algorithm.toUpperCase()));
+
+  const rank = (c) => PREFERENCE.indexOf(c.algorithm.toUpperCase());
+  challenges.sort((a, b) => rank(a) - rank(b));
+  return challenges[0] ?? null;
+}
+
+/* ================================================================== */
+/*  Response computation                                                */
+/* ================================================================== */
+
+/**
+ * Hash function for an algorithm name.
+ *
+ * @param {string} algorithm – e.g. "SHA-256-sess"
+ * @returns {(data: string|Buffer) => string} hex digest
+ */
+function hasher(algorithm) {
+  const name = HASHES[algorithm.toUpperCase().replace(/-SESS$/, "")];
+  if (!name) throw new Error(`Unsupported Digest algorithm "${algorithm}".`);
+  return (data) => crypto.createHash(name).update(data).digest("hex");
+}
+
+/**
+ * The "response" value of a Digest Authorization header. Used by the
+ * client to answer and by the simulator to check an answer.
+ *
+ * @param {object}        p
+ * @param {string}        p.algorithm
+ * @param {string}        p.username
+ * @param {string}        p.password
+ * @param {string}        p.realm
+ * @param {string}        p.nonce
+ * @param {string}        p.method
+ * @param {string}        p.uri
+ * @param {string|null}   [p.qop]     – "auth" | "auth-int" | null (RFC 2069 style)
+ * @param {string}        [p.nc]      – 8 hex digits
+ * @param {string}        [p.cnonce]
+ * @param {string|Buffer} [p.body=""] – request body, hashed for auth-int
+ * @returns {string}
+ */
+export function digestResponse(p) {
+  const H = hasher(p.algorithm);
+
+  let ha1 = H(`${p.username}:${p.realm}:${p.password}`);
+  if (/-SESS$/i.test(p.algorithm)) ha1 = H(`${ha1}:${p.nonce}:${p.cnonce}`);
+
+  const ha2 = p.qop === "auth-int"
+    ? H(`${p.method.toUpperCase()}:${p.uri}:${H(p.body ?? "")}`)
+    : H(`${p.method.toUpperCase()}:${p.uri}`);
+
+  return p.qop
+    ? H(`${ha1}:${p.nonce}:${p.nc}:${p.cnonce}:${p.qop}:${ha2}`)
+    : H(`${ha1}:${p.nonce}:${ha2}`);
+}
+
+/* ================================================================== */
+/*  DigestSession                                                       */
+/* ================================================================== */
+
+/**
+ * Digest credentials for one device. Remembers the last challenge
+ * and counts how often its nonce was used, as RFC 7616 requires.
+ * Requests must reach the device in the order authorization() was
+ * called — strict firmware rejects a nonce count that goes backwards —
+ * so callers sharing a session send one request at a time
+ * (HikvisionClient queues them).
+ *
+ *   const digest = new DigestSession(username, password);
+ *   let res = await send(digest.authorization("GET", uri));   // null → no header yet
+ *   if (res.status === 401) {
+ *     digest.challenge(res.headers["www-authenticate"]);
+ *     res = await send(digest.authorization("GET", uri));
+ *   }
+ */
+export class DigestSession {
+  /** @type {DigestChallenge|null} */
+  #challenge = null;
+  #nc        = 0;
+
+  /**
+   * @param {string} username
+   * @param {string} password
+   */
+  constructor(username, password) {
+    this.username = username;
+    this.password = password;
+  }
+
+  /** True once a challenge has been received. */
+  get ready() {
+    return this.#challenge !== null;
+  }
+
+  /**
+   * Take a new challenge from a 401 response. The nonce count starts
+   * again for the new nonce.
+   *
+   * @param {string|string[]} wwwAuthHeader
+   * @returns {DigestChallenge}
+   * @throws {Error} when the header holds no Digest challenge this module supports
+   */
+  challenge(wwwAuthHeader) {
+    const parsed = parseChallenge(wwwAuthHeader);
+    if (!parsed) {
+      throw new Error(`Unsupported authentication challenge: ${String(wwwAuthHeader).slice(0, 120)}`);
+    }
+    this.#challenge = parsed;
+    this.#nc        = 0;
+    return parsed;
+  }
+
+  /** Forget the challenge — the next request goes out unauthenticated. */
+  reset() {
+    this.#challenge = null;
+    this.#nc        = 0;
+  }
+
+  /**
+   * Authorization header for a request, or null before the first
+   * challenge. Every call uses the nonce once more.
+   *
+   * @param {string}        method
+   * @param {string}        uri    – request target exactly as sent, query string included
+   * @param {string|Buffer} [body] – needed when the device insists on auth-int
+   * @returns {string|null}
+   */
+  authorization(method, uri, body = "") {
+    const c = this.#challenge;
+    if (!c) return null;
+
+    // Prefer plain "auth": every ISAPI firmware implements it, while
+    // auth-int is offered by some firmware it is broken on (body hashed
+    // differently, multipart uploads refused) — so only use it when it
+    // is the sole qop the device offers
+    const qop    = c.qop.includes("auth") ? "auth" : c.qop.includes("auth-int") ? "auth-int" : null;
+    const nc     = (++this.#nc).toString(16).padStart(8, "0");
+    const cnonce = crypto.randomBytes(8).toString("hex");
+
+    const response = digestResponse({
+      algorithm: c.algorithm,
+      username : this.username,
+      password : this.password,
+      realm    : c.realm,
+      nonce    : c.nonce,
+      method,
+      uri,
+      qop,
+      nc,
+      cnonce,
+      body,
+    });
+
+    return (
+      `Digest username="${this.username}", realm="${c.realm}", nonce="${c.nonce}", ` +
+      `uri="${uri}", algorithm=${c.algorithm}, response="${response}"` +
+      (c.opaque ? `, opaque="${c.opaque}"` : "") +
+      (qop ? `, qop=${qop}, nc=${nc}, cnonce="${cnonce}"` : "")
+    );
+  }
+}
+
+/* ================================================================== */
+/*  Types                                                               */
+/* ================================================================== */
+
+/**
+ * @typedef {object} DigestChallenge
+ * @property {string}      realm
+ * @property {string}      nonce
+ * @property {string|null} opaque
+ * @property {string}      algorithm – as the device wrote it, e.g. "SHA-256-sess"
+ * @property {string[]}    qop       – offered qop values, e.g. ["auth", "auth-int"]
+ * @property {boolean}     stale     – true when only the nonce expired, not the credentials
+ */
@@ -0,0 +1,115 @@
+/**
+ * eventCodes.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Access-Control Event Codes
+ * Responsibility:
+ *   • Name the ISAPI major / minor event codes the terminal logs
+ *   • Decide which events count as attendance: only those on the
+ *     ATTENDANCE_EVENT_TYPES allow-list (by default successful
+ *     face, card and fingerprint authentications)
+ *   • Recognise failed authentication attempts, which are reported
+ *     per student instead of being sent as attendance
+ *
+ * The terminal search asks for every event (major 0, minor 0), so
+ * door alarms, tamper alerts, remote-open operations and "face not
+ * matched" failures all arrive — some of them with an employeeNo.
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import config from "./configLoader.js";
+
+/* ================================================================== */
+/*  Code tables                                                         */
+/* ================================================================== */
+
+/** Major categories (AcsEvent `major`). */
+const MAJOR = Object.freeze({
+  ALARM    : 1,
+  EXCEPTION: 2,
+  OPERATION: 3,
+  EVENT    : 5,
+});
+
+/** Readable names for the major categories. */
+const MAJOR_NAMES = {
+  [MAJOR.ALARM]    : "Alarm",
+  [MAJOR.EXCEPTION]: "Exception",
+  [MAJOR.OPERATION]: "Operation",
+  [MAJOR.EVENT]    : "Access event",
+};
+
+/**
+ * Readable names for the "major:minor" codes a face terminal logs
+ * most often. `failed` marks an authentication attempt that did not
+ * let the person through.
+ *
+ * @type {Readonly<Record<string, { name: string, failed?: boolean }>>}
+ */
+const EVENT_CODES = Object.freeze({
+  "5:1"   : { name: "Card authenticated" },
+  "5:2"   : { name: "Card + password authenticated" },
+  "5:3"   : { name: "Card + password failed",            failed: true },
+  "5:6"   : { name: "Card has no access permission",     failed: true },
+  "5:7"   : { name: "Card outside its valid period",     failed: true },
+  "5:8"   : { name: "Card expired",                      failed: true },
+  "5:9"   : { name: "Card not registered",               failed: true },
+  "5:21"  : { name: "Door unlocked" },
+  "5:22"  : { name: "Door locked" },
+  "5:23"  : { name: "Door opened abnormally" },
+  "5:24"  : { name: "Door left open" },
+  "5:38"  : { name: "Fingerprint authenticated" },
+  "5:39"  : { name: "Fingerprint not matched",           failed: true },
+  "5:40"  : { name: "Card + fingerprint authenticated" },
+  "5:41"  : { name: "Card + fingerprint failed",         failed: true },
+  "5:75"  : { name: "Face authenticated" },
+  "5:76"  : { name: "Face authentication failed",        failed: true },
+  "3:1024": { name: "Door opened remotely" },
+});
+
+/* ================================================================== */
+/*  Public API                                                          */
+/* ================================================================== */
+
+/**
+ * Readable name for an event code, e.g. "Face authenticated".
+ * Unknown codes are named after their major category.
+ *
+ * @param {number|null} major
+ * @param {number|null} minor
+ * @returns {string}
+ */
+export function eventName(major, minor) {
+  const known = EVENT_CODES[`${major}:${minor}`];
+  if (known) return known.name;
+  return `${MAJOR_NAMES[major] ?? "Event"} (major ${major ?? "?"}, minor ${minor ?? "?"})`;
+}
+
+/**
+ * True when an event is on the ATTENDANCE_EVENT_TYPES allow-list.
+ *
+ * Events stored before the major code was recorded only have to
+ * match on the minor code.
+ *
+ * @param {import('./hikvisionClient.js').AttendanceRecord} record
+ * @returns {boolean}
+ */
+export function isAttendanceEvent(record) {
+  const major = record.eventMajor ?? null;
+  const minor = record.eventType  ?? null;
+
+  return config.sync.eventTypes.some((rule) =>
+    (major === null || rule.major === major) &&
+    (rule.minor === null || rule.minor === minor)
+  );
+}
+
+/**
+ * True when an event is a failed authentication attempt.
+ *
+ * @param {import('./hikvisionClient.js').AttendanceRecord} record
+ * @returns {boolean}
+ */
+export function isFailedAuth(record) {
+  const major = record.eventMajor ?? MAJOR.EVENT;
+  return EVENT_CODES[`${major}:${record.eventType}`]?.failed === true;
+}
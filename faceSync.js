@@ -0,0 +1,281 @@
+/**
+ * faceSync.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Face Photo Enrolment
+ * Responsibility:
+ *   • Download each student's photo from the cloud (photo_url on
+ *     the roster, see roster.js)
+ *   • Check it against what the DS-K1T342MFX-E1 accepts before
+ *     uploading: JPEG only, FACE_MAX_BYTES, FACE_MIN_PX–FACE_MAX_PX
+ *   • Upload it to the person with the matching employeeNo
+ *   • Report every photo that was not enrolled and why — invalid
+ *     file, download failure, or rejected by the terminal (no face
+ *     found, poor quality)
+ *
+ * Only persons with no face on the terminal get one, so re-running
+ * after fixing the rejected photos just fills the gaps. --force
+ * replaces every face.
+ *
+ * Usage:
+ *   node index.js --sync-faces [--force]
+ *
+ * Run  node index.js --sync-roster --apply  first — a face can only
+ * be attached to a person who already exists on the terminal.
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import axios                     from "axios";
+import { HikvisionClient }       from "./hikvisionClient.js";
+import { ensureDeviceReachable } from "./deviceDiscovery.js";
+import { fetchRoster }           from "./roster.js";
+import { createLogger }          from "./logger.js";
+import config                    from "./configLoader.js";
+
+const log = createLogger("faceSync");
+
+/* ================================================================== */
+/*  Constants                                                           */
+/* ================================================================== */
+
+/** Largest face picture the terminal accepts. */
+const FACE_MAX_BYTES = 200 * 1024;
+
+/** Smallest / largest width and height, in pixels. */
+const FACE_MIN_PX = 60;
+const FACE_MAX_PX = 1920;
+
+/* ================================================================== */
+/*  Photo checks                                                        */
+/* ================================================================== */
+
+/**
+ * Width and height from a JPEG's start-of-frame segment.
+ *
+ * @param {Buffer} buf
+ * @returns {{ width: number, height: number }|null}
+ */
+function jpegSize(buf) {
+  let i = 2;
+  while (i + 9 < buf.length) {
+    if (buf[i] !== 0xff) return null;
+    const marker = buf[i + 1];
+    const length = buf.readUInt16BE(i + 2);
+
+    // SOF0–SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buf.readUInt16BE(i + 5), width: buf.readUInt16BE(i + 7) };
+    }
+    i += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * Why a photo cannot be uploaded as it is, or null if it looks fine.
+ *
+ * @param {Buffer} buf
+ * @returns {string|null}
+ */
+export function checkPhoto(buf) {
+  if (buf.length >= 8 && buf.toString("hex", 0, 8) === "89504e470d0a1a0a") {
+    return "PNG — the terminal only accepts JPEG";
+  }
+  if (buf.length < 4 || buf[0] !== 0xff || buf[1] !== 0xd8 || buf[2] !== 0xff) {
+    return "not a JPEG image";
+  }
+  if (buf.length > FACE_MAX_BYTES) {
+    return `${Math.ceil(buf.length / 1024)} KB — larger than ${FACE_MAX_BYTES / 1024} KB`;
+  }
+
+  const size = jpegSize(buf);
+  if (!size) return "unreadable JPEG (no image size found)";
+
+  const { width, height } = size;
+  if (Math.min(width, height) < FACE_MIN_PX || Math.max(width, height) > FACE_MAX_PX) {
+    return `${width}×${height} px — must be between ${FACE_MIN_PX} and ${FACE_MAX_PX} px per side`;
+  }
+  return null;
+}
+
+/**
+ * Readable reason for a picture the terminal refused.
+ *
+ * @param {Error & { response?: any }} err
+ * @returns {string}
+ */
+function rejectionReason(err) {
+  const status = err.response?.ResponseStatus ?? err.response ?? {};
+  const code   = status.subStatusCode ?? status.errorMsg ?? null;
+  if (!code) return err.message.split("\n")[0];
+
+  const hint = /face|model/i.test(code)               ? "no usable face found — retake the photo"
+             : /quality|clar|blur|light/i.test(code) ? "poor image quality — retake the photo"
+             : null;
+  return hint ? `${hint} (${code})` : `${status.statusString ?? "refused"} (${code})`;
+}
+
+/* ================================================================== */
+/*  Download                                                            */
+/* ================================================================== */
+
+/**
+ * Download a photo from the cloud.
+ *
+ * @param {string} photoUrl – absolute, or relative to CLOUD_API_BASE_URL
+ * @returns {Promise<Buffer>}
+ */
+async function downloadPhoto(photoUrl) {
+  const url = /^https?:\/\//i.test(photoUrl) ? photoUrl : `${config.cloud.baseUrl}${photoUrl}`;
+  const res = await axios.get(url, {
+    responseType    : "arraybuffer",
+    timeout         : config.cloud.timeoutMs,
+    maxContentLength: FACE_MAX_BYTES * 20,   // anything near this is rejected anyway
+    headers         : {
+      "Authorization": `Bearer ${config.cloud.apiKey}`,
+      "X-Source"     : "hikvision-middleware",
+    },
+  });
+  return Buffer.from(res.data);
+}
+
+/* ================================================================== */
+/*  Main export                                                         */
+/* ================================================================== */
+
+/**
+ * Enrol face photos on every terminal. Photos are downloaded and
+ * checked once, then uploaded to each terminal that needs them.
+ *
+ * @param {object}  [opts]
+ * @param {boolean} [opts.force=false] – replace faces already enrolled
+ * @returns {Promise<FaceTerminalResult[]>}
+ */
+export async function syncFaces(opts = {}) {
+  const force = opts.force ?? false;
+
+  log.info("▶ Fetching student roster from the cloud …");
+  const withPhoto = (await fetchRoster()).filter((s) => s.photo_url);
+  log.info(`  ✔  ${withPhoto.length} student(s) have a photo.\n`);
+
+  /** @type {Map<string, Promise<{ photo: Buffer|null, problem: FaceProblem|null }>>} */
+  const photos = new Map();
+
+  const photoFor = (student) => {
+    if (!photos.has(student.adm_no)) {
+      photos.set(student.adm_no, downloadPhoto(student.photo_url).then(
+        (photo) => {
+          const invalid = checkPhoto(photo);
+          return invalid
+            ? { photo: null, problem: { adm_no: student.adm_no, status: "invalid", reason: invalid } }
+            : { photo, problem: null };
+        },
+        (err) => ({
+          photo  : null,
+          problem: {
+            adm_no: student.adm_no,
+            status: "download_failed",
+            reason: `could not download ${student.photo_url}: ${err.response?.status ? `HTTP ${err.response.status}` : err.message}`,
+          },
+        })
+      ));
+    }
+    return photos.get(student.adm_no);
+  };
+
+  /** @type {FaceTerminalResult[]} */
+  const results = [];
+
+  for (const t of config.terminals) {
+    const result = { id: t.id, uploaded: 0, alreadyEnrolled: 0, problems: [], error: null };
+    results.push(result);
+
+    try {
+      const discovery = await ensureDeviceReachable({
+        host      : t.host,
+        port      : t.port,
+        username  : t.username,
+        password  : t.password,
+        useHttps  : t.useHttps,
+        deviceName: t.deviceName,
+        hostEnvKey: t.hostEnvKey,
+        label     : config.terminals.length > 1 ? t.id : undefined,
+      });
+
+      const client = new HikvisionClient({
+        host               : discovery.ip,
+        port               : t.port,
+        username           : t.username,
+        password           : t.password,
+        useHttps           : t.useHttps,
+        rejectUnauthorized : t.rejectUnauthorized,
+      });
+
+      const users = new Map((await client.getUsers()).map((u) => [u.employeeNo, u]));
+      log.info(`\n── Terminal "${t.id}" ─────────────────────────────────────`);
+
+      for (const student of withPhoto) {
+        const user = users.get(student.adm_no);
+        if (!user) {
+          result.problems.push({ adm_no: student.adm_no, status: "not_enrolled", reason: "person not on the terminal — run --sync-roster --apply" });
+          continue;
+        }
+        if (user.faces > 0 && !force) {
+          result.alreadyEnrolled += 1;
+          continue;
+        }
+
+        const { photo, problem } = await photoFor(student);
+        if (problem) {
+          log.warn(`  ⚠  ${student.adm_no}: ${problem.reason}`);
+          result.problems.push(problem);
+          continue;
+        }
+
+        try {
+          await client.uploadFace(student.adm_no, photo, { replace: user.faces > 0 });
+          result.uploaded += 1;
+          log.info(`  ✔  ${student.adm_no}  ${student.name}`);
+        } catch (err) {
+          // No status at all means the terminal itself is gone — stop here
+          if (err.response === undefined && !err.status) throw err;
+
+          const reason = rejectionReason(err);
+          log.warn(`  ✖  ${student.adm_no}: rejected by terminal — ${reason}`);
+          result.problems.push({ adm_no: student.adm_no, status: "rejected", reason });
+        }
+      }
+
+      log.info(
+        `  ${result.uploaded} uploaded, ${result.alreadyEnrolled} already enrolled, ` +
+        `${result.problems.length} not enrolled`,
+        { terminal: t.id, uploaded: result.uploaded, problems: result.problems }
+      );
+    } catch (err) {
+      result.error = err.message;
+      log.error(`  ✖  Face sync for "${t.id}" failed: ${err.message}`, { terminal: t.id });
+    }
+    log.info("");
+  }
+
+  return results;
+}
+
+/* ================================================================== */
+/*  Types                                                               */
+/* ================================================================== */
+
+/**
+ * @typedef {object} FaceProblem
+ * @property {string} adm_no
+ * @property {"invalid"|"download_failed"|"rejected"|"not_enrolled"} status
+ * @property {string} reason – why the photo was not enrolled
+ */
+
+/**
+ * @typedef {object} FaceTerminalResult
+ * @property {string}        id               – terminal id
+ * @property {number}        uploaded         – faces enrolled this run
+ * @property {number}        alreadyEnrolled  – persons skipped because they have a face
+ * @property {FaceProblem[]} problems
+ * @property {string|null}   error            – why the terminal could not be synced
+ */
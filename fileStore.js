@@ -0,0 +1,75 @@
+/**
+ * fileStore.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Crash-safe JSON File Storage
+ * Responsibility:
+ *   • Read a JSON file, treating "missing" as a default value and
+ *     moving an unreadable file aside instead of overwriting it
+ *   • Write a JSON file atomically: temp file → fsync → rename,
+ *     so a crash or power cut leaves either the old or the new
+ *     file on disk — never a half-written one
+ *
+ * Used by the offline queue and the incremental sync state.
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import * as fs   from "fs";
+import * as path from "path";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("fileStore");
+
+/**
+ * Read and parse a JSON file.
+ *
+ * • Missing file          → `fallback()` is returned
+ * • Unparseable / invalid → the file is renamed to
+ *   "<file>.corrupt-<timestamp>" and `fallback()` is returned
+ *
+ * @template T
+ * @param {string}             file
+ * @param {() => T}            fallback   – factory for the empty value
+ * @param {(data: any) => boolean} [isValid] – shape check on the parsed data
+ * @returns {T}
+ */
+export function readJsonFile(file, fallback, isValid = () => true) {
+  if (!fs.existsSync(file)) return fallback();
+
+  try {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!isValid(data)) throw new Error("unexpected file structure");
+    return data;
+  } catch (err) {
+    const aside = `${file}.corrupt-${Date.now()}`;
+    log.warn(`  ⚠  ${path.basename(file)} is unreadable (${err.message}).`);
+    try {
+      fs.renameSync(file, aside);
+      log.warn(`     Moved it to ${aside} and started fresh.`);
+    } catch (renameErr) {
+      log.warn(`     Could not move it aside: ${renameErr.message}`);
+    }
+    return fallback();
+  }
+}
+
+/**
+ * Atomically replace `file` with the JSON encoding of `data`.
+ * Creates the parent directory if needed.
+ *
+ * @param {string} file
+ * @param {any}    data
+ */
+export function writeJsonAtomic(file, data) {
+  const tmp = `${file}.tmp-${process.pid}`;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const fd = fs.openSync(tmp, "w");
+  try {
+    fs.writeSync(fd, JSON.stringify(data, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
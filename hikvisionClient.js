@@ -5,8 +5,13 @@
  * Device:  DS-K1T342MFX-E1  |  Firmware V4.39.180
  *
  * Responsibility:
- *   • Authenticate with the terminal using Digest Auth (RFC 7616)
+ *   • Authenticate with the terminal using Digest Auth (RFC 7616,
+ *     see digestAuth.js), reusing the challenge across requests —
+ *     which are sent one at a time, so nonce counts arrive in order
  *   • Query the Access Control Event Log (attendance records)
+ *   • Read and set the terminal clock, timezone and NTP server
+ *   • List, enrol, update and delete persons (UserInfo)
+ *   • Upload face pictures (FDLib) and download event snapshots
  *   • Return clean, normalised attendance objects
  *
  * Dependencies:  axios only  (no cookie-jar needed)
@@ -16,65 +21,25 @@
 import axios from "axios";
 import * as https from "https";
 import * as crypto from "crypto";
+import * as net from "net";
+import { DigestSession } from "./digestAuth.js";
+import { createLogger } from "./logger.js";
+import { eventName } from "./eventCodes.js";
 
-/* ================================================================== */
-/*  Digest-Auth helpers                                                 */
-/* ================================================================== */
+const log = createLogger("hikvisionClient");
 
-/**
- * Parse a single quoted or unquoted parameter from a
- * WWW-Authenticate header string.
- */
-function digestParam(header, key) {
-  const quoted   = header.match(new RegExp(`${key}="([^"]+)"`));
-  if (quoted) return quoted[1];
-  const unquoted = header.match(new RegExp(`${key}=([^,\\s]+)`));
-  return unquoted ? unquoted[1] : "";
-}
+/** Validity the web portal gives a person enrolled without an end date. */
+export const DEFAULT_VALID_FROM  = "2000-01-01T00:00:00";
+export const DEFAULT_VALID_UNTIL = "2037-12-31T23:59:59";
 
 /**
- * Build a complete Digest Authorization header value.
+ * A host as it goes into a URL — IPv6 literals in brackets.
  *
- * @param {string} method        – HTTP verb  (GET | POST)
- * @param {string} uri           – request path, e.g. /ISAPI/...
- * @param {string} username
- * @param {string} password
- * @param {string} wwwAuthHeader – value of the WWW-Authenticate header
+ * @param {string} host
  * @returns {string}
  */
-function buildDigestAuth(method, uri, username, password, wwwAuthHeader) {
-  const realm  = digestParam(wwwAuthHeader, "realm");
-  const nonce  = digestParam(wwwAuthHeader, "nonce");
-  const qop    = digestParam(wwwAuthHeader, "qop");
-  const opaque = digestParam(wwwAuthHeader, "opaque");
-  const algo   = digestParam(wwwAuthHeader, "algorithm") || "MD5";
-
-  const md5 = (s) => crypto.createHash("md5").update(s).digest("hex");
-
-  const ha1 = algo.toUpperCase() === "MD5-SESS"
-    ? md5(`${md5(`${username}:${realm}:${password}`)}:${nonce}:`)
-    : md5(`${username}:${realm}:${password}`);
-
-  const ha2 = md5(`${method.toUpperCase()}:${uri}`);
-
-  let response;
-  let extras = "";
-
-  if (qop === "auth" || qop === "auth-int") {
-    const nc     = "00000001";
-    const cnonce = crypto.randomBytes(8).toString("hex");
-    response = md5(`${ha1}:${nonce}:${nc}:${cnonce}:${qop}:${ha2}`);
-    extras   = `, qop=${qop}, nc=${nc}, cnonce="${cnonce}"`;
-  } else {
-    response = md5(`${ha1}:${nonce}:${ha2}`);
-  }
-
-  return (
-    `Digest username="${username}", realm="${realm}", nonce="${nonce}", ` +
-    `uri="${uri}", algorithm=${algo}, response="${response}"` +
-    (opaque ? `, opaque="${opaque}"` : "") +
-    extras
-  );
+export function urlHost(host) {
+  return net.isIPv6(host) ? `[${host}]` : host;
 }
 
 /* ================================================================== */
@@ -82,6 +47,11 @@ function buildDigestAuth(method, uri, username, password, wwwAuthHeader) {
 /* ================================================================== */
 
 export class HikvisionClient {
+  /** Challenge and nonce count shared by every request to this terminal. */
+  #digest;
+  /** Tail of the request chain — see request(). */
+  #queue = Promise.resolve();
+
   /**
    * @param {object}  cfg
    * @param {string}  cfg.host                      – terminal IP / hostname
@@ -100,7 +70,8 @@ export class HikvisionClient {
     this.useHttps = cfg.useHttps ?? false;
     this.timeout  = cfg.timeout  ?? 10_000;
 
-    this.baseURL = `${this.useHttps ? "https" : "http"}://${this.host}:${this.port}`;
+    this.baseURL = `${this.useHttps ? "https" : "http"}://${urlHost(this.host)}:${this.port}`;
+    this.#digest = new DigestSession(this.username, this.password);
 
     // Plain axios instance — no cookie jar, no extra wrappers
     this.http = axios.create({
@@ -113,93 +84,117 @@ export class HikvisionClient {
   }
 
   /* ---------------------------------------------------------------- */
-  /*  Core: two-step Digest-authenticated request                      */
+  /*  Core: Digest-authenticated request                               */
   /* ---------------------------------------------------------------- */
 
   /**
    * Perform a Digest-authenticated ISAPI request.
    *
-   * Step 1 – Send without credentials  →  device returns 401 + WWW-Authenticate
-   * Step 2 – Compute digest, resend    →  device returns 200 + data
+   * The first request to a terminal goes out without credentials; the
+   * device answers 401 + WWW-Authenticate and the request is resent
+   * with a digest. The challenge is kept, so later requests — every
+   * page of a paged search — authenticate in one round trip. When the
+   * device re-challenges (nonce expired, stale=true, reboot) the
+   * request is resent once with the new challenge.
    *
-   * @param {string}  method   – "GET" | "POST"
+   * Requests to one terminal are sent one at a time, in call order,
+   * however many callers (several sync jobs, face uploads) share the
+   * client. Each digest carries the next nonce count, and strict
+   * firmware answers a count lower than one it has already seen with
+   * 401 stale — concurrent requests would overtake each other.
+   *
+   * @param {string}  method   – "GET" | "POST" | "PUT"
    * @param {string}  path     – ISAPI path
-   * @param {object}  [body]   – JSON body for POST
+   * @param {object|string|Buffer} [body] – JSON body, an XML string, or raw bytes
    * @param {object}  [params] – URL query-string params
-   * @returns {Promise<any>}   – parsed JSON response body
+   * @param {object}  [opts]
+   * @param {string}  [opts.contentType]  – overrides the type guessed from `body`
+   *                                        (e.g. multipart uploads sent as a Buffer)
+   * @param {string}  [opts.responseType] – "arraybuffer" for images
+   * @returns {Promise<any>}   – parsed JSON response body (XML endpoints: the raw string)
    */
-  async request(method, path, body = null, params = {}) {
-    const METHOD = method.toUpperCase();
-
-    // ── Step 1: unauthenticated probe ──────────────────────────────
-    let probe;
-    try {
-      probe = await this.http.request({
-        method : METHOD,
-        url    : path,
-        params,
-        data   : body ?? undefined,
-        headers: { "Content-Type": "application/json" },
-      });
-    } catch (err) {
-      // Network-level error (ECONNREFUSED, ETIMEDOUT, etc.)
-      throw new Error(
-        `Cannot reach terminal at ${this.baseURL}${path}\n` +
-        `  → ${err.message}\n` +
-        `  Ensure the terminal IP/port is correct and reachable on the local network.`
-      );
-    }
+  request(method, path, body = null, params = {}, opts = {}) {
+    const next  = this.#queue.then(() => this.#request(method, path, body, params, opts));
+    this.#queue = next.catch(() => {});   // one failed request must not block the rest
+    return next;
+  }
 
-    // Device responded without a challenge — auth may be disabled or
-    // the request succeeded immediately (rare but handled gracefully).
-    if (probe.status !== 401) {
-      return probe.data;
-    }
+  /** request() without the queueing. */
+  async #request(method, path, body, params, opts) {
+    const METHOD       = method.toUpperCase();
+    const contentType  = opts.contentType ?? (typeof body === "string" ? "application/xml" : "application/json");
+    const responseType = opts.responseType ?? "json";
+
+    // The digest covers the exact request target and, with auth-int,
+    // the exact body bytes — so both are built here rather than by axios
+    const query = new URLSearchParams(params).toString();
+    const uri   = query ? `${path}${path.includes("?") ? "&" : "?"}${query}` : path;
+    const data  = body === null || typeof body === "string" || Buffer.isBuffer(body)
+      ? body ?? undefined
+      : JSON.stringify(body);
+
+    const send = async (authorization) => {
+      try {
+        return await this.http.request({
+          method : METHOD,
+          url    : uri,
+          data,
+          headers: {
+            "Content-Type": contentType,
+            ...(authorization ? { "Authorization": authorization } : {}),
+          },
+          responseType,
+        });
+      } catch (err) {
+        // Network-level error (ECONNREFUSED, ETIMEDOUT, etc.)
+        const netErr = new Error(
+          `Cannot reach terminal at ${this.baseURL}${path}\n` +
+          `  → ${err.message}\n` +
+          `  Ensure the terminal IP/port is correct and reachable on the local network.`
+        );
+        netErr.code = err.code;   // lets callers tell "not there" from a real failure
+        throw netErr;
+      }
+    };
 
-    const wwwAuth = probe.headers["www-authenticate"];
-    if (!wwwAuth) {
-      throw new Error(
-        `Terminal returned 401 but no WWW-Authenticate header.\n` +
-        `  Check device credentials and enable ISAPI in the device web portal.`
-      );
-    }
+    const hadChallenge = this.#digest.ready;
+    let   res          = await send(this.#digest.authorization(METHOD, uri, data));
 
-    // ── Step 2: authenticated request ──────────────────────────────
-    const authHeader = buildDigestAuth(
-      METHOD, path, this.username, this.password, wwwAuth
-    );
+    if (res.status === 401) {
+      const wwwAuth = res.headers["www-authenticate"];
+      if (!wwwAuth) {
+        throw new Error(
+          `Terminal returned 401 but no WWW-Authenticate header.\n` +
+          `  Check device credentials and enable ISAPI in the device web portal.`
+        );
+      }
 
-    let authed;
-    try {
-      authed = await this.http.request({
-        method : METHOD,
-        url    : path,
-        params,
-        data   : body ?? undefined,
-        headers: {
-          "Content-Type" : "application/json",
-          "Authorization": authHeader,
-        },
-      });
-    } catch (err) {
-      throw new Error(`Authenticated request failed: ${err.message}`);
+      const challenge = this.#digest.challenge(wwwAuth);
+      if (hadChallenge) {
+        log.debug(`  Terminal re-challenged (${challenge.stale ? "stale nonce" : "new nonce"}) — retrying ${METHOD} ${path}`);
+      }
+      res = await send(this.#digest.authorization(METHOD, uri, data));
     }
 
-    if (authed.status === 401) {
+    if (res.status === 401) {
+      this.#digest.reset();
       throw new Error(
         `Digest Auth rejected (still 401).\n` +
         `  Double-check TERMINAL_USERNAME and TERMINAL_PASSWORD in your .env`
       );
     }
 
-    if (authed.status >= 400) {
-      throw new Error(
-        `ISAPI error: HTTP ${authed.status}\n` +
-        `  Body: ${JSON.stringify(authed.data).slice(0, 300)}`
+    if (res.status >= 400) {
+      const err = new Error(
+        `ISAPI error: HTTP ${res.status}\n` +
+        `  Body: ${JSON.stringify(res.data).slice(0, 300)}`
       );
+      err.status   = res.status;
+      err.response = res.data;   // usually a ResponseStatus explaining why
+      throw err;
     }
 
-    return authed.data;
+    return res.data;
   }
 
   /* ---------------------------------------------------------------- */
@@ -217,6 +212,278 @@ export class HikvisionClient {
     return data?.DeviceInfo ?? data;
   }
 
+  /**
+   * Read the terminal's clock.
+   *
+   * ISAPI endpoint:
+   *   GET /ISAPI/System/time   (XML on most firmware, JSON on some)
+   *
+   * @returns {Promise<{ localTime: string, timeMode: string|null, timeZone: string|null }>}
+   */
+  async getDeviceTime() {
+    const data = await this.request("GET", "/ISAPI/System/time");
+    const time = typeof data === "string"
+      ? {
+          localTime: this.#xmlValue(data, "localTime"),
+          timeMode : this.#xmlValue(data, "timeMode"),
+          timeZone : this.#xmlValue(data, "timeZone"),
+        }
+      : (data?.Time ?? data ?? {});
+
+    if (!time.localTime) {
+      throw new Error("Terminal did not report its local time (/ISAPI/System/time).");
+    }
+    return {
+      localTime: time.localTime,
+      timeMode : time.timeMode ?? null,
+      timeZone : time.timeZone ?? null,
+    };
+  }
+
+  /**
+   * Set the terminal's clock, time mode and/or timezone. Fields left
+   * out are not sent, so the terminal keeps its current value.
+   *
+   * ISAPI endpoint:
+   *   PUT /ISAPI/System/time
+   *
+   * @param {object} opts
+   * @param {string} [opts.localTime] – "YYYY-MM-DDTHH:mm:ss[+hh:mm]" (manual mode)
+   * @param {string} [opts.timeMode]  – "manual" | "NTP"
+   * @param {string} [opts.timeZone]  – POSIX-style zone, e.g. "CST-3:00:00" for UTC+3
+   * @returns {Promise<void>}
+   */
+  async setDeviceTime(opts = {}) {
+    const fields = ["timeMode", "localTime", "timeZone"].filter((k) => opts[k]);
+    if (fields.length === 0) {
+      throw new Error("setDeviceTime needs at least one of `localTime`, `timeMode`, `timeZone`.");
+    }
+
+    const xml =
+      `<?xml version="1.0" encoding="UTF-8"?>` +
+      `<Time version="2.0" xmlns="http://www.isapi.org/ver20/XMLSchema">` +
+      fields.map((k) => `<${k}>${this.#xmlEscape(opts[k])}</${k}>`).join("") +
+      `</Time>`;
+
+    this.#assertOk(await this.request("PUT", "/ISAPI/System/time", xml), "Setting the terminal time");
+  }
+
+  /**
+   * Read the NTP servers configured on the terminal.
+   *
+   * ISAPI endpoint:
+   *   GET /ISAPI/System/time/ntpServers
+   *
+   * @returns {Promise<NtpServer[]>}
+   */
+  async getNtpServers() {
+    const data = await this.request("GET", "/ISAPI/System/time/ntpServers");
+
+    const raw = typeof data === "string"
+      ? [...data.matchAll(/<NTPServer(?=[\s>])[^>]*>([\s\S]*?)<\/NTPServer>/g)].map((m) => ({
+          id                   : this.#xmlValue(m[1], "id"),
+          addressingFormatType : this.#xmlValue(m[1], "addressingFormatType"),
+          hostName             : this.#xmlValue(m[1], "hostName"),
+          ipAddress            : this.#xmlValue(m[1], "ipAddress"),
+          portNo               : this.#xmlValue(m[1], "portNo"),
+          synchronizeInterval  : this.#xmlValue(m[1], "synchronizeInterval"),
+        }))
+      : [data?.NTPServerList?.NTPServer ?? data?.NTPServerList ?? []].flat();
+
+    return raw.map((s) => ({
+      id             : String(s.id ?? "1"),
+      host           : (s.addressingFormatType === "ipaddress" ? s.ipAddress : s.hostName) ?? s.ipAddress ?? null,
+      port           : s.portNo ? Number(s.portNo) : 123,
+      intervalMinutes: s.synchronizeInterval ? Number(s.synchronizeInterval) : null,
+    }));
+  }
+
+  /**
+   * Point the terminal at an NTP server. Switching the terminal to
+   * NTP mode is a separate call: setDeviceTime({ timeMode: "NTP" }).
+   *
+   * ISAPI endpoint:
+   *   PUT /ISAPI/System/time/ntpServers/<id>
+   *
+   * @param {object} opts
+   * @param {string} opts.host                    – hostname or IP address
+   * @param {number} [opts.port=123]
+   * @param {number} [opts.intervalMinutes=60]    – how often the terminal re-syncs
+   * @param {string} [opts.id="1"]                – server slot on the terminal
+   * @returns {Promise<void>}
+   */
+  async setNtpServer(opts = {}) {
+    const { host, port = 123, intervalMinutes = 60, id = "1" } = opts;
+    if (!host) throw new Error("`host` is required to set an NTP server.");
+
+    const ipVersion = net.isIP(host);
+    const address   =
+      ipVersion === 4 ? `<ipAddress>${host}</ipAddress>` :
+      ipVersion === 6 ? `<ipv6Address>${host}</ipv6Address>` :
+                        `<hostName>${this.#xmlEscape(host)}</hostName>`;
+    const xml  =
+      `<?xml version="1.0" encoding="UTF-8"?>` +
+      `<NTPServer version="2.0" xmlns="http://www.isapi.org/ver20/XMLSchema">` +
+      `<id>${this.#xmlEscape(id)}</id>` +
+      `<addressingFormatType>${ipVersion ? "ipaddress" : "hostname"}</addressingFormatType>` +
+      address +
+      `<portNo>${port}</portNo>` +
+      `<synchronizeInterval>${intervalMinutes}</synchronizeInterval>` +
+      `</NTPServer>`;
+
+    this.#assertOk(
+      await this.request("PUT", `/ISAPI/System/time/ntpServers/${encodeURIComponent(id)}`, xml),
+      "Setting the NTP server"
+    );
+  }
+
+  /* ---------------------------------------------------------------- */
+  /*  Public: Persons (students / staff enrolled on the terminal)      */
+  /* ---------------------------------------------------------------- */
+
+  /**
+   * List every person enrolled on the terminal.
+   *
+   * ISAPI endpoint:
+   *   POST /ISAPI/AccessControl/UserInfo/Search?format=json
+   *
+   * @param {object} [opts]
+   * @param {number} [opts.maxResults=30] – per-page limit (most firmware caps at 30)
+   * @returns {Promise<TerminalUser[]>}
+   */
+  async getUsers(opts = {}) {
+    const pageLimit = Math.min(Math.max(opts.maxResults ?? 30, 1), 100);
+    let users = [];
+
+    // Same paging rule as the event search: resume from what we hold,
+    // the device may return fewer than asked for
+    for (;;) {
+      const page = await this.request("POST", "/ISAPI/AccessControl/UserInfo/Search?format=json", {
+        UserInfoSearchCond: {
+          searchID            : "1",
+          searchResultPosition: users.length,
+          maxResults          : pageLimit,
+        },
+      });
+
+      const result = page?.UserInfoSearch ?? {};
+      const batch  = result.UserInfo ?? [];
+      users = users.concat(batch);
+
+      if (batch.length === 0 || result.responseStatusStrg !== "MORE") break;
+      if (result.totalMatches !== undefined && users.length >= result.totalMatches) break;
+    }
+
+    return users.map((u) => ({
+      employeeNo: String(u.employeeNo ?? ""),
+      name      : u.name ?? "",
+      userType  : u.userType ?? "normal",
+      enabled   : u.Valid?.enable ?? true,
+      faces     : u.numOfFace ?? 0,
+      validFrom : u.Valid?.beginTime ?? null,
+      validUntil: u.Valid?.endTime   ?? null,
+      _raw      : u,
+    }));
+  }
+
+  /**
+   * Enrol a new person.
+   *
+   * ISAPI endpoint:
+   *   POST /ISAPI/AccessControl/UserInfo/Record?format=json
+   *
+   * @param {UserInput} user
+   * @returns {Promise<void>}
+   */
+  async addUser(user) {
+    this.#assertOk(
+      await this.request("POST", "/ISAPI/AccessControl/UserInfo/Record?format=json", { UserInfo: this.#userInfo(user) }),
+      `Adding person ${user.employeeNo}`
+    );
+  }
+
+  /**
+   * Update an enrolled person. Only the fields given are sent — door
+   * rights, schedules and the user type set on the device are kept.
+   * A new validity end keeps the current start unless one is given.
+   *
+   * ISAPI endpoint:
+   *   PUT /ISAPI/AccessControl/UserInfo/Modify?format=json
+   *
+   * @param {UserChanges} user
+   * @returns {Promise<void>}
+   */
+  async modifyUser(user) {
+    if (!user?.employeeNo) throw new Error("`employeeNo` is required for a person.");
+    const info = {
+      employeeNo: String(user.employeeNo),
+      ...(user.name     !== undefined && { name: user.name }),
+      ...(user.userType !== undefined && { userType: user.userType }),
+      ...(user.validUntil !== undefined && {
+        Valid: {
+          enable   : true,
+          beginTime: this.#stripTz(user.validFrom ?? DEFAULT_VALID_FROM),
+          endTime  : this.#stripTz(user.validUntil),
+          timeType : "local",
+        },
+      }),
+    };
+
+    this.#assertOk(
+      await this.request("PUT", "/ISAPI/AccessControl/UserInfo/Modify?format=json", { UserInfo: info }),
+      `Updating person ${user.employeeNo}`
+    );
+  }
+
+  /**
+   * Delete persons (and their faces and cards) from the terminal.
+   *
+   * ISAPI endpoint:
+   *   PUT /ISAPI/AccessControl/UserInfo/Delete?format=json
+   *
+   * @param {string[]} employeeNos
+   * @returns {Promise<void>}
+   */
+  async deleteUsers(employeeNos) {
+    if (employeeNos.length === 0) return;
+    this.#assertOk(
+      await this.request("PUT", "/ISAPI/AccessControl/UserInfo/Delete?format=json", {
+        UserInfoDelCond: { EmployeeNoList: employeeNos.map((employeeNo) => ({ employeeNo })) },
+      }),
+      `Deleting ${employeeNos.length} person(s)`
+    );
+  }
+
+  /**
+   * Upload a person's face picture. The person must already exist
+   * (addUser). The terminal models the face on upload and refuses the
+   * picture if it finds no usable face — the error carries its
+   * ResponseStatus in `err.response`.
+   *
+   * ISAPI endpoints:
+   *   POST /ISAPI/Intelligent/FDLib/FaceDataRecord?format=json   (new face)
+   *   PUT  /ISAPI/Intelligent/FDLib/FDSetUp?format=json          (replace)
+   *
+   * @param {string} employeeNo
+   * @param {Buffer} jpeg
+   * @param {object}  [opts]
+   * @param {boolean} [opts.replace=false] – overwrite a face already enrolled
+   * @returns {Promise<void>}
+   */
+  async uploadFace(employeeNo, jpeg, opts = {}) {
+    const record = { faceLibType: "blackFD", FDID: "1", FPID: String(employeeNo) };
+    const { body, contentType } = this.#multipart([
+      { name: "FaceDataRecord", value: JSON.stringify(record) },
+      { name: "img", filename: `${employeeNo}.jpg`, contentType: "image/jpeg", value: jpeg },
+    ]);
+
+    const [method, path] = opts.replace
+      ? ["PUT",  "/ISAPI/Intelligent/FDLib/FDSetUp?format=json"]
+      : ["POST", "/ISAPI/Intelligent/FDLib/FaceDataRecord?format=json"];
+
+    this.#assertOk(await this.request(method, path, body, {}, { contentType }), `Uploading the face of ${employeeNo}`);
+  }
+
   /* ---------------------------------------------------------------- */
   /*  Public: Attendance / access-control events                       */
   /* ---------------------------------------------------------------- */
@@ -246,11 +513,14 @@ export class HikvisionClient {
       throw new Error("`startTime` and `endTime` are required (YYYY-MM-DDTHH:mm:ss).");
     }
 
+    // ISAPI rejects searches asking for more than 100 results per page
+    const pageLimit = Math.min(Math.max(maxResults, 1), 100);
+
     const buildPayload = (searchResultPosition) => ({
       AcsEventCond: {
         searchID            : "1",
         searchResultPosition,
-        maxResults,
+        maxResults          : pageLimit,
         major               : 0,   // 0 = all major categories
         minor               : 0,   // 0 = all minor types
         startTime           : this.#stripTz(startTime),
@@ -268,8 +538,8 @@ export class HikvisionClient {
     const total  = first?.AcsEvent?.totalMatches ?? 0;
     let   events = first?.AcsEvent?.InfoList     ?? [];
 
-    console.log(`  Terminal reports ${total} total event(s) in range.`);
-    console.log(`  First page returned ${events.length} event(s).`);
+    log.info(`  Terminal reports ${total} total event(s) in range.`);
+    log.info(`  First page returned ${events.length} event(s).`);
 
     // ── Remaining pages ────────────────────────────────────────────
     // NOTE: Hikvision firmware may return fewer records than maxResults
@@ -279,7 +549,7 @@ export class HikvisionClient {
     if (allPages && total > events.length) {
       while (events.length < total) {
         const offset = events.length;   // always resume from where we stopped
-        console.log(`  Fetching page at offset ${offset} / ${total} …`);
+        log.info(`  Fetching page at offset ${offset} / ${total} …`);
         const page  = await this.request(
           "POST",
           "/ISAPI/AccessControl/AcsEvent?format=json",
@@ -288,13 +558,110 @@ export class HikvisionClient {
         const batch = page?.AcsEvent?.InfoList ?? [];
         if (batch.length === 0) break;   // device has no more — stop
         events = events.concat(batch);
-        console.log(`  Collected ${events.length} / ${total} event(s) so far.`);
+        log.info(`  Collected ${events.length} / ${total} event(s) so far.`);
       }
     }
 
     return events.map((e) => this.#normalise(e));
   }
 
+  /**
+   * Download an event's captured picture (AttendanceRecord.pictureURL).
+   * Only the path is used, so a picture recorded before the terminal
+   * moved to a new IP is still fetched from where it is now.
+   *
+   * @param {string} pictureURL – e.g. "http://192.168.86.11/LOCALS/pic/acsLinkCap/…jpg@WEB…"
+   * @returns {Promise<Buffer>}
+   */
+  async downloadPicture(pictureURL) {
+    const url  = new URL(pictureURL, this.baseURL);
+    const data = await this.request("GET", `${url.pathname}${url.search}`, null, {}, { responseType: "arraybuffer" });
+    return Buffer.from(data);
+  }
+
+  /* ---------------------------------------------------------------- */
+  /*  Private: helpers                                                  */
+  /* ---------------------------------------------------------------- */
+
+  /** Text content of the first <tag> in an XML string, or null. */
+  #xmlValue(xml, tag) {
+    const m = xml.match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+    return m ? m[1].trim() : null;
+  }
+
+  /**
+   * ISAPI UserInfo object for a new person. Every person gets door 1
+   * on the default "always" plan template, which is what the web
+   * portal assigns to a person enrolled by hand.
+   */
+  #userInfo(user) {
+    if (!user?.employeeNo) throw new Error("`employeeNo` is required for a person.");
+    return {
+      employeeNo: String(user.employeeNo),
+      ...(user.name !== undefined && { name: user.name }),
+      userType  : user.userType ?? "normal",
+      Valid     : {
+        enable   : true,
+        beginTime: this.#stripTz(user.validFrom  ?? DEFAULT_VALID_FROM),
+        endTime  : this.#stripTz(user.validUntil ?? DEFAULT_VALID_UNTIL),
+        timeType : "local",
+      },
+      doorRight : "1",
+      RightPlan : [{ doorNo: 1, planTemplateNo: "1" }],
+    };
+  }
+
+  /** Escape text for use inside an XML element. */
+  #xmlEscape(value) {
+    return String(value).replace(/[<>&'"]/g, (c) =>
+      ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" })[c]);
+  }
+
+  /**
+   * Throw unless an ISAPI write was accepted. Writes answer with a
+   * <ResponseStatus> whose statusCode is 1 (OK) or 7 (OK, reboot
+   * required); anything else is a refusal even with HTTP 200.
+   */
+  #assertOk(data, what) {
+    const status = typeof data === "string"
+      ? { statusCode: this.#xmlValue(data, "statusCode"), subStatusCode: this.#xmlValue(data, "subStatusCode") }
+      : (data?.ResponseStatus ?? data ?? {});
+
+    if (status.statusCode === undefined || status.statusCode === null) return;
+    if (["1", "7"].includes(String(status.statusCode))) return;
+
+    const err = new Error(
+      `${what} was refused by the terminal: ` +
+      `statusCode ${status.statusCode}${status.subStatusCode ? ` (${status.subStatusCode})` : ""}`
+    );
+    err.response = data;
+    throw err;
+  }
+
+  /**
+   * Build a multipart/form-data body. Parts are { name, value } for
+   * text/JSON or { name, filename, contentType, value: Buffer } for files.
+   */
+  #multipart(parts) {
+    const boundary = `----isapi${crypto.randomBytes(12).toString("hex")}`;
+    const chunks   = [];
+
+    for (const part of parts) {
+      const disposition = `form-data; name="${part.name}"${part.filename ? `; filename="${part.filename}"` : ""}`;
+      chunks.push(Buffer.from(
+        `--${boundary}\r\n` +
+        `Content-Disposition: ${disposition}\r\n` +
+        `Content-Type: ${part.contentType ?? "application/json"}\r\n` +
+        `Content-Length: ${Buffer.byteLength(part.value)}\r\n\r\n`
+      ));
+      chunks.push(Buffer.isBuffer(part.value) ? part.value : Buffer.from(part.value));
+      chunks.push(Buffer.from("\r\n"));
+    }
+    chunks.push(Buffer.from(`--${boundary}--\r\n`));
+
+    return { body: Buffer.concat(chunks), contentType: `multipart/form-data; boundary=${boundary}` };
+  }
+
   /* ---------------------------------------------------------------- */
   /*  Private: normalise raw ISAPI event → AttendanceRecord            */
   /* ---------------------------------------------------------------- */
@@ -307,9 +674,11 @@ export class HikvisionClient {
       cardNo       : raw.cardNo           ?? null,
 
       // Event classification
+      eventMajor   : raw.major            ?? null,
       eventType    : raw.minor            ?? null,
-      eventTypeName: raw.minorDesc        ?? null,
+      eventTypeName: raw.minorDesc        ?? eventName(raw.major ?? null, raw.minor ?? null),
       direction    : raw.inOutStatus      ?? null,  // "entrance" | "exit"
+      attendanceStatus: raw.attendanceStatus ?? null, // "checkIn" | "checkOut" | "breakOut" …
 
       // Timestamps
       eventTime    : raw.time             ?? null,  // device ISO timestamp
@@ -318,6 +687,7 @@ export class HikvisionClient {
       // Device context
       doorNo       : raw.doorNo           ?? null,
       deviceSerial : raw.serialNo         ?? null,
+      pictureURL   : raw.pictureURL       ?? null,  // captured face snapshot, if any
 
       // Raw object retained for debugging / extended mapping
       _raw: raw,
@@ -339,12 +709,54 @@ export class HikvisionClient {
  * @property {string}      employeeNo    – student / staff ID on the terminal
  * @property {string|null} name          – full name stored on terminal
  * @property {string|null} cardNo        – card / badge number (if used)
+ * @property {number|null} eventMajor    – ISAPI major event code (5 = access event)
  * @property {number|null} eventType     – ISAPI minor event code
- * @property {string|null} eventTypeName – human-readable event label
+ * @property {string|null} eventTypeName – human-readable event label (see eventCodes.js)
  * @property {string|null} direction     – "entrance" | "exit" | null
+ * @property {string|null} attendanceStatus – "checkIn" | "checkOut" | "breakIn" | "breakOut" | … | null
  * @property {string|null} eventTime     – ISO timestamp from the device
+ * @property {string|null} [localTime]   – eventTime in SYNC_TIMEZONE (added by syncRunner)
  * @property {string}      capturedAt    – ISO timestamp added by middleware (UTC)
  * @property {number|null} doorNo        – door/lane number on the terminal
  * @property {string|null} deviceSerial  – terminal serial number
+ * @property {string|null} pictureURL    – captured snapshot on the terminal (downloadPicture())
  * @property {object}      _raw          – original ISAPI response object
+ */
+
+/**
+ * @typedef {object} NtpServer
+ * @property {string}      id              – server slot on the terminal
+ * @property {string|null} host            – hostname or IP address
+ * @property {number}      port
+ * @property {number|null} intervalMinutes – re-sync interval
+ */
+
+/**
+ * @typedef {object} TerminalUser
+ * @property {string}      employeeNo – person ID on the terminal (= adm_no for students)
+ * @property {string}      name
+ * @property {string}      userType   – "normal" | "visitor" | "blackList"
+ * @property {boolean}     enabled    – validity period switched on
+ * @property {string|null} validFrom  – "YYYY-MM-DDTHH:mm:ss" (device local time)
+ * @property {string|null} validUntil – "YYYY-MM-DDTHH:mm:ss" (device local time)
+ * @property {number}      faces      – face pictures enrolled for the person
+ * @property {object}      _raw       – original ISAPI UserInfo object
+ */
+
+/**
+ * @typedef {object} UserInput
+ * @property {string} employeeNo
+ * @property {string} [name]
+ * @property {string} [userType="normal"]
+ * @property {string} [validFrom=DEFAULT_VALID_FROM]   – "YYYY-MM-DDTHH:mm:ss"
+ * @property {string} [validUntil=DEFAULT_VALID_UNTIL] – "YYYY-MM-DDTHH:mm:ss"; set for leavers
+ */
+
+/**
+ * @typedef {object} UserChanges
+ * @property {string} employeeNo
+ * @property {string} [name]
+ * @property {string} [userType]
+ * @property {string} [validFrom]  – with validUntil; default DEFAULT_VALID_FROM
+ * @property {string} [validUntil] – "YYYY-MM-DDTHH:mm:ss"
  */
\ No newline at end of file
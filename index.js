@@ -4,11 +4,32 @@
  * Middleware Entry Point
  * Architecture:  Hikvision Terminal → Middleware → Cloud School System
  *
- * Flow each run:
+ * Flow each run (see syncRunner.js):
  *   1. Connect to the Hikvision face terminal (health-check)
  *   2. Pull today's raw attendance events via ISAPI
  *   3. Process: filter no-ID records, deduplicate, classify time_in / time_out
  *   4. POST the clean array to the Cloud School System API
+ *
+ * Usage:
+ *   node index.js            — run the pipeline once and exit
+ *   node index.js --daemon   — stay alive, run on every SYNC_CRON_SCHEDULE
+ *                              tick (evaluated in SYNC_TIMEZONE) and serve
+ *                              the local HTTP API on SERVER_PORT (server.js)
+ *   node index.js --date 2026-10-14
+ *                            — backfill one past day and exit
+ *   node index.js --from 2026-10-12 --to 2026-10-14 [--force]
+ *                            — backfill a range of days (see backfill.js);
+ *                              --force re-syncs days already confirmed
+ *   node index.js --sync-clock [--ntp pool.ntp.org]
+ *                            — set every terminal's clock to this PC's
+ *                              time, or switch them to NTP (clockSync.js)
+ *   node index.js --sync-roster [--apply]
+ *                            — diff the cloud student roster against the
+ *                              persons on each terminal; --apply makes
+ *                              the changes (roster.js)
+ *   node index.js --sync-faces [--force]
+ *                            — upload student photos from the cloud as
+ *                              terminal faces (faceSync.js)
  * ─────────────────────────────────────────────────────────────
  * Prerequisites:
  *   npm install axios dotenv
@@ -16,158 +37,332 @@
  * ─────────────────────────────────────────────────────────────
  */
 
-import { HikvisionClient }                  from "./hikvisionClient.js";
-import { ensureDeviceReachable }            from "./deviceDiscovery.js";
-import { processAttendance, syncToCloud }   from "./attendanceProcessor.js";
-import config                               from "./config.js";
+import { runSync }            from "./syncRunner.js";
+import { startSchedule }      from "./scheduler.js";
+import { startServer }        from "./server.js";
+import { runBackfill }        from "./backfill.js";
+import { syncTerminalClocks } from "./clockSync.js";
+import { syncRoster }         from "./roster.js";
+import { syncFaces }          from "./faceSync.js";
+import { describeDrift }      from "./clock.js";
+import { urlHost }            from "./hikvisionClient.js";
+import { createLogger }       from "./logger.js";
+import config                 from "./configLoader.js";
+
+const log = createLogger("index");
+
+/* ================================================================== */
+/*  CLI flags                                                           */
+/* ================================================================== */
+
+const args   = process.argv.slice(2);
+const DAEMON = args.includes("--daemon");
+const FORCE  = args.includes("--force");
+
+/** Value following a flag, e.g. flag("--date") for "--date 2026-10-14". */
+const flag   = (name) => {
+  const i = args.indexOf(name);
+  return i !== -1 ? args[i + 1] : undefined;
+};
+
+const BACKFILL      = ["--date", "--from", "--to"].some((f) => args.includes(f));
+const BACKFILL_FROM = flag("--date") ?? flag("--from");
+const BACKFILL_TO   = flag("--date") ?? flag("--to") ?? BACKFILL_FROM;
+
+const SYNC_CLOCK    = args.includes("--sync-clock");
+const NTP_SERVER    = flag("--ntp");
+
+const SYNC_ROSTER   = args.includes("--sync-roster");
+const APPLY         = args.includes("--apply");
+const SYNC_FACES    = args.includes("--sync-faces");
 
 /* ================================================================== */
 /*  Helpers                                                             */
 /* ================================================================== */
 
+function printBanner() {
+  console.log("═══════════════════════════════════════════════════════");
+  console.log("  Middleware – Hikvision DS-K1T342MFX-E1 ↔ Cloud School");
+  console.log("═══════════════════════════════════════════════════════\n");
+}
+
 /**
- * Returns ISO-8601 date strings for the full current day (local time)
- * plus the "YYYY-MM-DD" string used as the sync payload date.
+ * The counts from a run worth keeping in the log file.
  *
- * @returns {{ startTime: string, endTime: string, dateStr: string }}
+ * @param {import('./syncRunner.js').RunResult} result
  */
-function getTodayRange() {
-  const now = new Date();
-  const pad = (n) => String(n).padStart(2, "0");
-
-  const yyyy = now.getFullYear();
-  const mm   = pad(now.getMonth() + 1);
-  const dd   = pad(now.getDate());
-
+function summary(result) {
+  const { runId, date, raw, newEvents, processed, changed, sent, queued, replayed, batches } = result;
   return {
-    startTime: `${yyyy}-${mm}-${dd}T00:00:00`,
-    endTime  : `${yyyy}-${mm}-${dd}T23:59:59`,
-    dateStr  : `${yyyy}-${mm}-${dd}`,
+    runId, date, raw, newEvents, processed, changed, sent, queued, replayed,
+    rejected: batches?.rejected ?? [],
+    failed  : batches?.failed   ?? [],
   };
 }
 
 /**
- * Print a single processed attendance record to the console.
+ * Print the outcome of a run. Returns true if the run fully succeeded.
  *
- * @param {import('./attendanceProcessor.js').ProcessedAttendance} rec
+ * @param {import('./syncRunner.js').RunResult} result
+ * @returns {boolean}
  */
-function printRecord(rec) {
-  const out = rec.time_out ? `  time_out: ${rec.time_out}` : "  (no time_out yet)";
-  console.log(`  • adm_no: ${rec.adm_no}  |  time_in: ${rec.time_in}${rec.time_out ? `  |  time_out: ${rec.time_out}` : ""}`);
+function reportResult(result) {
+  if (result.failedAuth?.length > 0) {
+    log.warn(`\n⚠  Failed authentication attempts on ${result.date}:`);
+    for (const f of result.failedAuth) {
+      const who     = f.employeeNo ? `${f.employeeNo}${f.name ? ` (${f.name})` : ""}` : "unidentified person(s)";
+      const reasons = Object.entries(f.reasons).map(([name, n]) => `${name} ×${n}`).join(", ");
+      log.warn(`   ${who}: ${f.attempts} attempt(s), last at ${f.lastAt ?? "?"} — ${reasons}`);
+    }
+  }
+
+  if (result.replayed > 0) {
+    log.info(`\n✔  Replayed ${result.replayed} queued record(s) from earlier outages.`);
+  }
+
+  if (result.success) {
+    log.info(`\n✔  Done. ${result.sent} record(s) sent to cloud successfully.`, summary(result));
+    if (result.response) {
+      log.info(`  Cloud response: ${JSON.stringify(result.response, null, 2)}`);
+    }
+    return true;
+  }
+
+  const batches  = result.batches;
+  const rejected = batches?.rejected ?? [];
+  const failed   = batches?.failed   ?? [];
+
+  if (result.sent > 0) {
+    log.info(`\n✔  ${result.sent} record(s) sent to cloud successfully.`);
+  }
+
+  if (rejected.length > 0) {
+    log.error(`\n✖  Cloud rejected ${rejected.length} record(s) (HTTP 400 / 422). They were NOT queued:`, summary(result));
+    log.error(`   ${rejected.join(", ")}`);
+    log.error(`   They are kept with the cloud's reason in ${config.sync.sentLogDir} and not resent until the`);
+    log.error("   student's record changes (e.g. a new scan) — past days can be resent with --force.");
+  }
+
+  if (result.queued) {
+    const what = failed.length > 0 ? `${failed.length} record(s) in failed batch(es)` : "Records";
+    log.error(`\n✖  Cloud sync failed. ${what} were saved to the offline queue`, summary(result));
+    log.error(`   (${config.queue.filePath}) and will be replayed on the next successful run.`);
+    if (failed.length > 0) log.error(`   ${failed.join(", ")}`);
+  } else if (rejected.length === 0) {
+    log.error("\n✖  Cloud sync failed. Records were NOT sent.", summary(result));
+    log.error("   Check your CLOUD_API_BASE_URL and CLOUD_API_KEY in .env");
+  }
+  return false;
 }
 
 /* ================================================================== */
-/*  Main                                                                */
+/*  One-shot mode                                                       */
 /* ================================================================== */
 
-async function main() {
-  console.log("═══════════════════════════════════════════════════════");
-  console.log("  Middleware – Hikvision DS-K1T342MFX-E1 ↔ Cloud School");
-  console.log("═══════════════════════════════════════════════════════\n");
-
-  // ── 1. Instantiate the terminal client ───────────────────────────
-  let terminal = new HikvisionClient({
-    host               : config.terminal.host,
-    port               : config.terminal.port,
-    username           : config.terminal.username,
-    password           : config.terminal.password,
-    useHttps           : config.terminal.useHttps,
-    rejectUnauthorized : config.terminal.rejectUnauthorized,
-  });
+async function runOnce() {
+  printBanner();
 
-  // ── 2. Discover / verify terminal IP (auto-heals DHCP changes) ──
-  let activeHost = config.terminal.host;
+  let result;
   try {
-    const discovery = await ensureDeviceReachable({
-      host      : config.terminal.host,
-      port      : config.terminal.port,
-      username  : config.terminal.username,
-      password  : config.terminal.password,
-      useHttps  : config.terminal.useHttps,
-      deviceName: config.terminal.deviceName,
-    });
+    result = await runSync({ trigger: "cli" });
+  } catch (err) {
+    log.error(`✖  ${err.message}`, { runId: err.runId });
+    process.exit(1);
+  }
 
-    activeHost = discovery.ip;
-
-    // If the IP changed, rebuild the terminal client with the new IP
-    if (discovery.changed) {
-      console.log(`  ↺  Reconnecting terminal client to new IP: ${activeHost}
-`);
-      terminal = new HikvisionClient({
-        host               : activeHost,
-        port               : config.terminal.port,
-        username           : config.terminal.username,
-        password           : config.terminal.password,
-        useHttps           : config.terminal.useHttps,
-        rejectUnauthorized : config.terminal.rejectUnauthorized,
-      });
-    }
+  if (!reportResult(result)) process.exit(1);
+}
 
-    const info = discovery.info;
-    console.log("  Model    :", info?.model            ?? "DS-K1T342MFX-E1");
-    console.log("  Firmware :", info?.firmwareVersion  ?? "V4.39.180");
-    console.log("  Serial   :", info?.serialNumber     ?? "GL0274831");
-    console.log("");
+/* ================================================================== */
+/*  Backfill mode                                                       */
+/* ================================================================== */
+
+async function runBackfillMode() {
+  printBanner();
+
+  let days;
+  try {
+    days = await runBackfill({
+      from : BACKFILL_FROM,
+      to   : BACKFILL_TO,
+      force: FORCE,
+      onDay: reportResult,
+    });
   } catch (err) {
-    console.error("✖  Terminal discovery failed:", err.message);
+    log.error(`✖  ${err.message}`);
     process.exit(1);
   }
 
-  // ── 3. Pull today's raw events ───────────────────────────────────
-  const { startTime, endTime, dateStr } = getTodayRange();
-  console.log("▶ Fetching attendance events …");
-  console.log(`  Date  : ${dateStr}`);
-  console.log(`  Range : ${startTime}  →  ${endTime}\n`);
+  log.info("\n═══════════════════════════════════════════════════════");
+  log.info("  Backfill summary", { days });
+  log.info("═══════════════════════════════════════════════════════");
+  for (const d of days) {
+    const detail = d.error
+      ?? (d.status === "skipped" ? "already confirmed" : `${d.sent} record(s) sent`)
+      + (d.rejected?.length ? `, ${d.rejected.length} rejected` : "");
+    log.info(`  ${d.date}  ${d.status.padEnd(8)} ${detail}`);
+  }
+
+  if (days.some((d) => !["synced", "skipped"].includes(d.status))) process.exit(1);
+}
+
+/* ================================================================== */
+/*  Clock sync mode                                                     */
+/* ================================================================== */
+
+async function runClockSync() {
+  printBanner();
 
-  let rawRecords;
+  let results;
   try {
-    rawRecords = await terminal.getAttendanceEvents({
-      startTime,
-      endTime,
-      maxResults: config.terminal.pageSize,
-      allPages  : config.terminal.fetchAllPages,
-    });
+    results = await syncTerminalClocks({ ntpServer: NTP_SERVER });
   } catch (err) {
-    console.error("✖  Failed to fetch events from terminal:", err.message);
+    log.error(`✖  ${err.message}`);
     process.exit(1);
   }
 
-  if (rawRecords.length === 0) {
-    console.log("  No attendance events recorded today — nothing to sync.\n");
-    return;
+  log.info("═══════════════════════════════════════════════════════");
+  log.info("  Clock sync summary", { terminals: results });
+  log.info("═══════════════════════════════════════════════════════");
+  for (const r of results) {
+    const drift  = (ms) => ms === null ? "unknown" : describeDrift(ms);
+    const detail = r.error ?? `${r.mode}  was ${drift(r.driftBeforeMs)}, now ${drift(r.driftAfterMs)}`;
+    log.info(`  ${r.id.padEnd(10)} ${r.error ? "failed" : "ok    "}  ${detail}`);
   }
 
-  console.log(`  Pulled ${rawRecords.length} raw event(s) from terminal.\n`);
+  if (results.some((r) => r.error)) process.exit(1);
+}
 
-  // ── 4. Process: filter → deduplicate → classify ──────────────────
-  console.log("▶ Processing attendance records …");
-  const processed = processAttendance(rawRecords);
+/* ================================================================== */
+/*  Roster mode                                                         */
+/* ================================================================== */
 
-  if (processed.length === 0) {
-    console.log("  No valid records after processing — nothing to sync.\n");
-    return;
+async function runRosterSync() {
+  printBanner();
+
+  let results;
+  try {
+    results = await syncRoster({ apply: APPLY });
+  } catch (err) {
+    log.error(`✖  ${err.message}`);
+    process.exit(1);
   }
 
-  console.log(`\n  Processed ${processed.length} student record(s):\n`);
-  processed.forEach(printRecord);
+  if (results.some((r) => r.error || r.errors.length > 0)) process.exit(1);
+}
 
-  // ── 5. Sync to Cloud School System ───────────────────────────────
-  const { success, sent, response } = await syncToCloud(processed, dateStr);
+/* ================================================================== */
+/*  Face enrolment mode                                                 */
+/* ================================================================== */
+
+async function runFaceSync() {
+  printBanner();
+
+  let results;
+  try {
+    results = await syncFaces({ force: FORCE });
+  } catch (err) {
+    log.error(`✖  ${err.message}`);
+    process.exit(1);
+  }
 
-  if (success) {
-    console.log(`\n✔  Done. ${sent} record(s) sent to cloud successfully.`);
-    if (response) {
-      console.log("  Cloud response:", JSON.stringify(response, null, 2));
+  log.info("═══════════════════════════════════════════════════════");
+  log.info("  Face enrolment summary", { terminals: results });
+  log.info("═══════════════════════════════════════════════════════");
+  for (const r of results) {
+    if (r.error) {
+      log.info(`  ${r.id}  failed: ${r.error}`);
+      continue;
     }
-  } else {
-    console.error("\n✖  Cloud sync failed. Records were NOT sent.");
-    console.error("   Check your CLOUD_API_BASE_URL and CLOUD_API_KEY in .env");
+    log.info(`  ${r.id}  ${r.uploaded} uploaded, ${r.alreadyEnrolled} already enrolled, ${r.problems.length} not enrolled`);
+    for (const p of r.problems) log.info(`    ${p.adm_no.padEnd(12)} ${p.status.padEnd(16)} ${p.reason}`);
+  }
+
+  if (results.some((r) => r.error || r.problems.length > 0)) process.exit(1);
+}
+
+/* ================================================================== */
+/*  Daemon mode                                                         */
+/* ================================================================== */
+
+async function runDaemon() {
+  printBanner();
+
+  const { cronSchedule, timezone } = config.sync;
+
+  let scheduler;
+  try {
+    scheduler = startSchedule({
+      expression: cronSchedule,
+      timezone,
+      task: async () => {
+        log.info(`\n── Sync run @ ${new Date().toISOString()} ─────────────────`);
+        try {
+          reportResult(await runSync({ trigger: "schedule" }));
+        } catch (err) {
+          if (err.code === "RUN_IN_PROGRESS") {
+            log.warn("  ⚠  A manual sync is still in progress — skipping this tick.");
+          } else {
+            log.error(`✖  Run failed: ${err.message}`, { runId: err.runId });
+          }
+        }
+        const next = scheduler.nextRun();
+        if (next) log.info(`\n  Next run: ${next.toISOString()}`);
+      },
+      onSkip: () => {
+        log.warn("  ⚠  Previous run still in progress — skipping this tick.");
+      },
+      onError: (err) => {
+        log.error(`✖  Unhandled error in scheduled run: ${err.message}`);
+      },
+    });
+  } catch (err) {
+    // Bad cron expression or timezone — nothing to run, so exit here
+    log.error(`✖  Cannot start scheduler: ${err.message}`);
+    log.error("   Check SYNC_CRON_SCHEDULE and SYNC_TIMEZONE in .env");
     process.exit(1);
   }
+
+  log.info("▶ Daemon mode");
+  log.info(`  Schedule : ${cronSchedule}  (${timezone})`);
+  log.info(`  Next run : ${scheduler.nextRun()?.toISOString() ?? "never"}`);
+
+  let server = null;
+  if (config.server.port > 0) {
+    try {
+      server = await startServer({ port: config.server.port, host: config.server.host });
+      log.info(`  HTTP API : http://${urlHost(config.server.host)}:${config.server.port}  (/health, /status, /sync, /attendance/:date)`);
+    } catch (err) {
+      // The API is a convenience — syncing carries on without it
+      log.error(`✖  Could not start HTTP API on ${config.server.host}:${config.server.port}: ${err.message}`);
+    }
+  }
+  log.info("");
+
+  // A stray rejection must never take the daemon down
+  process.on("unhandledRejection", (reason) => {
+    log.error(`✖  Unhandled rejection: ${reason?.message ?? reason}`, { stack: reason?.stack });
+  });
+
+  const shutdown = (signal) => {
+    log.info(`\n  Received ${signal} — stopping scheduler.`);
+    scheduler.stop();
+    server?.close();
+    process.exit(0);
+  };
+  process.on("SIGINT",  () => shutdown("SIGINT"));
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
 }
 
 // ── Bootstrap ──────────────────────────────────────────────────────
+const main = DAEMON      ? runDaemon
+           : SYNC_CLOCK  ? runClockSync
+           : SYNC_ROSTER ? runRosterSync
+           : SYNC_FACES  ? runFaceSync
+           : BACKFILL    ? runBackfillMode
+           : runOnce;
+
 main().catch((err) => {
-  console.error("\n✖  Unhandled error:", err.message);
+  log.error(`\n✖  Unhandled error: ${err.message}`, { stack: err.stack });
   process.exit(1);
-});
\ No newline at end of file
+});
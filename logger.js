@@ -0,0 +1,235 @@
+/**
+ * logger.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Structured File Logging
+ * Responsibility:
+ *   • Give every module a named logger with error / warn / info /
+ *     debug methods, filtered by LOG_LEVEL
+ *   • Keep the human-readable console output exactly as before
+ *   • ALSO append every message as one JSON line to LOG_DIR, so the
+ *     history survives the console window closing and can be sent
+ *     to support
+ *   • Rotate the file once it reaches LOG_MAX_SIZE, keeping
+ *     LOG_MAX_FILES rotated files (0 = none, the file starts over)
+ *   • Tag lines written during a sync run with that run's id
+ *
+ * Line format (logs/middleware.log):
+ *   {"ts":"2024-11-20T07:45:02.114Z","level":"info","module":"syncRunner",
+ *    "runId":"20241120-074500-3f9a","msg":"Pulled 12 raw event(s) …","data":{…}}
+ *
+ * Rotation: middleware.log → middleware.1.log → … → middleware.<N>.log,
+ * the oldest is deleted.
+ *
+ * Usage:
+ *   import { createLogger } from "./logger.js";
+ *   const log = createLogger("hikvisionClient");
+ *   log.info("  ✔  Terminal reachable", { ip });
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import * as fs                   from "fs";
+import * as path                 from "path";
+import * as crypto               from "crypto";
+import { AsyncLocalStorage }     from "async_hooks";
+import config                    from "./configLoader.js";
+
+/** Numeric severity — lower is more severe. */
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+/** Least severe level printed and written (LOG_LEVEL). */
+const threshold = LEVELS[config.logging.level] ?? LEVELS.info;
+
+/** Carries the current run id through every await of a sync run. */
+const runContext = new AsyncLocalStorage();
+
+/* ================================================================== */
+/*  File sink                                                           */
+/* ================================================================== */
+
+/** Name of the active log file inside LOG_DIR (see useLogFile()). */
+let fileName = "middleware.log";
+
+/** Bytes in the active file, or null until it has been stat'ed. */
+let fileSize = null;
+
+/** Set after the first write error so the console is not flooded. */
+let fileBroken = false;
+
+/**
+ * Parse a size such as "10m", "512k", "1g" or a plain byte count.
+ *
+ * @param {string} value
+ * @returns {number} bytes (10 MB if unparseable)
+ */
+function parseSize(value) {
+  const m = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/);
+  if (!m) return 10 * 1024 * 1024;
+  const unit = { "": 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 }[m[2]];
+  return Math.floor(parseFloat(m[1]) * unit);
+}
+
+const MAX_BYTES = parseSize(config.logging.maxSize);
+
+/**
+ * Path of the active file, or of rotated file `n`.
+ *
+ * @param {number} [n]
+ * @returns {string}
+ */
+function filePath(n) {
+  const { name, ext } = path.parse(fileName);
+  return path.resolve(config.logging.dir, n ? `${name}.${n}${ext}` : fileName);
+}
+
+/** Shift middleware.log → .1 → .2 …, dropping the oldest. */
+function rotate() {
+  const keep = Math.max(config.logging.maxFiles, 0);
+  fileSize   = 0;
+
+  if (keep === 0) {
+    fs.rmSync(filePath(), { force: true });
+    return;
+  }
+
+  fs.rmSync(filePath(keep), { force: true });
+  for (let n = keep - 1; n >= 1; n--) {
+    if (fs.existsSync(filePath(n))) fs.renameSync(filePath(n), filePath(n + 1));
+  }
+  fs.renameSync(filePath(), filePath(1));
+}
+
+/**
+ * Append one line, rotating first if it would overflow the file.
+ * Logging must never break the middleware, so failures are reported
+ * once on the console and otherwise ignored.
+ *
+ * @param {string} line
+ */
+function writeLine(line) {
+  try {
+    if (fileSize === null) {
+      fs.mkdirSync(config.logging.dir, { recursive: true });
+      fileSize = fs.existsSync(filePath()) ? fs.statSync(filePath()).size : 0;
+    }
+
+    const bytes = Buffer.byteLength(line);
+    if (fileSize > 0 && fileSize + bytes > MAX_BYTES) rotate();
+
+    fs.appendFileSync(filePath(), line);
+    fileSize += bytes;
+    fileBroken = false;
+  } catch (err) {
+    if (!fileBroken) {
+      console.error(`  ⚠  Cannot write to log file ${filePath()}: ${err.message}`);
+      fileBroken = true;
+    }
+    fileSize = null;
+  }
+}
+
+/* ================================================================== */
+/*  Public API                                                          */
+/* ================================================================== */
+
+/**
+ * Write to a different file in LOG_DIR. Separate processes (e.g. the
+ * updater) use their own file so they never rotate each other's logs.
+ *
+ * @param {string} name – e.g. "updater.log"
+ */
+export function useLogFile(name) {
+  fileName = name;
+  fileSize = null;
+}
+
+/**
+ * A new, sortable run id: "YYYYMMDD-HHMMSS-xxxx" (UTC).
+ *
+ * @returns {string}
+ */
+export function newRunId() {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, "").replace("T", "-");
+  return `${stamp}-${crypto.randomBytes(2).toString("hex")}`;
+}
+
+/**
+ * Run `fn` with `runId` attached to every line logged inside it,
+ * including lines logged after awaits.
+ *
+ * @template T
+ * @param {string}   runId
+ * @param {() => T}  fn
+ * @returns {T}
+ */
+export function withRunId(runId, fn) {
+  return runContext.run({ runId }, fn);
+}
+
+/**
+ * The run id of the current async context, or null outside a run.
+ *
+ * @returns {string|null}
+ */
+export function currentRunId() {
+  return runContext.getStore()?.runId ?? null;
+}
+
+/**
+ * Create a logger for one module.
+ *
+ * Messages below LOG_LEVEL are dropped. Each method prints `message`
+ * to the console unchanged (errors and warnings to stderr) and appends
+ * a JSON line to the log file. Blank spacer lines only go to the
+ * console. `data` is optional structured context stored alongside the
+ * message.
+ *
+ * @param {string} moduleName
+ * @returns {Logger}
+ */
+export function createLogger(moduleName) {
+  const emit = (level) => (message = "", data) => {
+    if (LEVELS[level] > threshold) return;
+
+    const text = String(message);
+    (level === "error" ? console.error : level === "warn" ? console.warn : console.log)(text);
+
+    const msg = text.trim();
+    if (!msg) return;
+
+    const entry = {
+      ts    : new Date().toISOString(),
+      level,
+      module: moduleName,
+      runId : currentRunId(),
+      msg,
+    };
+    if (data !== undefined) entry.data = data instanceof Error ? { error: data.message } : data;
+
+    writeLine(`${JSON.stringify(entry)}\n`);
+  };
+
+  return {
+    error: emit("error"),
+    warn : emit("warn"),
+    info : emit("info"),
+    debug: emit("debug"),
+  };
+}
+
+/* ================================================================== */
+/*  Types                                                               */
+/* ================================================================== */
+
+/**
+ * @callback LogMethod
+ * @param {string} [message] – console text; trimmed for the file
+ * @param {any}    [data]    – structured context for the file
+ */
+
+/**
+ * @typedef {object} Logger
+ * @property {LogMethod} error
+ * @property {LogMethod} warn
+ * @property {LogMethod} info
+ * @property {LogMethod} debug
+ */
@@ -0,0 +1,244 @@
+/**
+ * offlineQueue.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Persistent Offline Queue
+ * Responsibility:
+ *   • Hold attendance payloads the cloud could not accept
+ *     (network down, 5xx, timeouts) in a JSON file on disk
+ *   • Keep ONE entry per date — a newer record for the same
+ *     adm_no replaces the older one, so replays never go backwards
+ *   • Enforce QUEUE_MAX_SIZE (records, 0 = unlimited)
+ *   • Survive crashes and partial writes: every save goes to a
+ *     temp file, is fsync'd, then atomically renamed over the
+ *     queue file. A corrupt file is moved aside, never overwritten.
+ *
+ * Eviction policy (when the queue is full):
+ *   Oldest date first. Whole dates are dropped from the front of
+ *   the queue; if that still is not enough, records are trimmed
+ *   from the front of the oldest remaining date. Every eviction
+ *   is logged with the date and record count lost.
+ *
+ * File shape (QUEUE_FILE_PATH):
+ * {
+ *   "version": 1,
+ *   "entries": [
+ *     { "date": "2024-11-20", "attendance": [ ... ], "queuedAt": "…",
+ *       "updatedAt": "…", "attempts": 2, "lastError": "timeout …" }
+ *   ]
+ * }
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import * as path from "path";
+import config    from "./configLoader.js";
+import { readJsonFile, writeJsonAtomic } from "./fileStore.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("offlineQueue");
+
+/* ================================================================== */
+/*  Constants                                                           */
+/* ================================================================== */
+
+const QUEUE_VERSION = 1;
+
+/* ================================================================== */
+/*  File I/O                                                            */
+/* ================================================================== */
+
+/** Absolute path of the queue file. */
+function queuePath() {
+  return path.resolve(config.queue.filePath);
+}
+
+/**
+ * Read the queue from disk. A missing file is an empty queue; a
+ * corrupt one is moved aside by readJsonFile() and replaced.
+ *
+ * @returns {QueueFile}
+ */
+function load() {
+  return readJsonFile(
+    queuePath(),
+    () => ({ version: QUEUE_VERSION, entries: [] }),
+    (data) => Array.isArray(data?.entries)
+  );
+}
+
+/**
+ * Atomically replace the queue file (see fileStore.js).
+ *
+ * @param {QueueFile} queue
+ */
+function save(queue) {
+  writeJsonAtomic(queuePath(), queue);
+}
+
+/* ================================================================== */
+/*  Size limit                                                          */
+/* ================================================================== */
+
+/**
+ * Count every attendance record across all queued dates.
+ *
+ * @param {QueueFile} queue
+ * @returns {number}
+ */
+function countRecords(queue) {
+  return queue.entries.reduce((sum, e) => sum + e.attendance.length, 0);
+}
+
+/**
+ * Drop the oldest records until the queue fits QUEUE_MAX_SIZE.
+ * Mutates `queue` in place.
+ *
+ * @param {QueueFile} queue
+ */
+function enforceMaxSize(queue) {
+  const max = config.queue.maxSize;
+  if (!max || max <= 0) return;
+
+  let excess = countRecords(queue) - max;
+
+  while (excess > 0 && queue.entries.length > 0) {
+    const oldest = queue.entries[0];
+
+    if (oldest.attendance.length <= excess) {
+      queue.entries.shift();
+      excess -= oldest.attendance.length;
+      log.warn(
+        `  ⚠  Offline queue full (max ${max}) — evicted all ` +
+        `${oldest.attendance.length} record(s) for ${oldest.date}.`
+      );
+    } else {
+      oldest.attendance.splice(0, excess);
+      log.warn(
+        `  ⚠  Offline queue full (max ${max}) — evicted ${excess} ` +
+        `record(s) for ${oldest.date}.`
+      );
+      excess = 0;
+    }
+  }
+}
+
+/* ================================================================== */
+/*  Public API                                                          */
+/* ================================================================== */
+
+/**
+ * Add (or merge) a failed payload into the queue.
+ *
+ * If the date is already queued, records are merged by adm_no with
+ * the NEW record winning — it always reflects the latest terminal
+ * state for that student.
+ *
+ * @param {string} date        – "YYYY-MM-DD"
+ * @param {import('./attendanceProcessor.js').ProcessedAttendance[]} attendance
+ * @param {string} [reason]    – last error message, kept for diagnostics
+ * @returns {QueueDepth}       – queue depth after the write
+ */
+export function enqueue(date, attendance, reason = null) {
+  const queue = load();
+  const now   = new Date().toISOString();
+  let   entry = queue.entries.find((e) => e.date === date);
+
+  if (entry) {
+    const byAdm = new Map(entry.attendance.map((r) => [r.adm_no, r]));
+    for (const rec of attendance) {
+      byAdm.delete(rec.adm_no);    // re-insert so it moves to the back
+      byAdm.set(rec.adm_no, rec);
+    }
+    entry.attendance = [...byAdm.values()];
+    entry.updatedAt  = now;
+    entry.attempts  += 1;
+    entry.lastError  = reason;
+  } else {
+    entry = { date, attendance: [...attendance], queuedAt: now, updatedAt: now, attempts: 1, lastError: reason };
+    queue.entries.push(entry);
+    queue.entries.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  enforceMaxSize(queue);
+  save(queue);
+  return depth(queue);
+}
+
+/**
+ * Snapshot of every queued entry, oldest date first.
+ *
+ * @returns {QueueEntry[]}
+ */
+export function listQueued() {
+  return load().entries;
+}
+
+/**
+ * Remove individual records from a queued date (after their batch
+ * was delivered or rejected). The date is dropped once it is empty.
+ *
+ * @param {string}   date
+ * @param {string[]} admNos
+ */
+export function removeQueuedRecords(date, admNos) {
+  const queue = load();
+  const entry = queue.entries.find((e) => e.date === date);
+  if (!entry) return;
+
+  const done = new Set(admNos);
+  entry.attendance = entry.attendance.filter((r) => !done.has(r.adm_no));
+  entry.updatedAt  = new Date().toISOString();
+  if (entry.attendance.length === 0) queue.entries = queue.entries.filter((e) => e !== entry);
+  save(queue);
+}
+
+/**
+ * Record a failed replay attempt without changing the payload.
+ *
+ * @param {string} date
+ * @param {string} reason
+ */
+export function markReplayFailed(date, reason) {
+  const queue = load();
+  const entry = queue.entries.find((e) => e.date === date);
+  if (!entry) return;
+  entry.attempts  += 1;
+  entry.lastError  = reason;
+  entry.updatedAt  = new Date().toISOString();
+  save(queue);
+}
+
+/**
+ * Current queue depth (dates and records).
+ *
+ * @param {QueueFile} [queue] – already-loaded queue, to avoid a re-read
+ * @returns {QueueDepth}
+ */
+export function depth(queue = load()) {
+  return { dates: queue.entries.length, records: countRecords(queue) };
+}
+
+/* ================================================================== */
+/*  Types                                                               */
+/* ================================================================== */
+
+/**
+ * @typedef {object} QueueEntry
+ * @property {string}      date        – "YYYY-MM-DD" payload date
+ * @property {import('./attendanceProcessor.js').ProcessedAttendance[]} attendance
+ * @property {string}      queuedAt    – ISO timestamp first queued
+ * @property {string}      updatedAt   – ISO timestamp of the last change
+ * @property {number}      attempts    – failed delivery attempts so far
+ * @property {string|null} lastError   – most recent failure message
+ */
+
+/**
+ * @typedef {object} QueueFile
+ * @property {number}       version
+ * @property {QueueEntry[]} entries   – ordered oldest date first
+ */
+
+/**
+ * @typedef {object} QueueDepth
+ * @property {number} dates    – number of queued dates
+ * @property {number} records  – total queued attendance records
+ */
@@ -0,0 +1,310 @@
+/**
+ * releaseArchive.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Release Archives (updates for installs without git)
+ * Responsibility:
+ *   • Read the release list (releases.json) from an https:// URL, a
+ *     file:// URL or a local / shared directory
+ *   • Download an archive and verify its SHA-256 — and its detached
+ *     signature when a public key is configured — before it is used
+ *   • Extract it and swap in the entries it ships, in place of the
+ *     running ones; everything else in the install (.env, data/,
+ *     start-up scripts, keys, a package-lock.json the release does not
+ *     ship …) is left where it is. Put the previous code back on
+ *     request
+ *
+ * Mechanics only: which release to install, the smoke check and the
+ * rollback decision live in updater.js. Downloads go through axios,
+ * like every other request, so HTTP(S)_PROXY is honoured. Extraction
+ * uses the system `tar` (Linux, macOS and Windows 10+ ship one; the
+ * Windows tar also reads .zip).
+ *
+ * A file a newer release no longer ships stays behind — harmless, as
+ * nothing imports it any more.
+ *
+ * releases.json, next to the archives:
+ *   {
+ *     "releases": [
+ *       { "version": "v1.4.2", "file": "middleware-v1.4.2.tar.gz",
+ *         "sha256": "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08",
+ *         "signature": "middleware-v1.4.2.tar.gz.sig",
+ *         "notes": ["Retry uploads after a cloud outage", "…"] }
+ *     ]
+ *   }
+ * `file` and `signature` are relative to the source or absolute URLs;
+ * `signature` and `notes` are optional. An archive holds the project
+ * tree, either at its root or inside one top-level folder:
+ *   git archive --prefix=middleware/ -o middleware-v1.4.2.tar.gz v1.4.2
+ *   sha256sum middleware-v1.4.2.tar.gz
+ *   openssl pkeyutl -sign -rawin -inkey release_key.pem \
+ *     -in middleware-v1.4.2.tar.gz | base64 > middleware-v1.4.2.tar.gz.sig
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import { spawnSync } from "child_process";
+import * as crypto   from "crypto";
+import * as fs       from "fs";
+import * as path     from "path";
+import * as url      from "url";
+import axios         from "axios";
+import { redactUrl } from "./configSchema.js";
+
+/** Release list looked up at the source. */
+export const MANIFEST_NAME = "releases.json";
+
+/** Top-level entries that belong to the school — never replaced, even if a release ships them. */
+export const PRESERVED = new Set([".env", "config.js", "data", "logs", "node_modules", ".git", ".update"]);
+
+/** Files that must be in an archive for it to be a middleware release. */
+const REQUIRED_FILES = ["package.json", "index.js"];
+
+/** Files whose change means dependencies must be reinstalled. */
+const DEPENDENCY_FILES = ["package.json", "package-lock.json"];
+
+/** Longest a single download may take. */
+const DOWNLOAD_TIMEOUT_MS = 5 * 60_000;
+
+/* ================================================================== */
+/*  Source                                                              */
+/* ================================================================== */
+
+/**
+ * Where `name` lives for a given source: a URL for an http(s) source,
+ * a file path otherwise. Absolute URLs in the manifest are kept.
+ *
+ * @param {string} source – UPDATE_ARCHIVE_SOURCE
+ * @param {string} name
+ * @returns {string}
+ */
+function locate(source, name) {
+  if (/^https?:\/\//i.test(name)) return name;
+  if (/^file:\/\//i.test(name))   return url.fileURLToPath(name);
+  if (/^https?:\/\//i.test(source)) return new URL(name, source.endsWith("/") ? source : `${source}/`).href;
+
+  const dir = /^file:\/\//i.test(source) ? url.fileURLToPath(source) : source;
+  return path.resolve(dir, name);
+}
+
+/**
+ * @param {string} location – URL or file path from locate()
+ * @returns {Promise<Buffer>}
+ */
+async function readBytes(location) {
+  if (!/^https?:\/\//i.test(location)) return fs.promises.readFile(location);
+
+  try {
+    const res = await axios.get(location, { responseType: "arraybuffer", timeout: DOWNLOAD_TIMEOUT_MS });
+    return Buffer.from(res.data);
+  } catch (err) {
+    const status  = err.response?.status;
+    const shown   = redactUrl(location);
+    const wrapped = new Error(status ? `HTTP ${status} fetching ${shown}` : `Cannot fetch ${shown}: ${err.message}`);
+    wrapped.code   = "DOWNLOAD_FAILED";
+    wrapped.status = status ?? null;
+    throw wrapped;
+  }
+}
+
+/** @returns {Error} with `code` set */
+function archiveError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Read and check releases.json. Entries without a version, file or a
+ * well-formed SHA-256 make the whole list invalid — a half-valid list
+ * usually means a publishing mistake.
+ *
+ * @param {string} source
+ * @returns {Promise<ArchiveRelease[]>}
+ */
+export async function readManifest(source) {
+  const location = locate(source, MANIFEST_NAME);
+  const bytes    = await readBytes(location);
+  let manifest;
+  try {
+    manifest = JSON.parse(bytes.toString("utf8"));
+  } catch (err) {
+    throw archiveError("MANIFEST_INVALID", `${redactUrl(location)} is not valid JSON: ${err.message}`);
+  }
+
+  if (!Array.isArray(manifest?.releases)) {
+    throw archiveError("MANIFEST_INVALID", `${redactUrl(location)} has no "releases" list`);
+  }
+  manifest.releases.forEach((r, i) => {
+    if (typeof r?.version !== "string" || typeof r.file !== "string" || !/^[0-9a-f]{64}$/i.test(r.sha256 ?? "")) {
+      throw archiveError("MANIFEST_INVALID", `${redactUrl(location)}: release #${i + 1} needs "version", "file" and a hex "sha256"`);
+    }
+  });
+  return manifest.releases;
+}
+
+/* ================================================================== */
+/*  Download & verify                                                   */
+/* ================================================================== */
+
+/** A .sig file may hold the raw signature or its base64 text. */
+function decodeSignature(bytes) {
+  const text = bytes.toString("latin1").trim();
+  return /^[A-Za-z0-9+/\s]+=*$/.test(text) ? Buffer.from(text, "base64") : bytes;
+}
+
+/**
+ * Download a release into `dir` once its checksum — and, with a public
+ * key, its signature — verify. Nothing is written for a bad archive.
+ *
+ * @param {string}         source
+ * @param {ArchiveRelease} release
+ * @param {string}         dir           – staging directory
+ * @param {string}         [publicKeyPath] – UPDATE_ARCHIVE_PUBLIC_KEY
+ * @returns {Promise<{ file: string, sha256: string, signed: boolean }>}
+ */
+export async function downloadRelease(source, release, dir, publicKeyPath) {
+  const bytes  = await readBytes(locate(source, release.file));
+  const sha256 = crypto.createHash("sha256").update(bytes).digest("hex");
+
+  if (sha256 !== release.sha256.toLowerCase()) {
+    throw archiveError("CHECKSUM_MISMATCH", `${release.file}: SHA-256 is ${sha256}, releases.json says ${release.sha256}`);
+  }
+
+  let signed = false;
+  if (publicKeyPath) {
+    if (!release.signature) {
+      throw archiveError("SIGNATURE_MISSING", `${release.version} is not signed, and UPDATE_ARCHIVE_PUBLIC_KEY requires a signature`);
+    }
+    const key       = crypto.createPublicKey(fs.readFileSync(path.resolve(publicKeyPath)));
+    const signature = decodeSignature(await readBytes(locate(source, release.signature)));
+    // Ed25519 / Ed448 sign the data itself; RSA and EC sign its SHA-256
+    const algorithm = ["ed25519", "ed448"].includes(key.asymmetricKeyType) ? null : "sha256";
+
+    if (!crypto.verify(algorithm, bytes, key, signature)) {
+      throw archiveError("SIGNATURE_INVALID", `${release.file}: the signature does not match UPDATE_ARCHIVE_PUBLIC_KEY`);
+    }
+    signed = true;
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, path.basename(release.file.split(/[?#]/)[0]));
+  fs.writeFileSync(file, bytes);
+  return { file, sha256, signed };
+}
+
+/* ================================================================== */
+/*  Extract & swap                                                      */
+/* ================================================================== */
+
+/**
+ * Unpack an archive into `dir` (emptied first) and return the project
+ * root inside it.
+ *
+ * @param {string} file
+ * @param {string} dir
+ * @returns {string}
+ */
+export function extractArchive(file, dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+
+  const res = spawnSync("tar", ["-xf", file, "-C", dir], { encoding: "utf8" });
+  if (res.error || res.status !== 0) {
+    throw archiveError("EXTRACT_FAILED", `tar could not unpack ${path.basename(file)}: ${res.error?.message ?? res.stderr.trim()}`);
+  }
+
+  // GitHub and `git archive --prefix` put everything in one folder
+  const entries = fs.readdirSync(dir);
+  const root    = entries.length === 1 && fs.statSync(path.join(dir, entries[0])).isDirectory()
+    ? path.join(dir, entries[0])
+    : dir;
+
+  const missing = REQUIRED_FILES.filter((f) => !fs.existsSync(path.join(root, f)));
+  if (missing.length > 0) {
+    throw archiveError("ARCHIVE_INVALID", `${path.basename(file)} is not a middleware release (no ${missing.join(", ")})`);
+  }
+  return root;
+}
+
+/**
+ * True when the release ships a package.json or package-lock.json
+ * that differs from the installed one. A file the release does not
+ * ship is not replaced, so it cannot have changed.
+ *
+ * @param {string} root
+ * @param {string} newRoot
+ * @returns {boolean}
+ */
+export function dependenciesChanged(root, newRoot) {
+  const read = (dir, f) => (fs.existsSync(path.join(dir, f)) ? fs.readFileSync(path.join(dir, f)) : null);
+  return DEPENDENCY_FILES.some((f) => {
+    const shipped = read(newRoot, f);
+    if (!shipped) return false;
+    const current = read(root, f);
+    return !current || !current.equals(shipped);
+  });
+}
+
+/**
+ * Replace the code in `root` with the tree in `newRoot`, entry by
+ * entry: for each top-level entry the release ships (PRESERVED ones
+ * excepted), the installed one moves to `backupDir` and the new one
+ * takes its place. Entries the release does not ship are not touched.
+ * Renames only — `backupDir` and `newRoot` must be on the same disk
+ * (both live under root/.update). A failure part-way puts everything
+ * back before rethrowing.
+ *
+ * @param {string} root
+ * @param {string} newRoot
+ * @param {string} backupDir – must not exist yet
+ * @returns {string[]} entries installed — pass to restoreBackup()
+ */
+export function swapIn(root, newRoot, backupDir) {
+  const installed = [];
+  fs.mkdirSync(backupDir, { recursive: true });
+
+  try {
+    // A release never brings its own .env, data/ … over the school's
+    for (const name of fs.readdirSync(newRoot)) {
+      if (PRESERVED.has(name)) continue;
+      const target = path.join(root, name);
+      if (fs.existsSync(target)) fs.renameSync(target, path.join(backupDir, name));
+      installed.push(name);
+      fs.renameSync(path.join(newRoot, name), target);
+    }
+  } catch (err) {
+    restoreBackup(root, backupDir, installed);
+    throw err;
+  }
+  return installed;
+}
+
+/**
+ * Undo swapIn(): remove the entries it installed and move the backed-up
+ * code back.
+ *
+ * @param {string}   root
+ * @param {string}   backupDir
+ * @param {string[]} installed – as returned by swapIn()
+ */
+export function restoreBackup(root, backupDir, installed) {
+  for (const name of installed) {
+    fs.rmSync(path.join(root, name), { recursive: true, force: true });
+  }
+  for (const name of fs.readdirSync(backupDir)) {
+    fs.rmSync(path.join(root, name), { recursive: true, force: true });
+    fs.renameSync(path.join(backupDir, name), path.join(root, name));
+  }
+}
+
+/* ================================================================== */
+/*  Types                                                               */
+/* ================================================================== */
+
+/**
+ * @typedef {object} ArchiveRelease
+ * @property {string}   version     – "v1.4.2"
+ * @property {string}   file        – archive, relative to the source or a URL
+ * @property {string}   sha256      – hex digest of the archive
+ * @property {string}   [signature] – detached signature file (raw or base64)
+ * @property {string[]} [notes]     – changelog shown by  updater.js --list
+ */
@@ -0,0 +1,430 @@
+/**
+ * roster.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Student Roster Provisioning
+ * Responsibility:
+ *   • Fetch the student list from the Cloud School System
+ *     (CLOUD_ROSTER_ENDPOINT)
+ *   • Compare it with the persons enrolled on each terminal and
+ *     report what would change: persons to create, to update (name
+ *     or validity) and to delete
+ *   • Apply that diff on request, so adm_no and employeeNo always
+ *     match without anyone typing them into the web portal
+ *
+ * Leavers stay on the roster with a `valid_until` date: the terminal
+ * stops accepting their face after that day. Persons on a terminal
+ * but missing from the roster are only deleted with
+ * ROSTER_DELETE_MISSING=true, and even then only "normal" persons this
+ * sync enrolled itself (ROSTER_CREATED_FILE_PATH) — staff and admins
+ * enrolled by hand are never touched. An empty roster, or one that
+ * would delete more than ROSTER_DELETE_MAX persons from a terminal,
+ * deletes nobody: it is far more likely a bad response than a school
+ * that lost its students overnight.
+ *
+ * Expected cloud response (a bare array is accepted too):
+ *   { "students": [ { "adm_no": "S101", "name": "Jane Doe",
+ *                     "valid_until": "2026-11-30",
+ *                     "photo_url": "/photos/S101.jpg" }, … ] }
+ * photo_url is optional and only used by faceSync.js.
+ *
+ * Usage:
+ *   node index.js --sync-roster           — print the diff only
+ *   node index.js --sync-roster --apply   — print it, then apply it
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import * as path                   from "path";
+import axios                       from "axios";
+import { HikvisionClient,
+         DEFAULT_VALID_UNTIL }     from "./hikvisionClient.js";
+import { ensureDeviceReachable }   from "./deviceDiscovery.js";
+import { dateInZone }              from "./clock.js";
+import { createLogger }            from "./logger.js";
+import { readJsonFile,
+         writeJsonAtomic }         from "./fileStore.js";
+import config                      from "./configLoader.js";
+
+const log = createLogger("roster");
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/* ================================================================== */
+/*  Cloud roster                                                        */
+/* ================================================================== */
+
+/**
+ * Fetch and validate the student roster from the cloud. Entries with
+ * no adm_no or a malformed valid_until are skipped with a warning; a
+ * repeated adm_no keeps its last entry.
+ *
+ * @returns {Promise<RosterStudent[]>}
+ */
+export async function fetchRoster() {
+  const url = `${config.cloud.baseUrl}${config.roster.endpoint}`;
+
+  let res;
+  try {
+    res = await axios.get(url, {
+      timeout: config.cloud.timeoutMs,
+      params : { school_code: config.cloud.schoolCode },
+      headers: {
+        "Authorization": `Bearer ${config.cloud.apiKey}`,
+        "X-Source"     : "hikvision-middleware",
+      },
+    });
+  } catch (err) {
+    const status = err.response?.status ? `HTTP ${err.response.status}` : "network error";
+    throw new Error(`Could not fetch the roster from ${url} (${status}): ${err.message}`);
+  }
+
+  const list = Array.isArray(res.data) ? res.data : res.data?.students;
+  if (!Array.isArray(list)) {
+    throw new Error(`Roster response from ${url} has no "students" array.`);
+  }
+
+  const byAdm = new Map();
+  for (const s of list) {
+    const admNo = String(s?.adm_no ?? "").trim();
+    if (!admNo || admNo === "0") {
+      log.warn(`  ⚠  Skipping roster entry without adm_no: ${JSON.stringify(s)}`);
+      continue;
+    }
+    if (s.valid_until && !DATE_RE.test(s.valid_until)) {
+      log.warn(`  ⚠  Skipping ${admNo}: valid_until must be YYYY-MM-DD, got "${s.valid_until}"`);
+      continue;
+    }
+    if (byAdm.has(admNo)) log.warn(`  ⚠  adm_no ${admNo} appears more than once — using the last entry.`);
+
+    byAdm.set(admNo, {
+      adm_no     : admNo,
+      name       : String(s.name ?? "").trim(),
+      valid_until: s.valid_until ?? null,
+      photo_url  : s.photo_url   ?? null,
+    });
+  }
+
+  return [...byAdm.values()];
+}
+
+/* ================================================================== */
+/*  Persons we enrolled                                                 */
+/* ================================================================== */
+
+/** @returns {Record<string, string[]>} employeeNos the roster sync enrolled, per terminal id */
+function loadCreated() {
+  return readJsonFile(
+    path.resolve(config.roster.createdPath),
+    () => ({}),
+    (d) => d && typeof d === "object" && !Array.isArray(d)
+  );
+}
+
+/** @param {Record<string, string[]>} created */
+function saveCreated(created) {
+  writeJsonAtomic(path.resolve(config.roster.createdPath), created);
+}
+
+/* ================================================================== */
+/*  Diff                                                                */
+/* ================================================================== */
+
+/**
+ * Validity end a student should have on the terminal.
+ *
+ * @param {RosterStudent} student
+ * @returns {string} "YYYY-MM-DDTHH:mm:ss"
+ */
+function validUntilFor(student) {
+  return student.valid_until ? `${student.valid_until}T23:59:59` : DEFAULT_VALID_UNTIL;
+}
+
+/**
+ * Work out what has to change on a terminal to match the roster.
+ *
+ * @param {RosterStudent[]} roster
+ * @param {import('./hikvisionClient.js').TerminalUser[]} users – persons on the terminal
+ * @param {string} today – "YYYY-MM-DD" in the school timezone
+ * @param {object}      [opts]
+ * @param {Set<string>} [opts.created]       – employeeNos the roster sync enrolled on this terminal
+ * @param {boolean}     [opts.deleteMissing] – default ROSTER_DELETE_MISSING
+ * @param {number}      [opts.deleteMax]     – default ROSTER_DELETE_MAX
+ * @returns {RosterDiff}
+ */
+export function diffRoster(roster, users, today, opts = {}) {
+  const {
+    created       = new Set(),
+    deleteMissing = config.roster.deleteMissing,
+    deleteMax     = config.roster.deleteMax,
+  } = opts;
+  const onTerminal = new Map(users.map((u) => [u.employeeNo, u]));
+  const inRoster   = new Set(roster.map((s) => s.adm_no));
+
+  /** @type {RosterDiff} */
+  const diff = { create: [], update: [], delete: [], kept: [], skipped: [], unchanged: 0, deleteRefused: 0 };
+
+  for (const student of roster) {
+    const user       = onTerminal.get(student.adm_no);
+    const validUntil = validUntilFor(student);
+
+    if (!user) {
+      // A student who has already left has nothing to enrol for
+      if (student.valid_until && student.valid_until < today) diff.skipped.push(student);
+      else diff.create.push(student);
+      continue;
+    }
+
+    const changes = [];
+    const patch   = {};
+    if (student.name && student.name !== user.name.trim()) {
+      changes.push(`name "${user.name}" → "${student.name}"`);
+      patch.name = student.name;
+    }
+    if ((user.validUntil ?? "").slice(0, 19) !== validUntil) {
+      changes.push(student.valid_until
+        ? `valid until ${student.valid_until}`
+        : `validity end ${(user.validUntil ?? "none").slice(0, 10)} removed`);
+      patch.validFrom  = user.validFrom ?? undefined;
+      patch.validUntil = validUntil;
+    }
+
+    if (changes.length > 0) diff.update.push({ student, user, changes, patch });
+    else diff.unchanged += 1;
+  }
+
+  for (const user of users) {
+    if (inRoster.has(user.employeeNo)) continue;
+    const reason =
+      !deleteMissing                ? "ROSTER_DELETE_MISSING=false"     :
+      roster.length === 0           ? "the roster is empty"             :
+      !created.has(user.employeeNo) ? "not enrolled by the roster sync" :
+      user.userType !== "normal"    ? `userType ${user.userType}`       :
+      null;
+    if (reason) diff.kept.push({ user, reason });
+    else diff.delete.push(user);
+  }
+
+  // A truncated roster looks like a mass exodus — delete nobody
+  if (deleteMax > 0 && diff.delete.length > deleteMax) {
+    diff.deleteRefused = diff.delete.length;
+    diff.kept.push(...diff.delete.map((user) => ({ user, reason: `over ROSTER_DELETE_MAX=${deleteMax}` })));
+    diff.delete = [];
+  }
+
+  return diff;
+}
+
+/**
+ * Print a diff, one line per change.
+ *
+ * @param {RosterDiff} diff
+ */
+function printDiff(diff) {
+  for (const s of diff.create) {
+    log.info(`  + create   ${s.adm_no}  ${s.name}${s.valid_until ? `  (valid until ${s.valid_until})` : ""}`);
+  }
+  for (const u of diff.update) {
+    log.info(`  ~ update   ${u.student.adm_no}  ${u.changes.join(", ")}`);
+  }
+  for (const u of diff.delete) {
+    log.info(`  - delete   ${u.employeeNo}  ${u.name}`);
+  }
+  for (const { user, reason } of diff.kept) {
+    log.info(`  ? kept     ${user.employeeNo}  ${user.name}  (not in roster — ${reason})`);
+  }
+  for (const s of diff.skipped) {
+    log.info(`  · skipped  ${s.adm_no}  ${s.name}  (left ${s.valid_until}, not on terminal)`);
+  }
+  log.info(
+    `  ${diff.create.length} to create, ${diff.update.length} to update, ` +
+    `${diff.delete.length} to delete, ${diff.unchanged} unchanged` +
+    (diff.kept.length ? `, ${diff.kept.length} not in roster (kept)` : "")
+  );
+  if (diff.deleteRefused > 0) {
+    log.warn(
+      `  ⚠  Refusing to delete ${diff.deleteRefused} person(s) — more than ROSTER_DELETE_MAX=${config.roster.deleteMax}. ` +
+      "Check the roster the cloud returned; raise ROSTER_DELETE_MAX to go ahead."
+    );
+  }
+}
+
+/* ================================================================== */
+/*  Apply                                                               */
+/* ================================================================== */
+
+/**
+ * Apply a diff to a terminal. Every change is tried on its own, so
+ * one refused person does not stop the rest.
+ *
+ * @param {HikvisionClient} client
+ * @param {RosterDiff}      diff
+ * @returns {Promise<{ errors: RosterError[], created: string[], deleted: string[] }>}
+ */
+async function applyDiff(client, diff) {
+  /** @type {RosterError[]} */
+  const errors  = [];
+  const created = [];
+  const deleted = [];
+
+  const attempt = async (action, admNo, fn) => {
+    try {
+      await fn();
+      return true;
+    } catch (err) {
+      const message = err.message.split("\n").map((l) => l.trim()).join(" ");
+      log.error(`  ✖  Could not ${action} ${admNo}: ${message}`);
+      errors.push({ adm_no: admNo, action, error: message });
+      return false;
+    }
+  };
+
+  for (const { student, patch } of diff.update) {
+    await attempt("update", student.adm_no, () => client.modifyUser({ employeeNo: student.adm_no, ...patch }));
+  }
+
+  for (const student of diff.create) {
+    const ok = await attempt("create", student.adm_no, () => client.addUser({
+      employeeNo: student.adm_no,
+      name      : student.name,
+      validUntil: validUntilFor(student),
+    }));
+    if (ok) created.push(student.adm_no);
+  }
+
+  for (const user of diff.delete) {
+    const ok = await attempt("delete", user.employeeNo, () => client.deleteUsers([user.employeeNo]));
+    if (ok) deleted.push(user.employeeNo);
+  }
+
+  return { errors, created, deleted };
+}
+
+/* ================================================================== */
+/*  Main export                                                         */
+/* ================================================================== */
+
+/**
+ * Fetch the roster, diff it against every terminal and — if `apply`
+ * is set — make the changes. A terminal that fails does not stop
+ * the rest.
+ *
+ * @param {object}  [opts]
+ * @param {boolean} [opts.apply=false] – false = report only
+ * @returns {Promise<RosterTerminalResult[]>}
+ */
+export async function syncRoster(opts = {}) {
+  const apply = opts.apply ?? false;
+  const today = dateInZone(config.sync.timezone);
+
+  log.info("▶ Fetching student roster from the cloud …");
+  const roster = await fetchRoster();
+  log.info(`  ✔  ${roster.length} student(s) on the roster.\n`, { students: roster.length });
+  if (roster.length === 0) log.warn("  ⚠  The roster is empty — nobody will be deleted.\n");
+
+  const created = loadCreated();
+
+  /** @type {RosterTerminalResult[]} */
+  const results = [];
+
+  for (const t of config.terminals) {
+    const result = { id: t.id, ip: null, diff: null, applied: false, errors: [], error: null };
+    results.push(result);
+
+    try {
+      const discovery = await ensureDeviceReachable({
+        host      : t.host,
+        port      : t.port,
+        username  : t.username,
+        password  : t.password,
+        useHttps  : t.useHttps,
+        deviceName: t.deviceName,
+        hostEnvKey: t.hostEnvKey,
+        label     : config.terminals.length > 1 ? t.id : undefined,
+      });
+      result.ip = discovery.ip;
+
+      const client = new HikvisionClient({
+        host               : discovery.ip,
+        port               : t.port,
+        username           : t.username,
+        password           : t.password,
+        useHttps           : t.useHttps,
+        rejectUnauthorized : t.rejectUnauthorized,
+      });
+
+      const users = await client.getUsers();
+      log.info(`\n── Terminal "${t.id}": ${users.length} person(s) enrolled ─────────────`);
+
+      result.diff = diffRoster(roster, users, today, { created: new Set(created[t.id] ?? []) });
+      printDiff(result.diff);
+      log.info("");
+
+      const { create, update, delete: remove } = result.diff;
+      if (apply && create.length + update.length + remove.length > 0) {
+        log.info(`▶ Applying changes to "${t.id}" …`);
+        const applied  = await applyDiff(client, result.diff);
+        result.errors  = applied.errors;
+        result.applied = true;
+
+        const mine = new Set(created[t.id] ?? []);
+        applied.created.forEach((no) => mine.add(no));
+        applied.deleted.forEach((no) => mine.delete(no));
+        created[t.id] = [...mine].sort();
+        saveCreated(created);
+
+        const counts = { terminal: t.id, create: create.length, update: update.length, delete: remove.length, errors: result.errors };
+        if (result.errors.length > 0) log.warn(`  ⚠  Done, ${result.errors.length} change(s) refused.\n`, counts);
+        else log.info("  ✔  Done.\n", counts);
+      }
+    } catch (err) {
+      result.error = err.message;
+      log.error(`  ✖  Roster sync for "${t.id}" failed: ${err.message}\n`, { terminal: t.id });
+    }
+  }
+
+  if (!apply) log.info("  Nothing was changed. Re-run with --apply to make these changes.");
+  return results;
+}
+
+/* ================================================================== */
+/*  Types                                                               */
+/* ================================================================== */
+
+/**
+ * @typedef {object} RosterStudent
+ * @property {string}      adm_no      – becomes employeeNo on the terminal
+ * @property {string}      name
+ * @property {string|null} valid_until – "YYYY-MM-DD", last day a leaver may scan
+ * @property {string|null} photo_url   – face photo, absolute or relative to CLOUD_API_BASE_URL
+ */
+
+/**
+ * @typedef {object} RosterDiff
+ * @property {RosterStudent[]} create    – on the roster, not on the terminal
+ * @property {{ student: RosterStudent, user: import('./hikvisionClient.js').TerminalUser, changes: string[],
+ *              patch: Omit<import('./hikvisionClient.js').UserChanges, "employeeNo"> }[]} update
+ *                                       – name or validity differs; `patch` holds only what changes
+ * @property {import('./hikvisionClient.js').TerminalUser[]} delete
+ *                                       – not on the roster, enrolled by this sync (ROSTER_DELETE_MISSING=true)
+ * @property {{ user: import('./hikvisionClient.js').TerminalUser, reason: string }[]} kept
+ *                                       – not on the roster, left alone, and why
+ * @property {RosterStudent[]} skipped   – leavers never enrolled on the terminal
+ * @property {number}          unchanged
+ * @property {number}          deleteRefused – deletions held back by ROSTER_DELETE_MAX
+ */
+
+/**
+ * @typedef {object} RosterError
+ * @property {string} adm_no
+ * @property {"create"|"update"|"delete"} action
+ * @property {string} error
+ */
+
+/**
+ * @typedef {object} RosterTerminalResult
+ * @property {string}          id       – terminal id
+ * @property {string|null}     ip
+ * @property {RosterDiff|null} diff     – null if the terminal could not be read
+ * @property {boolean}         applied  – changes were sent to the terminal
+ * @property {RosterError[]}   errors   – changes the terminal refused
+ * @property {string|null}     error    – why the terminal could not be synced
+ */
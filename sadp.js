@@ -0,0 +1,202 @@
+/**
+ * sadp.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: SADP Device Discovery (UDP multicast)
+ * Responsibility:
+ *   • Send a SADP "inquiry" probe to 239.255.255.250:37020 from every
+ *     local IPv4 interface — the same probe Hikvision's SADP Tool sends
+ *   • Collect the ProbeMatch replies for a few seconds and return each
+ *     device's IP, MAC, serial, model and HTTP port
+ *
+ * Every Hikvision device answers SADP whatever its IP, so one probe
+ * finds a terminal that moved in about three seconds, without logging
+ * in to every host on the subnet (which can lock out other devices).
+ *
+ * Replies are multicast back to the group, so the socket binds port
+ * 37020. If SADP Tool already holds that port exclusively, binding
+ * falls back to a random port and only devices that reply unicast are
+ * seen — deviceDiscovery.js then falls back to the HTTP scan.
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import * as dgram  from "dgram";
+import * as os     from "os";
+import * as crypto from "crypto";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("sadp");
+
+export const SADP_GROUP = "239.255.255.250";
+export const SADP_PORT  = 37020;
+
+/** How long to wait for replies. */
+const DEFAULT_TIMEOUT_MS = 3_000;
+
+/* ================================================================== */
+/*  Messages                                                            */
+/* ================================================================== */
+
+/**
+ * The inquiry probe SADP Tool sends.
+ *
+ * @param {string} uuid
+ * @returns {string}
+ */
+export function buildProbe(uuid) {
+  return (
+    `<?xml version="1.0" encoding="utf-8"?>` +
+    `<Probe><Uuid>${uuid}</Uuid><Types>inquiry</Types></Probe>`
+  );
+}
+
+/** Text content of the first <tag> in an XML string, or null. */
+function xmlValue(xml, tag) {
+  const m = xml.match(new RegExp(`<${tag}>([^<]*)</${tag}>`, "i"));
+  return m ? m[1].trim() : null;
+}
+
+/**
+ * "44-47-CC-0A-1B-2C" (SADP) → "44:47:cc:0a:1b:2c" (ISAPI deviceInfo).
+ *
+ * @param {string|null} mac
+ * @returns {string|null}
+ */
+export function normaliseMac(mac) {
+  return mac ? mac.toLowerCase().replace(/-/g, ":") : null;
+}
+
+/**
+ * Parse a ProbeMatch reply. Returns null for anything else — including
+ * our own probe, which multicast loops back to us.
+ *
+ * @param {string} xml
+ * @returns {SadpDevice|null}
+ */
+export function parseProbeMatch(xml) {
+  if (!/<ProbeMatch[\s>]/i.test(xml)) return null;
+
+  const ip = xmlValue(xml, "IPv4Address");
+  if (!ip) return null;
+
+  const port = parseInt(xmlValue(xml, "HttpPort") ?? "", 10);
+  return {
+    ip,
+    macAddress     : normaliseMac(xmlValue(xml, "MAC")),
+    serialNumber   : xmlValue(xml, "DeviceSN"),
+    model          : xmlValue(xml, "DeviceDescription"),
+    deviceName     : xmlValue(xml, "DeviceName"),   // newer firmware only
+    firmwareVersion: xmlValue(xml, "SoftwareVersion"),
+    httpPort       : Number.isInteger(port) ? port : null,
+    dhcp           : xmlValue(xml, "DHCP") === "true",
+    activated      : xmlValue(xml, "Activated") !== "false",
+    uuid           : xmlValue(xml, "Uuid"),
+  };
+}
+
+/* ================================================================== */
+/*  Discovery                                                           */
+/* ================================================================== */
+
+/**
+ * Non-internal IPv4 addresses of this machine.
+ *
+ * @returns {string[]}
+ */
+function localAddresses() {
+  return Object.values(os.networkInterfaces())
+    .flat()
+    .filter((a) => a && a.family === "IPv4" && !a.internal)
+    .map((a) => a.address);
+}
+
+/**
+ * Open the socket replies arrive on, preferring the SADP port itself.
+ *
+ * @returns {Promise<dgram.Socket>}
+ */
+async function openSocket() {
+  const bind = (port) => new Promise((resolve, reject) => {
+    const socket = dgram.createSocket({ type: "udp4", reuseAddr: true });
+    socket.once("error", reject);
+    socket.bind(port, () => {
+      socket.off("error", reject);
+      resolve(socket);
+    });
+  });
+
+  try {
+    return await bind(SADP_PORT);
+  } catch (err) {
+    log.debug(`  SADP port ${SADP_PORT} unavailable (${err.message}) — listening for unicast replies only.`);
+    return bind(0);
+  }
+}
+
+/**
+ * Probe for Hikvision devices on every local network.
+ *
+ * Never throws: a network that blocks multicast just finds nothing.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.timeoutMs=3000] – how long to collect replies
+ * @returns {Promise<SadpDevice[]>} one entry per device, by MAC / serial / IP
+ */
+export async function discoverSadp(opts = {}) {
+  const timeoutMs = opts.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  const uuid      = crypto.randomUUID().toUpperCase();
+  const probe     = Buffer.from(buildProbe(uuid));
+  const devices   = new Map();
+
+  let socket;
+  try {
+    socket = await openSocket();
+  } catch (err) {
+    log.warn(`  ⚠  SADP discovery unavailable: ${err.message}`);
+    return [];
+  }
+
+  socket.on("message", (msg) => {
+    const device = parseProbeMatch(msg.toString("utf8"));
+    // Devices answering another client's probe are still worth having
+    if (device) devices.set(device.macAddress ?? device.serialNumber ?? device.ip, device);
+  });
+  socket.on("error", (err) => log.debug(`  SADP socket error: ${err.message}`));
+
+  const addresses = localAddresses();
+  for (const address of addresses.length > 0 ? addresses : [undefined]) {
+    try {
+      if (address) {
+        try { socket.addMembership(SADP_GROUP, address); } catch { /* already joined / not multicast-capable */ }
+        socket.setMulticastInterface(address);
+      }
+      await new Promise((resolve, reject) =>
+        socket.send(probe, SADP_PORT, SADP_GROUP, (err) => (err ? reject(err) : resolve()))
+      );
+    } catch (err) {
+      log.debug(`  SADP probe from ${address ?? "default interface"} failed: ${err.message}`);
+    }
+  }
+
+  await new Promise((resolve) => setTimeout(resolve, timeoutMs));
+  socket.close();
+
+  return [...devices.values()];
+}
+
+/* ================================================================== */
+/*  Types                                                               */
+/* ================================================================== */
+
+/**
+ * @typedef {object} SadpDevice
+ * @property {string}      ip
+ * @property {string|null} macAddress      – "44:47:cc:0a:1b:2c"
+ * @property {string|null} serialNumber    – full serial, e.g. "DS-K1T342MFX-E120240101V043918ENL12345678"
+ * @property {string|null} model           – e.g. "DS-K1T342MFX-E1"
+ * @property {string|null} deviceName      – only sent by newer firmware
+ * @property {string|null} firmwareVersion
+ * @property {number|null} httpPort
+ * @property {boolean}     dhcp
+ * @property {boolean}     activated       – false until the admin password is set
+ * @property {string|null} uuid            – probe the device was answering
+ */
@@ -0,0 +1,353 @@
+/**
+ * scheduler.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Cron Scheduler (timezone-aware)
+ * Responsibility:
+ *   • Parse standard 5-field cron expressions (SYNC_CRON_SCHEDULE)
+ *   • Evaluate them against wall-clock time in SYNC_TIMEZONE,
+ *     independent of the host machine's own timezone
+ *   • Fire a task on every matching minute, never overlapping runs
+ *
+ * Supported syntax per field:
+ *   *      every value          5      single value
+ *   1-5    range                1,3,5  list
+ *   *\/15  step                1-30/5 stepped range
+ *   Month and weekday names (JAN, MON …) are accepted too.
+ *
+ * Dependencies:  none (Node built-ins + Intl only)
+ * ─────────────────────────────────────────────────────────────
+ */
+
+/* ================================================================== */
+/*  Constants                                                           */
+/* ================================================================== */
+
+const FIELDS = [
+  { name: "minute",     min: 0, max: 59 },
+  { name: "hour",       min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month",      min: 1, max: 12,
+    aliases: ["JAN","FEB","MAR","APR","MAY","JUN","JUL","AUG","SEP","OCT","NOV","DEC"] },
+  { name: "dayOfWeek",  min: 0, max: 7,
+    aliases: ["SUN","MON","TUE","WED","THU","FRI","SAT"] },
+];
+
+/** Days per month — February as 29, so a leap-day schedule is possible. */
+const MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/** How far ahead nextRun() searches before giving up (minutes) — covers a leap day, e.g. 2096 → 2104. */
+const MAX_LOOKAHEAD_MINUTES = 8 * 366 * 24 * 60;
+
+/* ================================================================== */
+/*  Cron parsing                                                        */
+/* ================================================================== */
+
+/**
+ * Replace month / weekday names with their numeric value.
+ *
+ * @param {string}   token
+ * @param {object}   field
+ * @returns {string}
+ */
+function resolveAliases(token, field) {
+  if (!field.aliases) return token;
+  return token.toUpperCase().replace(/[A-Z]{3}/g, (name) => {
+    const idx = field.aliases.indexOf(name);
+    if (idx === -1) throw new Error(`Unknown ${field.name} name "${name}"`);
+    return String(idx + field.min);
+  });
+}
+
+/**
+ * Expand a single cron field into the set of values it matches.
+ *
+ * @param {string} raw
+ * @param {object} field
+ * @returns {{ values: Set<number>, wildcard: boolean }}
+ */
+function parseField(raw, field) {
+  const values = new Set();
+  const text   = resolveAliases(raw, field);
+
+  for (const part of text.split(",")) {
+    const [rangePart, stepPart] = part.split("/");
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepPart}" in ${field.name} field`);
+    }
+
+    let from, to;
+    if (rangePart === "*") {
+      [from, to] = [field.min, field.max];
+    } else if (rangePart.includes("-")) {
+      [from, to] = rangePart.split("-").map(Number);
+    } else {
+      from = Number(rangePart);
+      // "5/10" means "from 5 to max, every 10"
+      to   = stepPart === undefined ? from : field.max;
+    }
+
+    if (!Number.isInteger(from) || !Number.isInteger(to) ||
+        from < field.min || to > field.max || from > to) {
+      throw new Error(
+        `Invalid ${field.name} value "${part}" (allowed ${field.min}-${field.max})`
+      );
+    }
+
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+
+  // Cron treats both 0 and 7 as Sunday
+  if (field.name === "dayOfWeek" && values.has(7)) {
+    values.delete(7);
+    values.add(0);
+  }
+
+  return { values, wildcard: raw === "*" || raw.startsWith("*/") };
+}
+
+/**
+ * Parse a 5-field cron expression.
+ * Throws a descriptive Error when the expression is invalid — or can
+ * never fire, like "0 0 30 2 *".
+ *
+ * @param {string} expression – e.g. "*\/5 * * * *"
+ * @returns {CronSchedule}
+ */
+export function parseCron(expression) {
+  const parts = String(expression ?? "").trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(
+      `Cron expression must have 5 fields (minute hour day month weekday), got: "${expression}"`
+    );
+  }
+
+  const parsed = { expression: parts.join(" ") };
+  FIELDS.forEach((field, i) => {
+    try {
+      parsed[field.name] = parseField(parts[i], field);
+    } catch (err) {
+      throw new Error(`Invalid cron expression "${expression}": ${err.message}`);
+    }
+  });
+
+  // Day-of-month only counts on its own when the weekday does not
+  // widen it (see cronMatches); then some month must have that day
+  const { dayOfMonth, dayOfWeek, month } = parsed;
+  const possible = [...month.values].some((m) => [...dayOfMonth.values].some((d) => d <= MONTH_DAYS[m - 1]));
+  if (!possible && (dayOfMonth.wildcard || dayOfWeek.wildcard)) {
+    throw new Error(`Cron expression "${expression}" never fires: none of its months has that day of the month`);
+  }
+
+  return parsed;
+}
+
+/* ================================================================== */
+/*  Timezone helpers                                                    */
+/* ================================================================== */
+
+const formatterCache = new Map();
+
+/**
+ * Return (and cache) an Intl formatter for the given IANA timezone.
+ * Throws a RangeError for unknown zones.
+ *
+ * @param {string} timeZone
+ * @returns {Intl.DateTimeFormat}
+ */
+function formatterFor(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year     : "numeric",
+      month    : "numeric",
+      day      : "numeric",
+      hour     : "numeric",
+      minute   : "numeric",
+      second   : "numeric",
+      weekday  : "short",
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Break a Date into wall-clock parts as seen in `timeZone`.
+ *
+ * @param {Date}   date
+ * @param {string} timeZone – IANA name, e.g. "Africa/Nairobi"
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number }}
+ */
+export function zonedParts(date, timeZone) {
+  const out = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    if (type === "weekday") out.weekday = WEEKDAYS[value];
+    else if (type !== "literal") out[type] = parseInt(value, 10);
+  }
+  return out;
+}
+
+/* ================================================================== */
+/*  Matching                                                            */
+/* ================================================================== */
+
+/**
+ * Does the schedule fire at the given wall-clock minute?
+ *
+ * Standard cron rule: when BOTH day-of-month and day-of-week are
+ * restricted, a day matches if EITHER field matches.
+ *
+ * @param {CronSchedule} schedule
+ * @param {ReturnType<typeof zonedParts>} p
+ * @returns {boolean}
+ */
+export function cronMatches(schedule, p) {
+  return schedule.minute.values.has(p.minute) &&
+         schedule.hour.values.has(p.hour)     &&
+         dayMatches(schedule, p);
+}
+
+/**
+ * Does the schedule fire at all on the wall-clock day of `p`?
+ *
+ * @param {CronSchedule} schedule
+ * @param {ReturnType<typeof zonedParts>} p
+ * @returns {boolean}
+ */
+function dayMatches(schedule, p) {
+  if (!schedule.month.values.has(p.month)) return false;
+
+  const domMatch = schedule.dayOfMonth.values.has(p.day);
+  const dowMatch = schedule.dayOfWeek.values.has(p.weekday);
+
+  if (schedule.dayOfMonth.wildcard || schedule.dayOfWeek.wildcard) {
+    return domMatch && dowMatch;
+  }
+  return domMatch || dowMatch;
+}
+
+/**
+ * Compute the next Date (strictly after `from`) at which the schedule fires.
+ *
+ * Days and hours that cannot match are skipped whole, so a rare
+ * schedule costs a few thousand steps, not one per minute. A day is
+ * skipped to one hour before its midnight — a DST day may be 23 hours
+ * long — and the last hour step by step.
+ *
+ * @param {CronSchedule} schedule
+ * @param {string}       timeZone
+ * @param {Date}         [from=new Date()]
+ * @returns {Date|null}  null if nothing matches within MAX_LOOKAHEAD_MINUTES
+ */
+export function nextRun(schedule, timeZone, from = new Date()) {
+  let   t   = Math.floor(from.getTime() / 60_000) * 60_000 + 60_000;
+  const end = t + MAX_LOOKAHEAD_MINUTES * 60_000;
+
+  while (t < end) {
+    const p = zonedParts(new Date(t), timeZone);
+    if (cronMatches(schedule, p)) return new Date(t);
+
+    let skip = 1;
+    if (!dayMatches(schedule, p))                skip = Math.max((23 - p.hour) * 60 - p.minute, 60 - p.minute);
+    else if (!schedule.hour.values.has(p.hour)) skip = 60 - p.minute;
+    t += skip * 60_000;
+  }
+  return null;
+}
+
+/* ================================================================== */
+/*  Scheduler                                                           */
+/* ================================================================== */
+
+/**
+ * Start running `task` on every minute matching the cron expression.
+ *
+ * • Wakes at the top of every minute and evaluates the schedule in
+ *   the configured timezone (handles DST and host-TZ differences).
+ * • A tick that arrives while the previous run is still in progress
+ *   is skipped — runs never overlap.
+ * • Errors thrown by `task` are passed to `onError` and never stop
+ *   the scheduler.
+ *
+ * @param {object}   opts
+ * @param {string}   opts.expression          – cron expression
+ * @param {string}   opts.timezone            – IANA timezone
+ * @param {() => Promise<any>} opts.task      – work to run on each tick
+ * @param {(err: Error) => void} [opts.onError]
+ * @param {() => void}           [opts.onSkip] – called when a tick is skipped (overlap)
+ * @returns {{ stop: () => void, nextRun: () => Date|null, isRunning: () => boolean }}
+ */
+export function startSchedule(opts) {
+  const { expression, timezone, task, onError = () => {}, onSkip = () => {} } = opts;
+
+  const schedule = parseCron(expression);
+  zonedParts(new Date(), timezone);   // validate timezone early (throws RangeError)
+
+  let timer     = null;
+  let stopped   = false;
+  let running   = false;
+  let lastFired = null;   // minute key — guards against double-firing
+
+  const armTimer = () => {
+    if (stopped) return;
+    const now   = Date.now();
+    const delay = 60_000 - (now % 60_000) + 50;   // just past the next minute boundary
+    timer = setTimeout(tick, delay);
+  };
+
+  async function tick() {
+    armTimer();
+
+    const now = new Date();
+    const key = Math.floor(now.getTime() / 60_000);
+    if (key === lastFired) return;
+    if (!cronMatches(schedule, zonedParts(now, timezone))) return;
+    lastFired = key;
+
+    if (running) {
+      onSkip();
+      return;
+    }
+
+    running = true;
+    try {
+      await task();
+    } catch (err) {
+      onError(err);
+    } finally {
+      running = false;
+    }
+  }
+
+  armTimer();
+
+  return {
+    stop     : () => { stopped = true; clearTimeout(timer); },
+    nextRun  : () => nextRun(schedule, timezone),
+    isRunning: () => running,
+  };
+}
+
+/* ================================================================== */
+/*  Types                                                               */
+/* ================================================================== */
+
+/**
+ * @typedef {object} CronField
+ * @property {Set<number>} values   – every value the field matches
+ * @property {boolean}     wildcard – true for "*" or "*\/n"
+ */
+
+/**
+ * @typedef {object} CronSchedule
+ * @property {string}    expression
+ * @property {CronField} minute
+ * @property {CronField} hour
+ * @property {CronField} dayOfMonth
+ * @property {CronField} month
+ * @property {CronField} dayOfWeek
+ */
@@ -0,0 +1,145 @@
+/**
+ * sentLog.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Sent Attendance Log
+ * Responsibility:
+ *   • Record every attendance record the cloud ACCEPTED, per date
+ *     (direct syncs and offline-queue replays alike)
+ *   • Record the ones it REJECTED (400 / 422) with its reason, so
+ *     they can be looked into — they are not resent until they change
+ *   • Answer "what did the cloud receive for 2024-11-20?" for the
+ *     local HTTP API and for backfill decisions
+ *   • Remember which past days were fully synced (a full-day pull
+ *     whose every record was accepted), so backfill can skip them
+ *
+ * One file per date under SENT_LOG_DIR:
+ *   data/sent/2024-11-20.json
+ *   {
+ *     "date": "2024-11-20",
+ *     "updatedAt": "2024-11-20T11:45:02.114Z",
+ *     "completedAt": "2024-11-21T06:00:03.521Z",   // null until confirmed
+ *     "records": { "<adm_no>": { adm_no, time_in, time_out, … } },
+ *     "rejected": { "<adm_no>": { adm_no, time_in, …, httpStatus, reason, rejectedAt } }
+ *   }
+ * Records are merged by adm_no — the latest accepted version wins,
+ * and clears an earlier rejection of the same student.
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import * as fs   from "fs";
+import * as path from "path";
+import config    from "./configLoader.js";
+import { readJsonFile, writeJsonAtomic } from "./fileStore.js";
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Path of the log file for a date. Rejects anything that is not a
+ * plain "YYYY-MM-DD" so a date from an HTTP request can never
+ * escape the log directory.
+ *
+ * @param {string} date
+ * @returns {string}
+ */
+function logPath(date) {
+  if (!DATE_RE.test(date)) throw new Error(`Invalid date "${date}" — expected YYYY-MM-DD.`);
+  return path.resolve(config.sync.sentLogDir, `${date}.json`);
+}
+
+/**
+ * Read a date's log file (an empty log if it does not exist yet).
+ *
+ * @param {string} file
+ * @param {string} date
+ */
+function loadLog(file, date) {
+  return readJsonFile(
+    file,
+    () => ({ date, updatedAt: null, completedAt: null, records: {}, rejected: {} }),
+    (data) => data && typeof data.records === "object"
+  );
+}
+
+/**
+ * Merge accepted records into the log for `date`.
+ *
+ * @param {string} date
+ * @param {import('./attendanceProcessor.js').ProcessedAttendance[]} attendance
+ */
+export function recordSent(date, attendance) {
+  const file  = logPath(date);
+  const entry = loadLog(file, date);
+
+  for (const rec of attendance) {
+    entry.records[rec.adm_no] = rec;
+    delete entry.rejected?.[rec.adm_no];
+  }
+  entry.updatedAt = new Date().toISOString();
+
+  writeJsonAtomic(file, entry);
+}
+
+/**
+ * Merge records the cloud rejected into the log for `date`.
+ *
+ * @param {string} date
+ * @param {import('./attendanceProcessor.js').ProcessedAttendance[]} attendance
+ * @param {number|null} httpStatus
+ * @param {string}      reason – the cloud's error message
+ */
+export function recordRejected(date, attendance, httpStatus, reason) {
+  const file       = logPath(date);
+  const entry      = loadLog(file, date);
+  const rejectedAt = new Date().toISOString();
+
+  entry.rejected ??= {};
+  for (const rec of attendance) entry.rejected[rec.adm_no] = { ...rec, httpStatus, reason, rejectedAt };
+  entry.updatedAt = rejectedAt;
+
+  writeJsonAtomic(file, entry);
+}
+
+/**
+ * Everything the cloud accepted for a date, or null if nothing was sent.
+ *
+ * @param {string} date
+ * @returns {{ date: string, updatedAt: string, completedAt: string|null, attendance: import('./attendanceProcessor.js').ProcessedAttendance[], rejected: object[] } | null}
+ */
+export function getSent(date) {
+  const file = logPath(date);
+  if (!fs.existsSync(file)) return null;
+
+  const entry = loadLog(file, date);
+
+  return {
+    date,
+    updatedAt  : entry.updatedAt,
+    completedAt: entry.completedAt ?? null,
+    attendance : Object.values(entry.records),
+    rejected   : Object.values(entry.rejected ?? {}),
+  };
+}
+
+/**
+ * Confirm that every record for a past date reached the cloud.
+ * Creates the log file for days with no attendance at all.
+ *
+ * @param {string} date
+ */
+export function markComplete(date) {
+  const file  = logPath(date);
+  const entry = loadLog(file, date);
+
+  entry.completedAt = new Date().toISOString();
+  writeJsonAtomic(file, entry);
+}
+
+/**
+ * True once markComplete() was called for the date.
+ *
+ * @param {string} date
+ * @returns {boolean}
+ */
+export function isComplete(date) {
+  return Boolean(getSent(date)?.completedAt);
+}
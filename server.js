@@ -0,0 +1,254 @@
+/**
+ * server.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Local HTTP API
+ * Responsibility:
+ *   • Let on-site staff and monitoring check the middleware without
+ *     reading console output
+ *   • Trigger a sync on demand (e.g. after fixing a network outage)
+ *   • Show what the cloud accepted for a given day
+ *
+ * Endpoints (JSON in, JSON out):
+ *   GET  /health              – terminal reachability, last cloud sync,
+ *                               offline-queue depth. 503 when a terminal
+ *                               is known to be unreachable.
+ *   GET  /status              – current run, last run result, counters
+ *   POST /sync                – start a run now. Optional date via
+ *                               ?date=YYYY-MM-DD or {"date": "…"} body.
+ *                               202 immediately; ?wait=true returns the
+ *                               run result instead. 409 if a run is
+ *                               already in progress.
+ *   GET  /attendance/:date    – records the cloud accepted for that date
+ *
+ * Started by index.js in daemon mode when SERVER_PORT > 0. There is no
+ * authentication, so it listens on 127.0.0.1 unless SERVER_HOST opens
+ * it up — only ever to the school LAN.
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import * as http                  from "http";
+import { runSync, getRunStatus }  from "./syncRunner.js";
+import { depth }                  from "./offlineQueue.js";
+import { getSent }                from "./sentLog.js";
+import { createLogger }           from "./logger.js";
+import config                     from "./configLoader.js";
+
+const log = createLogger("server");
+
+/** Largest request body accepted (POST /sync only needs a date). */
+const MAX_BODY_BYTES = 4096;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/* ================================================================== */
+/*  Helpers                                                             */
+/* ================================================================== */
+
+/**
+ * Send a JSON response.
+ *
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {any}    body
+ */
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body, null, 2);
+  res.writeHead(status, {
+    "Content-Type"  : "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(payload),
+    "Cache-Control" : "no-store",
+  });
+  res.end(payload);
+}
+
+/**
+ * An Error carrying the HTTP status it should be answered with.
+ *
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error & { status: number }}
+ */
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Read and parse a JSON request body (empty body → {}).
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<object>}
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let   size   = 0;
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, `Request body larger than ${MAX_BODY_BYTES} bytes.`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8").trim();
+      if (!text) return resolve({});
+      try {
+        const body = JSON.parse(text);
+        if (typeof body !== "object" || body === null || Array.isArray(body)) {
+          throw new Error("not an object");
+        }
+        resolve(body);
+      } catch {
+        reject(httpError(400, "Request body must be a JSON object."));
+      }
+    });
+
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Validate a "YYYY-MM-DD" date from a request.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+function requireDate(value) {
+  if (typeof value !== "string" || !DATE_RE.test(value) || isNaN(Date.parse(value))) {
+    throw httpError(400, `Invalid date "${value}" — expected YYYY-MM-DD.`);
+  }
+  return value;
+}
+
+/* ================================================================== */
+/*  Handlers                                                            */
+/* ================================================================== */
+
+function handleHealth(req, res) {
+  const status    = getRunStatus();
+  const terminals = config.terminals.map((t) => status.terminals[t.id] ?? {
+    id: t.id, ip: null, reachable: null, checkedAt: null, error: null,
+  });
+  const healthy   = terminals.every((t) => t.reachable !== false);
+
+  sendJson(res, healthy ? 200 : 503, {
+    status          : healthy ? "ok" : "degraded",
+    terminals,
+    lastCloudSyncAt : status.lastCloudSyncAt,
+    queue           : depth(),
+    runInProgress   : status.current !== null,
+  });
+}
+
+function handleStatus(req, res) {
+  const status = getRunStatus();
+
+  sendJson(res, 200, {
+    ...status,
+    uptimeSeconds : Math.round(process.uptime()),
+    schedule      : { cron: config.sync.cronSchedule, timezone: config.sync.timezone },
+    queue         : depth(),
+  });
+}
+
+async function handleSync(req, res, url) {
+  const body = await readJsonBody(req);
+  const raw  = url.searchParams.get("date") ?? body.date;
+  const date = raw === undefined || raw === null ? undefined : requireDate(raw);
+  const wait = url.searchParams.get("wait") === "true";
+
+  if (getRunStatus().current) {
+    throw httpError(409, "A sync run is already in progress.");
+  }
+
+  const run = runSync({ date, trigger: "http" });
+
+  if (wait) {
+    sendJson(res, 200, await run);
+    return;
+  }
+
+  // Fire and forget — the outcome shows up in GET /status
+  run.catch((err) => log.error(`✖  Manual sync failed: ${err.message}`));
+  sendJson(res, 202, { accepted: true, date: date ?? null, status: "/status" });
+}
+
+function handleAttendance(req, res, date) {
+  const sent = getSent(requireDate(date));
+  if (!sent) throw httpError(404, `No attendance has been sent for ${date}.`);
+  sendJson(res, 200, { ...sent, count: sent.attendance.length });
+}
+
+/**
+ * Route one request.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse}  res
+ */
+async function route(req, res) {
+  const url  = new URL(req.url, "http://localhost");
+  const path = url.pathname.replace(/\/+$/, "") || "/";
+
+  if (path === "/health") {
+    if (req.method !== "GET") throw httpError(405, "Use GET /health.");
+    return handleHealth(req, res);
+  }
+  if (path === "/status") {
+    if (req.method !== "GET") throw httpError(405, "Use GET /status.");
+    return handleStatus(req, res);
+  }
+  if (path === "/sync") {
+    if (req.method !== "POST") throw httpError(405, "Use POST /sync.");
+    return handleSync(req, res, url);
+  }
+
+  const match = path.match(/^\/attendance\/([^/]+)$/);
+  if (match) {
+    if (req.method !== "GET") throw httpError(405, "Use GET /attendance/:date.");
+    return handleAttendance(req, res, match[1]);
+  }
+
+  throw httpError(404, `No route for ${req.method} ${url.pathname}.`);
+}
+
+/* ================================================================== */
+/*  Server                                                              */
+/* ================================================================== */
+
+/**
+ * Start the HTTP API.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.port] – defaults to SERVER_PORT
+ * @param {string} [opts.host] – defaults to SERVER_HOST
+ * @returns {Promise<http.Server>} resolves once listening
+ */
+export function startServer(opts = {}) {
+  const port = opts.port ?? config.server.port;
+  const host = opts.host ?? config.server.host;
+
+  const server = http.createServer((req, res) => {
+    route(req, res).catch((err) => {
+      // runSync() may still refuse if another run started in between
+      const status = err.status
+        ?? (err.code === "RUN_IN_PROGRESS" ? 409 : err.code === "INVALID_DATE" ? 400 : 500);
+      if (status >= 500) log.error(`✖  ${req.method} ${req.url} failed: ${err.message}`);
+      if (!res.headersSent) sendJson(res, status, { error: err.message });
+      else res.end();
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve(server);
+    });
+  });
+}
@@ -0,0 +1,526 @@
+/**
+ * simulator.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Local ISAPI Terminal Simulator
+ * Responsibility:
+ *   • Stand in for a DS-K1T342MFX-E1 on localhost, so index.js,
+ *     discovery and attendance processing can be exercised end to
+ *     end without a terminal on the LAN
+ *   • Answer the subset of ISAPI the middleware uses:
+ *       GET  /ISAPI/System/deviceInfo            – XML, or JSON with ?format=json
+ *       GET  /ISAPI/System/time                  – XML, simulator host clock
+ *       POST /ISAPI/AccessControl/AcsEvent?format=json – paged event search
+ *   • Challenge every request with Digest auth (qop="auth"; MD5, or
+ *     --algorithm SHA-256) and check the answer the way the firmware
+ *     does, expiring the nonce after --nonce-ttl seconds so clients
+ *     see stale=TRUE re-challenges
+ *   • Cap each event page at --page-cap records whatever maxResults
+ *     asks for, like the firmware quirk getAttendanceEvents() handles
+ *   • With --sadp, answer SADP multicast probes (sadp.js) so
+ *     discovery can find the simulator after TERMINAL_HOST changes
+ *
+ * Events come from a fixture file (see simulator_events_example.json)
+ * — a JSON array of AcsEvent InfoList entries, or { "events": […] }.
+ * "time" may be a full ISAPI timestamp or just "HH:MM:SS", which is
+ * placed on today's date so the fixture stays useful day after day.
+ * The file is re-read on every search, so events can be added while
+ * a daemon is running against the simulator.
+ *
+ * Usage:
+ *   node simulator.js [--port 8080] [--host 127.0.0.5] [--fixture simulator_events_example.json]
+ *                     [--page-cap 30] [--device-name "Main Gate"] [--serial …] [--mac …]
+ *                     [--algorithm MD5|MD5-sess|SHA-256|SHA-256-sess] [--nonce-ttl 300]
+ *                     [--sadp [announce-ip]]
+ *
+ * Credentials and device name default to TERMINAL_USERNAME,
+ * TERMINAL_PASSWORD and TERMINAL_DEVICE_NAME, so pointing
+ * TERMINAL_HOST=127.0.0.1 and TERMINAL_PORT at the simulator is all
+ * the .env needs.
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import * as http   from "http";
+import * as dgram  from "dgram";
+import * as os     from "os";
+import * as fs     from "fs";
+import * as path   from "path";
+import * as url    from "url";
+import * as crypto from "crypto";
+import { dateInZone, formatInZone, formatIsapiTimeZone,
+         zoneOffsetMinutes }      from "./clock.js";
+import { digestResponse }         from "./digestAuth.js";
+import { SADP_GROUP, SADP_PORT }  from "./sadp.js";
+import { createLogger }           from "./logger.js";
+import config                     from "./configLoader.js";
+
+const log = createLogger("simulator");
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+/** Fixture used when --fixture is not given. */
+const DEFAULT_FIXTURE = path.resolve(__dirname, "simulator_events_example.json");
+
+/** Records per AcsEvent page the firmware returns at most. */
+const DEFAULT_PAGE_CAP = 30;
+
+/** Seconds a Digest nonce stays valid. */
+const DEFAULT_NONCE_TTL = 300;
+
+/** Identity the simulated terminal reports (deviceInfo and SADP) unless overridden. */
+const MODEL    = "DS-K1T342MFX-E1";
+const SERIAL   = "DS-K1T342MFX-E120240101V043918SIM";
+const MAC      = "00:00:5e:00:53:01";
+const FIRMWARE = "V4.39.180";
+
+const REALM = MODEL;
+
+/* ================================================================== */
+/*  Digest auth (server side)                                           */
+/* ================================================================== */
+
+/**
+ * Parse the parameters of a "Digest …" Authorization header.
+ *
+ * @param {string} header
+ * @returns {Record<string, string>|null}
+ */
+function parseDigest(header) {
+  if (!/^Digest\s/i.test(header ?? "")) return null;
+  const params = {};
+  for (const m of header.slice(7).matchAll(/(\w+)=(?:"([^"]*)"|([^,\s]*))/g)) {
+    params[m[1]] = m[2] ?? m[3];
+  }
+  return params;
+}
+
+/**
+ * Check an Authorization header against this server's challenge.
+ * A correct answer to an expired nonce is "stale": the client knows
+ * the password and only needs a fresh nonce (stale=TRUE).
+ *
+ * @param {http.IncomingMessage} req
+ * @param {string}               body
+ * @param {SimulatorState}       state
+ * @returns {"ok"|"stale"|"denied"}
+ */
+function checkAuth(req, body, state) {
+  const p = parseDigest(req.headers.authorization);
+  if (!p || p.username !== state.username || p.realm !== REALM) return "denied";
+  if ((p.algorithm ?? "MD5").toUpperCase() !== state.algorithm.toUpperCase()) return "denied";
+
+  const expected = digestResponse({
+    algorithm: state.algorithm,
+    username : state.username,
+    password : state.password,
+    realm    : REALM,
+    nonce    : p.nonce,
+    method   : req.method,
+    uri      : p.uri,
+    qop      : p.qop ?? null,
+    nc       : p.nc,
+    cnonce   : p.cnonce,
+    body,
+  });
+  if (p.response !== expected) return "denied";
+
+  if (p.nonce !== state.nonce || Date.now() - state.nonceAt > state.nonceTtlMs) {
+    return "stale";
+  }
+  return "ok";
+}
+
+/**
+ * Answer 401 with a challenge, issuing a new nonce first if the
+ * current one has expired.
+ *
+ * @param {http.ServerResponse} res
+ * @param {SimulatorState}      state
+ * @param {boolean}             stale
+ */
+function challenge(res, state, stale) {
+  if (Date.now() - state.nonceAt > state.nonceTtlMs) {
+    state.nonce   = crypto.randomBytes(16).toString("hex");
+    state.nonceAt = Date.now();
+  }
+  res.writeHead(401, {
+    "WWW-Authenticate": `Digest qop="auth", realm="${REALM}", nonce="${state.nonce}", ` +
+                        `algorithm=${state.algorithm}, stale="${stale ? "TRUE" : "FALSE"}"`,
+    "Content-Length"  : 0,
+  });
+  res.end();
+}
+
+/* ================================================================== */
+/*  Fixture                                                             */
+/* ================================================================== */
+
+/**
+ * Read the fixture's events, filling in what the firmware always
+ * sends: serialNo, major/minor (face authenticated) and a timestamp
+ * with the device's offset.
+ *
+ * @param {SimulatorState} state
+ * @returns {object[]} AcsEvent InfoList entries, oldest first
+ */
+function loadEvents(state) {
+  const data   = JSON.parse(fs.readFileSync(state.fixture, "utf8"));
+  const events = Array.isArray(data) ? data : data?.events;
+  if (!Array.isArray(events)) {
+    throw new Error(`${state.fixture} must hold an array of events or { "events": [ … ] }.`);
+  }
+
+  const today  = dateInZone(state.timeZone);
+  const offset = formatInZone(new Date(), state.timeZone).slice(19);
+
+  return events
+    .map((e, i) => {
+      const time = /^\d{2}:\d{2}(:\d{2})?$/.test(e.time ?? "")
+        ? `${today}T${e.time.length === 5 ? `${e.time}:00` : e.time}${offset}`
+        : e.time;
+      return { serialNo: i + 1, major: 5, minor: 75, ...e, time };
+    })
+    .sort((a, b) => String(a.time).localeCompare(String(b.time)));
+}
+
+/* ================================================================== */
+/*  Handlers                                                            */
+/* ================================================================== */
+
+/**
+ * Send a response body with its content type.
+ *
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {string} type
+ * @param {string} body
+ */
+function send(res, status, type, body) {
+  res.writeHead(status, { "Content-Type": type, "Content-Length": Buffer.byteLength(body) });
+  res.end(body);
+}
+
+/**
+ * ISAPI ResponseStatus, the body the firmware sends with errors.
+ *
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {string} subStatusCode
+ * @param {string} requestURL
+ */
+function sendStatus(res, status, subStatusCode, requestURL) {
+  send(res, status, "application/json", JSON.stringify({
+    requestURL,
+    statusCode   : status === 404 ? 4 : 6,
+    statusString : status === 404 ? "Invalid Operation" : "Invalid Content",
+    subStatusCode,
+  }, null, 2));
+}
+
+function handleDeviceInfo(req, res, state, query) {
+  const info = {
+    deviceName     : state.deviceName,
+    deviceID       : "simulator",
+    model          : MODEL,
+    serialNumber   : state.serialNumber,
+    macAddress     : state.macAddress,
+    firmwareVersion: FIRMWARE,
+    deviceType     : "ACS",
+  };
+
+  const wantsJson = query.get("format") === "json" || /json/i.test(req.headers.accept ?? "");
+  if (wantsJson) {
+    return send(res, 200, "application/json", JSON.stringify({ DeviceInfo: info }, null, 2));
+  }
+
+  const fields = Object.entries(info).map(([k, v]) => `  <${k}>${v}</${k}>`).join("\n");
+  send(res, 200, "application/xml",
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<DeviceInfo version="2.0" xmlns="http://www.isapi.org/ver20/XMLSchema">\n${fields}\n</DeviceInfo>\n`);
+}
+
+function handleTime(req, res, state) {
+  const offset = zoneOffsetMinutes(new Date(), state.timeZone);
+  send(res, 200, "application/xml",
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<Time version="2.0" xmlns="http://www.isapi.org/ver20/XMLSchema">\n` +
+    `  <timeMode>manual</timeMode>\n` +
+    `  <localTime>${formatInZone(new Date(), state.timeZone)}</localTime>\n` +
+    `  <timeZone>${formatIsapiTimeZone(offset)}</timeZone>\n` +
+    `</Time>\n`);
+}
+
+function handleAcsEvent(req, res, state, body) {
+  let cond;
+  try {
+    cond = JSON.parse(body).AcsEventCond;
+  } catch {
+    cond = null;
+  }
+  if (!cond?.startTime || !cond?.endTime) {
+    return sendStatus(res, 400, "badJsonContent", req.url);
+  }
+
+  // The firmware compares device-local wall-clock times
+  const wall  = (t) => String(t).slice(0, 19);
+  const major = cond.major ?? 0;
+  const minor = cond.minor ?? 0;
+
+  const matches = loadEvents(state).filter((e) =>
+    wall(e.time) >= wall(cond.startTime) &&
+    wall(e.time) <= wall(cond.endTime) &&
+    (major === 0 || e.major === major) &&
+    (minor === 0 || e.minor === minor)
+  );
+
+  const position = Math.max(cond.searchResultPosition ?? 0, 0);
+  const limit    = Math.min(Math.max(cond.maxResults ?? state.pageCap, 1), state.pageCap);
+  const page     = matches.slice(position, position + limit);
+  const more     = position + page.length < matches.length;
+
+  state.searches += 1;
+  log.info(`  AcsEvent  ${wall(cond.startTime)} → ${wall(cond.endTime)}  ` +
+    `offset ${position}: ${page.length} of ${matches.length}`);
+
+  send(res, 200, "application/json", JSON.stringify({
+    AcsEvent: {
+      searchID          : cond.searchID ?? "1",
+      responseStatusStrg: matches.length === 0 ? "NO MATCH" : more ? "MORE" : "OK",
+      numOfMatches      : page.length,
+      totalMatches      : matches.length,
+      ...(page.length > 0 ? { InfoList: page } : {}),
+    },
+  }, null, 2));
+}
+
+/**
+ * Route one request. Every route needs Digest auth first.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse}  res
+ * @param {SimulatorState}       state
+ * @param {string}               body
+ */
+function route(req, res, state, body) {
+  const auth = checkAuth(req, body, state);
+  if (auth !== "ok") {
+    state.challenges += 1;
+    return challenge(res, state, auth === "stale");
+  }
+
+  const reqUrl   = new URL(req.url, "http://localhost");
+  const pathname = reqUrl.pathname;
+
+  if (req.method === "GET" && pathname === "/ISAPI/System/deviceInfo") {
+    return handleDeviceInfo(req, res, state, reqUrl.searchParams);
+  }
+  if (req.method === "GET" && pathname === "/ISAPI/System/time") {
+    return handleTime(req, res, state);
+  }
+  if (req.method === "POST" && pathname === "/ISAPI/AccessControl/AcsEvent") {
+    return handleAcsEvent(req, res, state, body);
+  }
+
+  sendStatus(res, 404, "notSupport", req.url);
+}
+
+/* ================================================================== */
+/*  SADP                                                                */
+/* ================================================================== */
+
+/**
+ * Answer SADP inquiry probes like a real terminal, announcing
+ * `address` and the simulator's HTTP port.
+ *
+ * @param {SimulatorState} state
+ * @param {string}         address – IPv4 address to announce
+ * @param {number}         httpPort
+ * @returns {Promise<dgram.Socket>}
+ */
+function startSadpResponder(state, address, httpPort) {
+  const socket = dgram.createSocket({ type: "udp4", reuseAddr: true });
+
+  socket.on("message", (msg, from) => {
+    const uuid = msg.toString("utf8").match(/<Probe>.*<Uuid>([^<]*)<\/Uuid>.*<Types>inquiry<\/Types>/s)?.[1];
+    if (!uuid) return;   // not a probe — e.g. our own ProbeMatch looping back
+
+    const reply = Buffer.from(
+      `<?xml version="1.0" encoding="UTF-8"?><ProbeMatch>` +
+      `<Uuid>${uuid}</Uuid><Types>inquiry</Types><DeviceType>${MODEL}</DeviceType>` +
+      `<DeviceDescription>${MODEL}</DeviceDescription><DeviceSN>${state.serialNumber}</DeviceSN>` +
+      `<CommandPort>8000</CommandPort><HttpPort>${httpPort}</HttpPort>` +
+      `<MAC>${state.macAddress.replace(/:/g, "-")}</MAC><IPv4Address>${address}</IPv4Address>` +
+      `<IPv4SubnetMask>255.255.255.0</IPv4SubnetMask><DHCP>true</DHCP>` +
+      `<SoftwareVersion>${FIRMWARE}</SoftwareVersion><Activated>true</Activated>` +
+      `</ProbeMatch>`
+    );
+    state.sadpProbes += 1;
+    log.info(`  SADP      probe from ${from.address} — announcing ${address}:${httpPort}`);
+    socket.send(reply, SADP_PORT, SADP_GROUP);
+  });
+
+  return new Promise((resolve, reject) => {
+    socket.once("error", reject);
+    socket.bind(SADP_PORT, () => {
+      socket.off("error", reject);
+      socket.setMulticastLoopback(true);   // so a client on this machine hears the reply
+      try {
+        socket.addMembership(SADP_GROUP, address);
+      } catch (err) {
+        socket.close();
+        return reject(new Error(`Cannot join SADP group on ${address}: ${err.message}`));
+      }
+      socket.setMulticastInterface(address);
+      resolve(socket);
+    });
+  });
+}
+
+/**
+ * First non-internal IPv4 address of this machine.
+ *
+ * @returns {string|undefined}
+ */
+function firstLocalAddress() {
+  return Object.values(os.networkInterfaces())
+    .flat()
+    .find((a) => a && a.family === "IPv4" && !a.internal)?.address;
+}
+
+/* ================================================================== */
+/*  Server                                                              */
+/* ================================================================== */
+
+/**
+ * Start the simulator.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.port=8080]
+ * @param {string} [opts.host]       – address to listen on (default: all), e.g. "127.0.0.5"
+ * @param {string} [opts.fixture]    – events file, defaults to simulator_events_example.json
+ * @param {number} [opts.pageCap=30] – most events returned per AcsEvent page
+ * @param {string} [opts.deviceName] – defaults to TERMINAL_DEVICE_NAME
+ * @param {string} [opts.serialNumber] – e.g. to simulate a second terminal of the same model
+ * @param {string} [opts.macAddress]   – "aa:bb:cc:dd:ee:ff"
+ * @param {string} [opts.username]   – defaults to TERMINAL_USERNAME
+ * @param {string} [opts.password]   – defaults to TERMINAL_PASSWORD
+ * @param {string} [opts.timeZone]   – device timezone, defaults to SYNC_TIMEZONE
+ * @param {string} [opts.algorithm="MD5"]  – Digest algorithm to challenge with
+ * @param {number} [opts.nonceTtl=300]     – seconds before a nonce goes stale
+ * @param {string|boolean} [opts.sadp]     – answer SADP probes, announcing this
+ *                                           address (true = first local IPv4)
+ * @returns {Promise<http.Server>} resolves once listening
+ */
+export async function startSimulator(opts = {}) {
+  /** @type {SimulatorState} */
+  const state = {
+    fixture     : path.resolve(opts.fixture ?? DEFAULT_FIXTURE),
+    pageCap     : opts.pageCap      ?? DEFAULT_PAGE_CAP,
+    deviceName  : opts.deviceName   ?? config.terminal.deviceName,
+    serialNumber: opts.serialNumber ?? SERIAL,
+    macAddress  : (opts.macAddress   ?? MAC).toLowerCase().replace(/-/g, ":"),
+    username    : opts.username     ?? config.terminal.username,
+    password    : opts.password     ?? config.terminal.password,
+    timeZone    : opts.timeZone     ?? config.sync.timezone,
+    algorithm   : opts.algorithm    ?? "MD5",
+    nonceTtlMs  : (opts.nonceTtl     ?? DEFAULT_NONCE_TTL) * 1000,
+    nonce       : crypto.randomBytes(16).toString("hex"),
+    nonceAt     : Date.now(),
+    challenges  : 0,
+    searches    : 0,
+    sadpProbes  : 0,
+  };
+
+  // Fail at start-up, not on the first search, if the fixture is broken
+  const events = loadEvents(state);
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      try {
+        route(req, res, state, Buffer.concat(chunks).toString("utf8"));
+      } catch (err) {
+        log.error(`✖  ${req.method} ${req.url} failed: ${err.message}`);
+        if (!res.headersSent) sendStatus(res, 500, "deviceError", req.url);
+        else res.end();
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(opts.port ?? 8080, opts.host, () => {
+      server.off("error", reject);
+      resolve();
+    });
+  });
+
+  const httpPort = server.address().port;
+  log.info(`▶ ISAPI simulator "${state.deviceName}" listening on ${opts.host ?? "*"}:${httpPort}`);
+  log.info(`  Fixture : ${state.fixture} (${events.length} event(s))`);
+  log.info(`  Paging  : at most ${state.pageCap} event(s) per AcsEvent page`);
+  log.info(`  Login   : ${state.username} (Digest ${state.algorithm}, realm "${REALM}", nonce valid ${state.nonceTtlMs / 1000}s)`);
+
+  if (opts.sadp) {
+    const address = typeof opts.sadp === "string" ? opts.sadp : firstLocalAddress();
+    if (!address) throw new Error("SADP needs a non-internal IPv4 address to announce.");
+    const socket = await startSadpResponder(state, address, httpPort);
+    server.on("close", () => socket.close());
+    log.info(`  SADP    : answering probes on ${SADP_GROUP}:${SADP_PORT} as ${address}`);
+  }
+  log.info("");
+
+  return server;
+}
+
+/* ================================================================== */
+/*  CLI                                                                 */
+/* ================================================================== */
+
+if (process.argv[1] && path.resolve(process.argv[1]) === url.fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const i = args.indexOf(name);
+    return i !== -1 ? args[i + 1] : undefined;
+  };
+  const int  = (name) => (flag(name) === undefined ? undefined : parseInt(flag(name), 10));
+
+  startSimulator({
+    port        : int("--port"),
+    host        : flag("--host"),
+    fixture     : flag("--fixture"),
+    pageCap     : int("--page-cap"),
+    deviceName  : flag("--device-name"),
+    serialNumber: flag("--serial"),
+    macAddress  : flag("--mac"),
+    algorithm   : flag("--algorithm"),
+    nonceTtl    : int("--nonce-ttl"),
+    sadp        : args.includes("--sadp") && (/^\d+\.\d+\.\d+\.\d+$/.test(flag("--sadp") ?? "") ? flag("--sadp") : true),
+  }).catch((err) => {
+    log.error(`✖  Simulator failed to start: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+/* ================================================================== */
+/*  Types                                                               */
+/* ================================================================== */
+
+/**
+ * @typedef {object} SimulatorState
+ * @property {string} fixture    – absolute path of the events file
+ * @property {number} pageCap
+ * @property {string} deviceName
+ * @property {string} serialNumber
+ * @property {string} macAddress
+ * @property {string} username
+ * @property {string} password
+ * @property {string} timeZone   – IANA zone the simulated device runs on
+ * @property {string} algorithm  – Digest algorithm challenged with
+ * @property {number} nonceTtlMs
+ * @property {string} nonce      – current Digest nonce
+ * @property {number} nonceAt    – epoch ms the nonce was issued
+ * @property {number} challenges – 401 responses sent
+ * @property {number} searches   – AcsEvent searches answered
+ * @property {number} sadpProbes – SADP probes answered
+ */
@@ -0,0 +1,132 @@
+/**
+ * smokeCheck.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Post-Update Smoke Check
+ * Responsibility:
+ *   • Load configLoader.js — the loader the daemon uses — validating
+ *     .env against the new schema
+ *   • Syntax-check the entry points and import every module the
+ *     middleware runs, so a crash at start-up shows here instead
+ *   • Ask each terminal for its deviceInfo — read-only, no discovery,
+ *     nothing written to the terminal or to .env
+ *
+ * updater.js runs this in a fresh process after pulling (or swapping
+ * in a release archive), so it tests the new code, and rolls back
+ * when it exits non-zero. It can also be run by hand:
+ *   node smokeCheck.js
+ *
+ * A terminal that does not answer at all (powered off, network down)
+ * is reported but not counted as a failure — that is no fault of the
+ * new code. Any other error is.
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import "dotenv/config";
+import { spawnSync } from "child_process";
+import * as path     from "path";
+import * as url      from "url";
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+/** Scripts started directly — checked for syntax, not imported (they run on import). */
+const ENTRY_POINTS = ["index.js", "updater.js", "configCheck.js"];
+
+/** Modules the entry points load; importing them loads everything else. */
+const MODULES = [
+  "./configLoader.js", "./logger.js", "./syncRunner.js", "./scheduler.js", "./server.js",
+  "./backfill.js", "./clockSync.js", "./roster.js", "./faceSync.js", "./snapshots.js",
+  "./releaseArchive.js",
+];
+
+/** Errors meaning the terminal is simply not there. */
+const UNREACHABLE = ["ECONNREFUSED", "ECONNRESET", "ECONNABORTED", "ETIMEDOUT", "EHOSTUNREACH", "ENETUNREACH", "ENOTFOUND"];
+
+/** Per-terminal probe timeout. */
+const PROBE_TIMEOUT_MS = 5_000;
+
+/* ================================================================== */
+/*  Checks                                                              */
+/* ================================================================== */
+
+/** @returns {Promise<string[]>} problems */
+async function checkConfig() {
+  try {
+    await import("./configLoader.js");
+  } catch (err) {
+    return err.errors ? err.errors.map((e) => `config: ${e}`) : [`configLoader.js: ${err.message}`];
+  }
+  console.log("  ✔  Configuration is valid.");
+  return [];
+}
+
+/** @returns {string[]} problems */
+function checkSyntax() {
+  const problems = [];
+  for (const file of ENTRY_POINTS) {
+    const res = spawnSync(process.execPath, ["--check", path.join(__dirname, file)], { encoding: "utf8" });
+    if (res.status !== 0) problems.push(`${file}: ${(res.stderr || "syntax check failed").trim().split("\n").slice(0, 5).join(" | ")}`);
+  }
+  if (problems.length === 0) console.log(`  ✔  ${ENTRY_POINTS.join(", ")} parse.`);
+  return problems;
+}
+
+/** @returns {Promise<string[]>} problems */
+async function checkImports() {
+  const problems = [];
+  for (const mod of MODULES) {
+    try {
+      await import(mod);
+    } catch (err) {
+      problems.push(`import ${mod}: ${err.message}`);
+    }
+  }
+  if (problems.length === 0) console.log(`  ✔  ${MODULES.length} modules load.`);
+  return problems;
+}
+
+/** @returns {Promise<string[]>} problems */
+async function checkTerminals() {
+  const { default: config }   = await import("./configLoader.js");
+  const { HikvisionClient }   = await import("./hikvisionClient.js");
+  const problems = [];
+
+  for (const t of config.terminals) {
+    try {
+      const info = await new HikvisionClient({ ...t, timeout: PROBE_TIMEOUT_MS }).getDeviceInfo();
+      console.log(`  ✔  Terminal "${t.id}" at ${t.host} answers (${info?.model ?? "unknown model"}).`);
+    } catch (err) {
+      if (UNREACHABLE.includes(err.code)) {
+        console.log(`  ⚠  Terminal "${t.id}" at ${t.host} is not reachable (${err.code}) — not counted against the update.`);
+      } else {
+        problems.push(`terminal "${t.id}": ${err.message}`);
+      }
+    }
+  }
+  return problems;
+}
+
+/* ================================================================== */
+/*  Main                                                                */
+/* ================================================================== */
+
+async function main() {
+  console.log("▶ Smoke check");
+
+  const problems = [...await checkConfig(), ...checkSyntax()];
+  // Importing with a broken config only repeats the config errors
+  if (problems.length === 0) problems.push(...await checkImports());
+  if (problems.length === 0) problems.push(...await checkTerminals());
+
+  if (problems.length > 0) {
+    for (const p of problems) console.log(`  ✖  ${p}`);
+    process.exit(1);
+  }
+  console.log("  ✔  Smoke check passed.");
+  // Keep-alive sockets would hold the process open
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.log(`  ✖  Smoke check crashed: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,250 @@
+/**
+ * snapshots.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Event Capture Snapshots
+ * Responsibility:
+ *   • Download the face snapshot the terminal captured for each
+ *     attendance event (AttendanceRecord.pictureURL), with the
+ *     terminal's Digest credentials
+ *   • Keep it under SNAPSHOT_DIR, one folder per date, and delete
+ *     folders older than SNAPSHOT_RETENTION_DAYS
+ *   • Upload it to CLOUD_SNAPSHOT_ENDPOINT with the student's adm_no
+ *     and the event time, retrying on later runs until accepted
+ *
+ * Lets the school show a parent the picture taken when their child
+ * scanned in. Enabled with SNAPSHOT_ENABLED=true; a snapshot failure
+ * never fails the sync run.
+ *
+ * Layout:
+ *   data/snapshots/2024-11-20/S101_074502_main_1234.jpg
+ *   data/snapshots/2024-11-20/index.json
+ *   {
+ *     "S101_074502_main_1234": { "adm_no": "S101", "time": "07:45:02",
+ *       "terminalId": "main", "file": "S101_074502_main_1234.jpg",
+ *       "downloads": 0, "uploadedAt": null, "attempts": 1,
+ *       "lastError": "HTTP 503" }
+ *   }
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import * as fs   from "fs";
+import * as path from "path";
+import axios     from "axios";
+import config    from "./configLoader.js";
+import { readJsonFile, writeJsonAtomic } from "./fileStore.js";
+import { isAttendanceEvent } from "./eventCodes.js";
+import { hasStudentId }      from "./attendanceProcessor.js";
+import { dateInZone }        from "./clock.js";
+import { createLogger }      from "./logger.js";
+
+const log = createLogger("snapshots");
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Runs in a row a snapshot download may fail before it is given up —
+ * the terminal overwrites its oldest pictures when storage fills up,
+ * so a missing picture does not come back.
+ */
+const MAX_DOWNLOAD_ATTEMPTS = 3;
+
+/* ================================================================== */
+/*  Storage                                                             */
+/* ================================================================== */
+
+/**
+ * Folder holding a date's snapshots.
+ *
+ * @param {string} date – "YYYY-MM-DD"
+ * @returns {string}
+ */
+function dayDir(date) {
+  if (!DATE_RE.test(date)) throw new Error(`Invalid date "${date}" — expected YYYY-MM-DD.`);
+  return path.resolve(config.snapshots.dir, date);
+}
+
+/**
+ * @param {string} date
+ * @returns {Record<string, SnapshotEntry>}
+ */
+function loadIndex(date) {
+  return readJsonFile(path.join(dayDir(date), "index.json"), () => ({}), (d) => d && typeof d === "object");
+}
+
+/**
+ * @param {string} date
+ * @param {Record<string, SnapshotEntry>} index
+ */
+function saveIndex(date, index) {
+  writeJsonAtomic(path.join(dayDir(date), "index.json"), index);
+}
+
+/**
+ * Delete date folders older than SNAPSHOT_RETENTION_DAYS.
+ *
+ * @param {string} today – "YYYY-MM-DD"
+ */
+function pruneOld(today) {
+  const days = config.snapshots.retentionDays;
+  if (days <= 0 || !fs.existsSync(config.snapshots.dir)) return;
+
+  const cutoff = new Date(`${today}T00:00:00Z`);
+  cutoff.setUTCDate(cutoff.getUTCDate() - days);
+  const oldest = cutoff.toISOString().slice(0, 10);
+
+  for (const name of fs.readdirSync(config.snapshots.dir)) {
+    if (DATE_RE.test(name) && name < oldest) {
+      fs.rmSync(path.join(config.snapshots.dir, name), { recursive: true, force: true });
+      log.info(`  Deleted snapshots for ${name} (older than ${days} day(s)).`);
+    }
+  }
+}
+
+/* ================================================================== */
+/*  Cloud upload                                                        */
+/* ================================================================== */
+
+/**
+ * POST one snapshot to CLOUD_SNAPSHOT_ENDPOINT as multipart/form-data.
+ *
+ * @param {string}        date
+ * @param {SnapshotEntry} entry
+ * @param {Buffer}        jpeg
+ */
+async function uploadSnapshot(date, entry, jpeg) {
+  const form = new FormData();
+  form.append("school_code", config.cloud.schoolCode);
+  form.append("adm_no",      entry.adm_no);
+  form.append("date",        date);
+  form.append("time",        entry.time);
+  form.append("terminal",    entry.terminalId);
+  form.append("snapshot",    new Blob([jpeg], { type: "image/jpeg" }), entry.file);
+
+  await axios.post(`${config.cloud.baseUrl}${config.snapshots.endpoint}`, form, {
+    timeout: config.cloud.timeoutMs,
+    headers: {
+      "Authorization": `Bearer ${config.cloud.apiKey}`,
+      "X-Source"     : "hikvision-middleware",
+    },
+  });
+}
+
+/* ================================================================== */
+/*  Main export                                                         */
+/* ================================================================== */
+
+/**
+ * Download the snapshots of a day's attendance events that are not
+ * stored yet, then upload every stored snapshot the cloud has not
+ * accepted. Never throws.
+ *
+ * @param {string} date – "YYYY-MM-DD" the events belong to
+ * @param {import('./hikvisionClient.js').AttendanceRecord[]} events – the day's stored events
+ * @param {import('./syncRunner.js').ConnectedTerminal[]} connected
+ * @returns {Promise<SnapshotResult>}
+ */
+export async function syncSnapshots(date, events, connected) {
+  const result = { downloaded: 0, uploaded: 0, failed: 0 };
+
+  try {
+    pruneOld(dateInZone(config.sync.timezone));
+
+    const dir   = dayDir(date);
+    const index = loadIndex(date);
+    fs.mkdirSync(dir, { recursive: true });
+
+    // ── Download new snapshots ──────────────────────────────────────
+    for (const e of events) {
+      if (!e.pictureURL || !isAttendanceEvent(e) || !hasStudentId(e)) continue;
+
+      const time  = (e.localTime ?? e.eventTime ?? "").slice(11, 19);
+      const id    = [e.employeeNo.trim(), time.replace(/:/g, ""), e.terminalId, e.serialNo ?? e.eventType]
+        .join("_").replace(/[^\w-]/g, "-");
+      const entry = index[id] ??= {
+        adm_no    : e.employeeNo.trim(),
+        time,
+        terminalId: e.terminalId,
+        file      : null,
+        downloads : 0,
+        uploadedAt: null,
+        attempts  : 0,
+        lastError : null,
+      };
+      if (entry.file || entry.downloads >= MAX_DOWNLOAD_ATTEMPTS) continue;
+
+      const conn = connected.find((c) => c.terminal.id === e.terminalId);
+      if (!conn) continue;   // terminal unreachable this run — try again next time
+
+      try {
+        const jpeg = await conn.client.downloadPicture(e.pictureURL);
+        fs.writeFileSync(path.join(dir, `${id}.jpg`), jpeg);
+        entry.file      = `${id}.jpg`;
+        entry.lastError = null;
+        result.downloaded++;
+      } catch (err) {
+        entry.downloads += 1;
+        entry.lastError  = err.message.split("\n")[0];
+        result.failed++;
+        log.warn(`  ⚠  Could not download snapshot for ${entry.adm_no} at ${time} ` +
+          `(attempt ${entry.downloads}/${MAX_DOWNLOAD_ATTEMPTS}): ${entry.lastError}`);
+      }
+    }
+    saveIndex(date, index);
+
+    // ── Upload what the cloud has not accepted yet ─────────────────
+    if (config.snapshots.endpoint) {
+      for (const entry of Object.values(index).filter((x) => x.file && !x.uploadedAt)) {
+        try {
+          await uploadSnapshot(date, entry, fs.readFileSync(path.join(dir, entry.file)));
+          entry.uploadedAt = new Date().toISOString();
+          entry.lastError  = null;
+          result.uploaded++;
+        } catch (err) {
+          entry.attempts += 1;
+          entry.lastError = err.response?.status ? `HTTP ${err.response.status}` : err.message;
+          result.failed++;
+          log.warn(`  ⚠  Snapshot upload failed for ${entry.adm_no} at ${entry.time}: ${entry.lastError}`);
+
+          // The cloud is down — the rest would fail the same way
+          if (!err.response) break;
+        } finally {
+          saveIndex(date, index);
+        }
+      }
+    }
+  } catch (err) {
+    log.error(`  ✖  Snapshot sync failed: ${err.message}`);
+    result.failed++;
+  }
+
+  if (result.downloaded || result.uploaded || result.failed) {
+    log.info(
+      `  Snapshots: ${result.downloaded} downloaded, ${result.uploaded} uploaded, ${result.failed} failed.\n`,
+      result
+    );
+  }
+  return result;
+}
+
+/* ================================================================== */
+/*  Types                                                               */
+/* ================================================================== */
+
+/**
+ * @typedef {object} SnapshotEntry
+ * @property {string}      adm_no
+ * @property {string}      time        – "HH:MM:SS" event time (school timezone)
+ * @property {string}      terminalId
+ * @property {string|null} file        – file name inside the date folder (null until downloaded)
+ * @property {number}      downloads   – failed download attempts
+ * @property {string|null} uploadedAt  – ISO timestamp the cloud accepted it
+ * @property {number}      attempts    – failed upload attempts
+ * @property {string|null} lastError
+ */
+
+/**
+ * @typedef {object} SnapshotResult
+ * @property {number} downloaded – new snapshots stored this run
+ * @property {number} uploaded   – snapshots accepted by the cloud this run
+ * @property {number} failed     – downloads or uploads that failed
+ */
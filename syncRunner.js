@@ -0,0 +1,685 @@
+/**
+ * syncRunner.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Sync Pipeline (one run)
+ * Responsibility:
+ *   • Discover / verify every terminal (auto-heals DHCP changes)
+ *   • Pull only NEW attendance events from all terminals in parallel
+ *     via ISAPI, starting from each terminal's persisted high-water
+ *     mark minus SYNC_LOOKBACK_MINUTES
+ *   • Merge them with the day's stored events and re-process, so
+ *     time_in / time_out stay correct across runs
+ *   • POST only the students whose record changed to the cloud
+ *   • Tag every log line written during a run with its run id
+ *
+ * Used by index.js both for one-shot runs and by the daemon on
+ * every cron tick. Failures are THROWN, never process.exit()ed,
+ * so a long-running process survives a bad run.
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import { HikvisionClient }                  from "./hikvisionClient.js";
+import { ensureDeviceReachable }            from "./deviceDiscovery.js";
+import { processAttendance, syncToCloud,
+         replayQueue, hasStudentId,
+         failedAuthReport }                 from "./attendanceProcessor.js";
+import { isAttendanceEvent }                from "./eventCodes.js";
+import { loadState, saveState, stateForDate, markFor,
+         fetchStartTime, mergeEvents, storedEvents,
+         changedRecords, markSent,
+         markRejected }                     from "./syncState.js";
+import { getSent, markComplete }            from "./sentLog.js";
+import { syncSnapshots }                    from "./snapshots.js";
+import { dateInZone, zoneOffsetMinutes,
+         formatOffset, measureClock,
+         assumedClock, describeDrift,
+         createClockConverter }             from "./clock.js";
+import { createLogger, newRunId,
+         withRunId }                        from "./logger.js";
+import config                               from "./configLoader.js";
+
+const log = createLogger("syncRunner");
+
+/* ================================================================== */
+/*  Module state                                                        */
+/* ================================================================== */
+
+/**
+ * Last IP each terminal was confirmed on, keyed by terminal id.
+ * config is frozen at startup, so after discovery moves a terminal we
+ * remember the new IP here — otherwise every daemon tick would probe
+ * the stale IP and rescan.
+ *
+ * @type {Map<string, string>}
+ */
+const activeHosts = new Map();
+
+/**
+ * What the runner is doing and how the last runs went. Exposed to the
+ * HTTP API through getRunStatus().
+ *
+ * @type {RunStatus}
+ */
+const runStatus = {
+  current        : null,
+  lastRun        : null,
+  lastError      : null,
+  lastCloudSyncAt: null,
+  totalRuns      : 0,
+  failedRuns     : 0,
+  terminals      : {},
+};
+
+/* ================================================================== */
+/*  Helpers                                                             */
+/* ================================================================== */
+
+/**
+ * Returns ISO-8601 date strings for the full current day in the school
+ * timezone (SYNC_TIMEZONE — not the host's) plus the "YYYY-MM-DD"
+ * string used as the sync payload date.
+ *
+ * @returns {{ startTime: string, endTime: string, dateStr: string }}
+ */
+export function getTodayRange() {
+  return dayRange(dateInZone(config.sync.timezone));
+}
+
+/**
+ * Full-day range for a "YYYY-MM-DD" date, as school wall-clock times.
+ *
+ * @param {string} dateStr
+ * @returns {{ startTime: string, endTime: string, dateStr: string }}
+ */
+function dayRange(dateStr) {
+  return {
+    startTime: `${dateStr}T00:00:00`,
+    endTime  : `${dateStr}T23:59:59`,
+    dateStr,
+  };
+}
+
+/**
+ * Print a single processed attendance record to the console.
+ *
+ * @param {import('./attendanceProcessor.js').ProcessedAttendance} rec
+ */
+function printRecord(rec) {
+  const sessions = rec.sessions ? `  |  sessions: ${rec.sessions.length} (${rec.time_on_premises} on premises)` : "";
+  log.info(`  • adm_no: ${rec.adm_no}  |  time_in: ${rec.time_in}${rec.time_out ? `  |  time_out: ${rec.time_out}` : ""}${sessions}`);
+}
+
+/**
+ * Build a HikvisionClient for a terminal at the given host.
+ *
+ * @param {TerminalConfig} t
+ * @param {string}         host
+ * @returns {HikvisionClient}
+ */
+function createTerminalClient(t, host) {
+  return new HikvisionClient({
+    host,
+    port               : t.port,
+    username           : t.username,
+    password           : t.password,
+    useHttps           : t.useHttps,
+    rejectUnauthorized : t.rejectUnauthorized,
+  });
+}
+
+/* ================================================================== */
+/*  Terminals                                                           */
+/* ================================================================== */
+
+/**
+ * Discover / verify every configured terminal (auto-heals DHCP changes).
+ *
+ * Terminals are verified one after the other so their console output
+ * stays readable; a terminal that cannot be found is skipped with an
+ * error and the run continues with the rest. Throws only when NO
+ * terminal is reachable.
+ *
+ * @returns {Promise<{ connected: ConnectedTerminal[], failed: { id: string, error: string }[] }>}
+ */
+async function connectTerminals() {
+  const multi     = config.terminals.length > 1;
+  const connected = [];
+  const failed    = [];
+
+  for (const t of config.terminals) {
+    let discovery;
+    try {
+      discovery = await ensureDeviceReachable({
+        host      : activeHosts.get(t.id) ?? t.host,
+        port      : t.port,
+        username  : t.username,
+        password  : t.password,
+        useHttps  : t.useHttps,
+        deviceName: t.deviceName,
+        hostEnvKey: t.hostEnvKey,
+        label     : multi ? t.id : undefined,
+      });
+    } catch (err) {
+      failed.push({ id: t.id, error: err.message });
+      if (multi) log.error(`  ✖  Terminal "${t.id}" discovery failed: ${err.message}\n`);
+      continue;
+    }
+
+    if (discovery.changed) {
+      log.info(`  ↺  Reconnecting terminal client to new IP: ${discovery.ip}\n`);
+    }
+    activeHosts.set(t.id, discovery.ip);
+
+    const info = discovery.info;
+    log.info(`  Model    : ${info?.model            ?? "DS-K1T342MFX-E1"}`);
+    log.info(`  Firmware : ${info?.firmwareVersion  ?? "V4.39.180"}`);
+    log.info(`  Serial   : ${info?.serialNumber     ?? "GL0274831"}`);
+
+    const client = createTerminalClient(t, discovery.ip);
+    const clock  = await checkClock(t, client, multi ? `[${t.id}] ` : "");
+    log.info("");
+
+    connected.push({ terminal: t, ip: discovery.ip, client, clock });
+  }
+
+  if (connected.length === 0) {
+    throw new Error(
+      `Terminal discovery failed: ${failed.map((f) => multi ? `[${f.id}] ${f.error}` : f.error).join("; ")}`
+    );
+  }
+
+  return { connected, failed };
+}
+
+/**
+ * Read a terminal's clock, warn when it drifts from the host clock or
+ * runs on another timezone, and build the converters for its events.
+ * A terminal that cannot report its time is assumed to run on school
+ * time with no drift.
+ *
+ * @param {TerminalConfig}  t
+ * @param {HikvisionClient} client
+ * @param {string}          tag – "[id] " prefix on multi-terminal sites
+ * @returns {Promise<TerminalClock>}
+ */
+async function checkClock(t, client, tag) {
+  const { timezone, clockDriftWarnSeconds, correctClockDrift } = config.sync;
+
+  let clock;
+  try {
+    clock = await measureClock(client, timezone);
+    log.info(`  Clock    : ${clock.localTime}${clock.timeMode ? `  (${clock.timeMode})` : ""}`);
+  } catch (err) {
+    log.warn(`  ⚠  ${tag}Could not read the terminal clock: ${err.message.split("\n")[0]}`);
+    log.warn(`     Assuming it runs on ${timezone} time.`);
+    clock = assumedClock(timezone);
+  }
+
+  const schoolOffset = zoneOffsetMinutes(new Date(), timezone);
+  if (clock.offsetMinutes !== schoolOffset) {
+    log.warn(
+      `  ⚠  ${tag}Terminal clock runs on UTC${formatOffset(clock.offsetMinutes)}, ` +
+      `${timezone} is UTC${formatOffset(schoolOffset)} — event times will be converted.`
+    );
+  }
+
+  const drifted = Math.abs(clock.driftMs) > clockDriftWarnSeconds * 1000;
+  if (drifted) {
+    log.warn(`  ⚠  ${tag}Terminal clock is ${describeDrift(clock.driftMs)} of this PC.`,
+      { terminal: t.id, driftMs: clock.driftMs, localTime: clock.localTime });
+    log.warn(correctClockDrift
+      ? "     Correcting event times by the measured drift (CLOCK_DRIFT_CORRECT=true)."
+      : "     Event times are NOT corrected — run  node index.js --sync-clock  or set CLOCK_DRIFT_CORRECT=true.");
+  }
+
+  const corrected = correctClockDrift && drifted;
+  return { ...clock, corrected, convert: createClockConverter(clock, timezone, corrected) };
+}
+
+/**
+ * Pull one terminal's new events for a day and tag each record with
+ * the terminal it came from and the configured role of its door.
+ *
+ * The school-day window is translated into the terminal's own clock
+ * for the ISAPI search, and each event gets `localTime` — its time in
+ * the school timezone, drift-corrected if enabled — which processing
+ * uses instead of the raw device timestamp. Events that land outside
+ * the school day after conversion are dropped.
+ *
+ * @param {ConnectedTerminal} conn
+ * @param {import('./syncState.js').SyncState} state
+ * @param {{ startTime: string, endTime: string }} range
+ * @returns {Promise<import('./hikvisionClient.js').AttendanceRecord[]>}
+ */
+async function pullTerminal(conn, state, range, allPages) {
+  const { terminal: t, client, clock } = conn;
+  const dayStart  = clock.convert.toDevice(range.startTime);
+  const endTime   = clock.convert.toDevice(range.endTime);
+  const startTime = fetchStartTime(state, t.id, dayStart);
+  const mark      = markFor(state, t.id);
+  const tag       = config.terminals.length > 1 ? `[${t.id}] ` : "";
+
+  log.info(`  ${tag}Range : ${startTime}  →  ${endTime}` +
+    (dayStart !== range.startTime ? "  (terminal clock)" : ""));
+  if (mark?.lastEventTime) {
+    log.info(`  ${tag}Since : last event ${mark.lastEventTime} (serial ${mark.lastSerialNo ?? "n/a"}), ` +
+      `minus ${config.sync.lookbackMinutes} min lookback`);
+  }
+
+  const records = await client.getAttendanceEvents({
+    startTime,
+    endTime,
+    maxResults: config.terminal.pageSize,
+    allPages,
+  });
+
+  return records
+    .map((r) => ({
+      ...r,
+      localTime   : r.eventTime ? clock.convert.toSchool(r.eventTime) : null,
+      terminalId  : t.id,
+      terminalRole: t.role,
+      doorRole    : t.doorRoles[String(r.doorNo)] ?? null,
+    }))
+    .filter((r) => !r.localTime || r.localTime.startsWith(range.dateStr));
+}
+
+/* ================================================================== */
+/*  Main export: runSync                                                */
+/* ================================================================== */
+
+/**
+ * Execute the full fetch → process → sync pipeline once.
+ *
+ * Only one run can be in flight at a time — scheduled ticks, manual
+ * triggers from the HTTP API and CLI runs all go through here. A call
+ * made while another run is active throws an Error with
+ * code "RUN_IN_PROGRESS"; a malformed or future date throws one with
+ * code "INVALID_DATE".
+ *
+ * Throws when no terminal can be reached or no terminal's events can
+ * be fetched. A cloud failure is NOT thrown — it is reported through
+ * the returned `success` flag so callers can decide what to do.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.date]             – "YYYY-MM-DD"; defaults to today
+ * @param {string} [opts.trigger="manual"] – who started the run (logged in status)
+ * @param {boolean} [opts.resend=false]   – past dates only: post every record, not
+ *                                          just those missing from the sent log
+ * @returns {Promise<RunResult>}
+ */
+export async function runSync(opts = {}) {
+  const { date, trigger = "manual", resend = false } = opts;
+
+  if (runStatus.current) {
+    const err = new Error(
+      `A sync run is already in progress (started ${runStatus.current.startedAt} by ${runStatus.current.trigger}).`
+    );
+    err.code = "RUN_IN_PROGRESS";
+    throw err;
+  }
+
+  const runId     = newRunId();
+  const startedAt = new Date().toISOString();
+  runStatus.current = { runId, startedAt, trigger, date: date ?? getTodayRange().dateStr };
+
+  try {
+    const result = await withRunId(runId, () => executeRun(date, resend));
+    const finishedAt = new Date().toISOString();
+
+    runStatus.totalRuns++;
+    runStatus.lastRun   = { runId, ...result, startedAt, finishedAt, trigger, error: null };
+    if (result.success && (result.sent > 0 || result.replayed > 0)) {
+      runStatus.lastCloudSyncAt = finishedAt;
+    }
+    return { runId, ...result, startedAt };
+
+  } catch (err) {
+    runStatus.totalRuns++;
+    runStatus.failedRuns++;
+    runStatus.lastError = { runId, at: new Date().toISOString(), trigger, message: err.message };
+    runStatus.lastRun   = { runId, startedAt, finishedAt: runStatus.lastError.at, trigger, error: err.message };
+    err.runId = runId;
+    throw err;
+
+  } finally {
+    runStatus.current = null;
+  }
+}
+
+/**
+ * Snapshot of the runner's status for the HTTP API.
+ *
+ * @returns {RunStatus}
+ */
+export function getRunStatus() {
+  return JSON.parse(JSON.stringify(runStatus));
+}
+
+/**
+ * The pipeline itself (see runSync()).
+ *
+ * @param {string}  [date]   – "YYYY-MM-DD"; defaults to today
+ * @param {boolean} [resend] – see runSync()
+ * @returns {Promise<Omit<RunResult, "runId" | "startedAt">>}
+ */
+async function executeRun(date, resend) {
+  const today  = getTodayRange();
+  const target = date ?? today.dateStr;
+
+  const invalid = (message) => Object.assign(new Error(message), { code: "INVALID_DATE" });
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(target) || isNaN(Date.parse(target))) {
+    throw invalid(`Invalid date "${target}" — expected YYYY-MM-DD.`);
+  }
+  if (target > today.dateStr) {
+    throw invalid(`Cannot sync ${target} — it is in the future.`);
+  }
+
+  // ── 1. Discover / verify every terminal ─────────────────────────
+  const { connected, failed } = await connectTerminals();
+
+  const checkedAt = new Date().toISOString();
+  for (const c of connected) {
+    runStatus.terminals[c.terminal.id] = {
+      id               : c.terminal.id,
+      ip               : c.ip,
+      reachable        : true,
+      checkedAt,
+      error            : null,
+      clockDriftSeconds: c.clock.measured ? c.clock.driftMs / 1000 : null,
+    };
+  }
+  for (const f of failed) {
+    runStatus.terminals[f.id] = { id: f.id, ip: runStatus.terminals[f.id]?.ip ?? null, reachable: false, checkedAt, error: f.error };
+  }
+
+  let state = loadState();
+  let result;
+
+  if (target === today.dateStr) {
+    // ── 2. Finish off the previous day if the state is from earlier ──
+    // Scans between the last run yesterday and midnight would otherwise
+    // never be sent.
+    if (state.date && state.date < today.dateStr) {
+      log.info(`▶ Closing out ${state.date} before starting ${today.dateStr} …\n`);
+      try {
+        await closeOutDay(connected, state);
+      } catch (err) {
+        log.warn(`  ⚠  Could not close out ${state.date}: ${err.message}\n`);
+      }
+    }
+
+    // ── 3. Incremental sync for today ───────────────────────────────
+    state  = stateForDate(state, today.dateStr);
+    result = await syncDay(connected, state, today);
+
+  } else if (state.date === target) {
+    // The stored state is for this date — just close it out
+    result = await closeOutDay(connected, state);
+
+  } else {
+    // ── Past date: one-off full-day pull, stored state left untouched ──
+    // Seeding `sent` from the sent log means only records the cloud
+    // has not already accepted are posted.
+    log.info(`▶ Full-day sync for past date ${target} …\n`);
+    const past = stateForDate(state, target);
+    if (!resend) {
+      for (const rec of getSent(target)?.attendance ?? []) past.sent[rec.adm_no] = rec;
+    }
+
+    result = await syncDay(connected, past, dayRange(target), { persist: false, allPages: true });
+    if (result.success && !result.queued) markComplete(target);
+  }
+
+  return {
+    terminalIp: connected[0].ip,
+    ...result,
+    terminals : [
+      ...result.terminals.map((r) => ({ ...r, ip: connected.find((c) => c.terminal.id === r.id).ip })),
+      ...failed.map((f) => ({ id: f.id, ip: null, raw: 0, newEvents: 0, error: f.error })),
+    ],
+  };
+}
+
+/**
+ * Final sync of a past day held in the stored state — picks up scans
+ * made after the last run of that day. Confirms the day in the sent
+ * log once every record was accepted.
+ *
+ * @param {ConnectedTerminal[]} connected
+ * @param {import('./syncState.js').SyncState} state – state for a past date
+ * @returns {Promise<Omit<RunResult, "runId" | "startedAt" | "terminalIp">>}
+ */
+async function closeOutDay(connected, state) {
+  const result = await syncDay(connected, state, dayRange(state.date), { allPages: true });
+  if (result.success && !result.queued) markComplete(state.date);
+  return result;
+}
+
+/* ================================================================== */
+/*  Per-day incremental sync                                            */
+/* ================================================================== */
+
+/**
+ * Fetch new events for one day from every terminal in parallel, merge
+ * them into the stored state, re-process and send only what changed.
+ * Persists the state.
+ *
+ * Events from all terminals are pooled before processAttendance(), so
+ * the earliest scan on ANY terminal becomes time_in and the last
+ * qualifying scan on ANY terminal becomes time_out.
+ *
+ * @param {ConnectedTerminal[]} connected
+ * @param {import('./syncState.js').SyncState} state – state for range.dateStr
+ * @param {{ startTime: string, endTime: string, dateStr: string }} range
+ * @param {object}  [opts]
+ * @param {boolean} [opts.persist=true] – save the state afterwards (false for one-off past dates)
+ * @param {boolean} [opts.allPages]     – page through every event; defaults to
+ *                                        TERMINAL_FETCH_ALL_PAGES, always true for past days
+ * @returns {Promise<Omit<RunResult, "startedAt" | "terminalIp">>}
+ */
+async function syncDay(connected, state, range, opts = {}) {
+  const persist  = opts.persist  ?? true;
+  const allPages = opts.allPages ?? config.terminal.fetchAllPages;
+  const save     = () => { if (persist) saveState(state); };
+  const { dateStr } = range;
+
+  // ── Pull new raw events from every terminal in parallel ─────────
+  log.info("▶ Fetching attendance events …");
+  log.info(`  Date  : ${dateStr}`);
+
+  const pulls = await Promise.allSettled(connected.map((c) => pullTerminal(c, state, range, allPages)));
+  log.info("");
+
+  const terminals = [];
+  let   raw       = 0;
+  let   added     = 0;
+
+  pulls.forEach((pull, i) => {
+    const id = connected[i].terminal.id;
+
+    if (pull.status === "rejected") {
+      terminals.push({ id, raw: 0, newEvents: 0, error: pull.reason.message });
+      if (connected.length > 1) {
+        log.error(`  ✖  [${id}] Failed to fetch events: ${pull.reason.message}`);
+      }
+      return;
+    }
+
+    const n = mergeEvents(state, id, pull.value);
+    terminals.push({ id, raw: pull.value.length, newEvents: n, error: null });
+    raw   += pull.value.length;
+    added += n;
+  });
+
+  if (terminals.every((t) => t.error)) {
+    throw new Error(`Failed to fetch events from terminal: ${terminals.map((t) => t.error).join("; ")}`);
+  }
+
+  const result = {
+    date        : dateStr,
+    raw,
+    newEvents   : added,
+    ignored     : 0,
+    skippedNoId : 0,
+    failedAuth  : [],
+    processed   : 0,
+    changed     : 0,
+    sent        : 0,
+    success     : true,
+    response    : null,
+    queued      : false,
+    replayed    : 0,
+    batches     : null,
+    snapshots   : null,
+    terminals,
+  };
+
+  if (connected.length > 1) {
+    terminals.filter((t) => !t.error).forEach((t) =>
+      log.info(`  [${t.id}] ${t.raw} raw event(s), ${t.newEvents} new.`)
+    );
+  }
+  log.info(`  Pulled ${raw} raw event(s) from ${connected.length > 1 ? "terminals" : "terminal"}, ${added} new.\n`);
+
+  // ── Process the whole day: filter → deduplicate → classify ───────
+  const events     = storedEvents(state);
+  const attendance = events.filter(isAttendanceEvent);
+  result.ignored   = events.length - attendance.length;
+
+  // Failed attempts are never attendance — they are reported instead
+  result.failedAuth = failedAuthReport(events);
+  if (result.failedAuth.length > 0) {
+    const attempts = result.failedAuth.reduce((n, f) => n + f.attempts, 0);
+    log.info(`  ${attempts} failed authentication attempt(s) on ${dateStr} by ${result.failedAuth.length} person(s).\n`,
+      { failedAuth: result.failedAuth });
+  }
+
+  // Snapshots come after the cloud post, whichever way the run ends —
+  // slow or failing picture downloads never hold up the attendance
+  const finish = async () => {
+    save();
+    if (config.snapshots.enabled) result.snapshots = await syncSnapshots(dateStr, attendance, connected);
+    return result;
+  };
+
+  if (events.length === 0) {
+    log.info(`  No attendance events recorded for ${dateStr} — nothing to sync.\n`);
+    await replayOnly(result);
+    return finish();
+  }
+
+  log.info("▶ Processing attendance records …");
+  const processed = processAttendance(events);
+  const changed   = changedRecords(state, processed);
+  result.skippedNoId = attendance.filter((e) => !hasStudentId(e)).length;
+  result.processed   = processed.length;
+  result.changed     = changed.length;
+
+  if (changed.length === 0) {
+    log.info(`  ${processed.length} student record(s), none changed since the last sync — nothing to send.\n`);
+    await replayOnly(result);
+    return finish();
+  }
+
+  log.info(`\n  ${changed.length} of ${processed.length} student record(s) changed:\n`);
+  changed.forEach(printRecord);
+
+  // ── Sync to Cloud School System ──────────────────────────────────
+  const { success, sent, response, queued, replayed, batches } = await syncToCloud(changed, dateStr);
+  Object.assign(result, { success, sent, response, queued, replayed, batches });
+
+  // Only accepted records count as sent. Queued ones are offered
+  // again next run too (the queue merges them by adm_no), so nothing
+  // is lost if the queue is evicted; rejected ones wait until they
+  // change.
+  const accepted = new Set(batches?.succeeded ?? []);
+  const rejected = new Set(batches?.rejected  ?? []);
+  markSent(state, changed.filter((r) => accepted.has(r.adm_no)));
+  markRejected(state, changed.filter((r) => rejected.has(r.adm_no)));
+
+  return finish();
+}
+
+/**
+ * Replay the offline queue when there is nothing new to post. A replay
+ * that fails fails the run — the records are still queued, but an
+ * outage or a refused API key must not look like a clean run.
+ *
+ * @param {RunResult} result – updated in place
+ */
+async function replayOnly(result) {
+  const replay    = await replayQueue();
+  result.replayed = replay.replayed;
+  if (!replay.reachable) {
+    result.success = false;
+    result.queued  = true;
+  }
+}
+
+/* ================================================================== */
+/*  Types                                                               */
+/* ================================================================== */
+
+/**
+ * @typedef {object} RunResult
+ * @property {string}  runId      – id tagging this run's log lines
+ * @property {string}  startedAt  – ISO timestamp the run began
+ * @property {string}  date       – "YYYY-MM-DD" the run synced
+ * @property {string}  terminalIp – IP the first terminal was reached on
+ * @property {TerminalRunResult[]} terminals – per-terminal outcome
+ * @property {number}  raw        – raw events pulled from the terminal
+ * @property {number}  newEvents  – events not seen in an earlier run
+ * @property {number}  ignored    – stored events not on the ATTENDANCE_EVENT_TYPES allow-list
+ * @property {number}  skippedNoId – allow-listed events dropped for having no student ID
+ * @property {import('./attendanceProcessor.js').FailedAuthSummary[]} failedAuth
+ *                                – the day's failed authentication attempts per person
+ * @property {number}  processed  – student records for the day after processing
+ * @property {number}  changed    – student records that differed from the last sync
+ * @property {number}  sent       – records accepted by the cloud
+ * @property {boolean} success    – false if the cloud POST failed
+ * @property {any}     response   – cloud response body (or error body)
+ * @property {boolean} queued     – true if the payload went to the offline queue
+ * @property {number}  replayed   – queued records delivered during this run
+ * @property {import('./attendanceProcessor.js').BatchReport|null} batches – per-batch cloud outcome
+ * @property {import('./snapshots.js').SnapshotResult|null} snapshots – null when SNAPSHOT_ENABLED is off
+ */
+
+/**
+ * @typedef {object} TerminalRunResult
+ * @property {string}      id         – terminal id from config
+ * @property {string|null} ip         – IP it was reached on (null if not found)
+ * @property {number}      raw        – raw events pulled
+ * @property {number}      newEvents  – events not seen before
+ * @property {string|null} error      – why discovery / fetch failed
+ */
+
+/**
+ * @typedef {object} ConnectedTerminal
+ * @property {TerminalConfig}  terminal
+ * @property {string}          ip
+ * @property {HikvisionClient} client
+ * @property {TerminalClock}   clock
+ */
+
+/**
+ * @typedef {import('./clock.js').DeviceClock & {
+ *   corrected: boolean,
+ *   convert  : import('./clock.js').ClockConverter
+ * }} TerminalClock
+ */
+
+/**
+ * @typedef {typeof config.terminals[number]} TerminalConfig
+ */
+
+/**
+ * @typedef {object} RunStatus
+ * @property {{ runId: string, startedAt: string, trigger: string, date: string }|null} current – run in flight
+ * @property {object|null}  lastRun          – last RunResult plus finishedAt / trigger / error
+ * @property {{ runId: string, at: string, trigger: string, message: string }|null} lastError
+ * @property {string|null}  lastCloudSyncAt  – ISO time the cloud last accepted records
+ * @property {number}       totalRuns
+ * @property {number}       failedRuns
+ * @property {Object<string, { id: string, ip: string|null, reachable: boolean, checkedAt: string, error: string|null, clockDriftSeconds?: number|null }>} terminals
+ */
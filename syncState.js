@@ -0,0 +1,288 @@
+/**
+ * syncState.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Incremental Sync State (high-water mark)
+ * Responsibility:
+ *   • Remember the last event time + serial number processed PER
+ *     TERMINAL, so each run only pulls  lastSeen − SYNC_LOOKBACK_MINUTES
+ *     → now from each terminal instead of the whole day
+ *   • Keep the day's accepted events (compact, no _raw) so every
+ *     student's time_in / time_out can be recomputed exactly when
+ *     new scans arrive — a late scan can never shift time_in and
+ *     an earlier time_out is always superseded by a later one
+ *   • Remember what the cloud last accepted — or rejected as a bad
+ *     payload — per adm_no, so only students whose record actually
+ *     changed are posted to the cloud
+ *
+ * The overlap window (lookback) re-fetches a few minutes of events
+ * on every run; duplicates are dropped by event key, so it is safe.
+ *
+ * File shape (SYNC_STATE_FILE_PATH):
+ * {
+ *   "version": 2,
+ *   "date": "2024-11-20",
+ *   "marks": {
+ *     "<terminalId>": { "lastEventTime": "2024-11-20T14:35:07+03:00", "lastSerialNo": 1234 }
+ *   },
+ *   "events": { "<terminalId>:<key>": { employeeNo, eventTime, terminalId, … } },
+ *   "sent":     { "<adm_no>": { adm_no, time_in, time_out } },
+ *   "rejected": { "<adm_no>": { adm_no, time_in, time_out } }
+ * }
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import * as path from "path";
+import config    from "./configLoader.js";
+import { readJsonFile, writeJsonAtomic } from "./fileStore.js";
+
+const STATE_VERSION = 2;
+
+/* ================================================================== */
+/*  File I/O                                                            */
+/* ================================================================== */
+
+function statePath() {
+  return path.resolve(config.sync.stateFilePath);
+}
+
+/**
+ * An empty state for `date`.
+ *
+ * @param {string|null} date
+ * @returns {SyncState}
+ */
+function emptyState(date) {
+  return {
+    version      : STATE_VERSION,
+    date,
+    marks        : {},
+    events       : {},
+    sent         : {},
+    rejected     : {},
+  };
+}
+
+/**
+ * Load the persisted state (or an empty one).
+ *
+ * @returns {SyncState}
+ */
+export function loadState() {
+  const state = readJsonFile(
+    statePath(),
+    () => emptyState(null),
+    (data) => data && typeof data.events === "object" && typeof data.sent === "object"
+  );
+
+  // v1 kept a single high-water mark — it belonged to the only terminal
+  if (!state.marks) {
+    state.marks = state.lastEventTime
+      ? { main: { lastEventTime: state.lastEventTime, lastSerialNo: state.lastSerialNo ?? null } }
+      : {};
+    delete state.lastEventTime;
+    delete state.lastSerialNo;
+    state.version = STATE_VERSION;
+  }
+  state.rejected ??= {};
+
+  return state;
+}
+
+/**
+ * Atomically persist the state.
+ *
+ * @param {SyncState} state
+ */
+export function saveState(state) {
+  writeJsonAtomic(statePath(), state);
+}
+
+/**
+ * Return `state` if it belongs to `date`, otherwise a fresh state.
+ *
+ * @param {SyncState} state
+ * @param {string}    date – "YYYY-MM-DD"
+ * @returns {SyncState}
+ */
+export function stateForDate(state, date) {
+  return state.date === date ? state : emptyState(date);
+}
+
+/* ================================================================== */
+/*  Fetch window                                                        */
+/* ================================================================== */
+
+/**
+ * Subtract minutes from a device-local "YYYY-MM-DDTHH:MM:SS" string
+ * without involving the host timezone.
+ *
+ * @param {string} local
+ * @param {number} minutes
+ * @returns {string}
+ */
+function minusMinutes(local, minutes) {
+  const [d, t]      = local.split("T");
+  const [y, mo, da] = d.split("-").map(Number);
+  const [h, mi, s]  = t.split(":").map(Number);
+  const shifted     = new Date(Date.UTC(y, mo - 1, da, h, mi - minutes, s));
+  return shifted.toISOString().slice(0, 19);
+}
+
+/**
+ * High-water mark for one terminal (null before its first event today).
+ *
+ * @param {SyncState} state
+ * @param {string}    terminalId
+ * @returns {HighWaterMark|null}
+ */
+export function markFor(state, terminalId) {
+  return state.marks[terminalId] ?? null;
+}
+
+/**
+ * Work out where the next fetch from a terminal should start.
+ *
+ * First run of the day → start of the day.
+ * Otherwise           → lastEventTime − lookbackMinutes, never
+ *                        earlier than the start of the day.
+ *
+ * @param {SyncState} state
+ * @param {string}    terminalId
+ * @param {string}    dayStart – "YYYY-MM-DDT00:00:00"
+ * @returns {string}  "YYYY-MM-DDTHH:MM:SS"
+ */
+export function fetchStartTime(state, terminalId, dayStart) {
+  const mark = markFor(state, terminalId);
+  if (!mark?.lastEventTime) return dayStart;
+
+  const lastLocal = mark.lastEventTime
+    .replace(/Z$/, "")
+    .replace(/[+-]\d{2}:\d{2}$/, "")
+    .split(".")[0];
+  const start = minusMinutes(lastLocal, config.sync.lookbackMinutes);
+
+  return start < dayStart ? dayStart : start;
+}
+
+/* ================================================================== */
+/*  Merging                                                             */
+/* ================================================================== */
+
+/**
+ * Stable identity for an event. The ISAPI serialNo is unique per
+ * event on a terminal; older firmware may omit it, in which case
+ * the employee + timestamp + event type combination is used.
+ *
+ * @param {import('./hikvisionClient.js').AttendanceRecord} rec
+ * @returns {string}
+ */
+function eventKey(rec) {
+  const serial = rec._raw?.serialNo ?? rec.serialNo;
+  if (serial !== undefined && serial !== null) return `sn:${serial}`;
+  return `ev:${rec.employeeNo}|${rec.eventTime}|${rec.eventType}`;
+}
+
+/**
+ * Merge freshly fetched events from one terminal into the state.
+ * Duplicates from the lookback overlap are ignored. Advances that
+ * terminal's high-water mark.
+ *
+ * Serial numbers are only unique per terminal, so keys are prefixed
+ * with the terminal id.
+ *
+ * @param {SyncState} state
+ * @param {string}    terminalId
+ * @param {import('./hikvisionClient.js').AttendanceRecord[]} records
+ * @returns {number}  number of events that were new
+ */
+export function mergeEvents(state, terminalId, records) {
+  const mark = state.marks[terminalId] ??= { lastEventTime: null, lastSerialNo: null };
+  let added  = 0;
+
+  for (const rec of records) {
+    const key = `${terminalId}:${eventKey(rec)}`;
+    if (state.events[key]) continue;
+
+    // Keep only what processAttendance needs — _raw is too large to store
+    const { _raw, capturedAt, ...compact } = rec;
+    state.events[key] = { ...compact, serialNo: _raw?.serialNo ?? null };
+    added++;
+
+    if (rec.eventTime && (!mark.lastEventTime || rec.eventTime > mark.lastEventTime)) {
+      mark.lastEventTime = rec.eventTime;
+      mark.lastSerialNo  = _raw?.serialNo ?? null;
+    }
+  }
+
+  return added;
+}
+
+/**
+ * All events stored for the state's date.
+ *
+ * @param {SyncState} state
+ * @returns {import('./hikvisionClient.js').AttendanceRecord[]}
+ */
+export function storedEvents(state) {
+  return Object.values(state.events);
+}
+
+/**
+ * Keep only the records that differ from what was last sent — and
+ * from what the cloud last rejected, which would only be rejected
+ * again.
+ *
+ * @param {SyncState} state
+ * @param {import('./attendanceProcessor.js').ProcessedAttendance[]} processed
+ * @returns {import('./attendanceProcessor.js').ProcessedAttendance[]}
+ */
+export function changedRecords(state, processed) {
+  const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b);
+  return processed.filter(
+    (rec) => !same(state.sent[rec.adm_no], rec) && !same(state.rejected[rec.adm_no], rec)
+  );
+}
+
+/**
+ * Record that the cloud accepted these records.
+ *
+ * @param {SyncState} state
+ * @param {import('./attendanceProcessor.js').ProcessedAttendance[]} records
+ */
+export function markSent(state, records) {
+  for (const rec of records) {
+    state.sent[rec.adm_no] = rec;
+    delete state.rejected[rec.adm_no];
+  }
+}
+
+/**
+ * Record that the cloud rejected these records as a bad payload
+ * (400 / 422). They are offered again once they change.
+ *
+ * @param {SyncState} state
+ * @param {import('./attendanceProcessor.js').ProcessedAttendance[]} records
+ */
+export function markRejected(state, records) {
+  for (const rec of records) state.rejected[rec.adm_no] = rec;
+}
+
+/* ================================================================== */
+/*  Types                                                               */
+/* ================================================================== */
+
+/**
+ * @typedef {object} SyncState
+ * @property {number}      version
+ * @property {string|null} date           – "YYYY-MM-DD" the state belongs to
+ * @property {Object<string, HighWaterMark>} marks – per terminal id
+ * @property {Object<string, object>} events – compact events keyed by terminal id + eventKey()
+ * @property {Object<string, import('./attendanceProcessor.js').ProcessedAttendance>} sent     – last accepted
+ * @property {Object<string, import('./attendanceProcessor.js').ProcessedAttendance>} rejected – last rejected (400 / 422)
+ */
+
+/**
+ * @typedef {object} HighWaterMark
+ * @property {string|null} lastEventTime  – device timestamp of the newest event seen
+ * @property {number|null} lastSerialNo   – ISAPI serialNo of that event
+ */
@@ -0,0 +1,173 @@
+/**
+ * test/digestAuth.test.js
+ * ─────────────────────────────────────────────────────────────
+ * Digest responses against the RFC 2617 / RFC 7616 examples, and
+ * DigestSession's challenge handling and nonce counting.
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import { test }  from "node:test";
+import assert    from "node:assert/strict";
+import { parseChallenge, digestResponse, DigestSession } from "../digestAuth.js";
+
+/** Authorization header parameters as an object. */
+function params(header) {
+  const out = {};
+  for (const m of header.slice(7).matchAll(/(\w+)=(?:"([^"]*)"|([^,\s]*))/g)) out[m[1]] = m[2] ?? m[3];
+  return out;
+}
+
+/* ================================================================== */
+/*  digestResponse                                                      */
+/* ================================================================== */
+
+test("digestResponse matches the RFC 2617 example (MD5, qop=auth)", () => {
+  assert.equal(digestResponse({
+    algorithm: "MD5",
+    username : "Mufasa",
+    password : "Circle Of Life",
+    realm    : "testrealm@host.com",
+    nonce    : "dcd98b7102dd2f0e8b11d0f600bfb0c093",
+    method   : "GET",
+    uri      : "/dir/index.html",
+    qop      : "auth",
+    nc       : "00000001",
+    cnonce   : "0a4f113b",
+  }), "6629fae49393a05397450978507c4ef1");
+});
+
+/** RFC 7616 §3.9.1 — the same request answered with each algorithm. */
+const RFC7616 = {
+  username: "Mufasa",
+  password: "Circle of Life",
+  realm   : "http-auth@example.org",
+  nonce   : "7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v",
+  method  : "GET",
+  uri     : "/dir/index.html",
+  qop     : "auth",
+  nc      : "00000001",
+  cnonce  : "f2/wE4q74E6zIJEtWaHKaf5wv/H5QzzpXusqGemxURZJ",
+};
+
+test("digestResponse matches the RFC 7616 example (MD5)", () => {
+  assert.equal(digestResponse({ ...RFC7616, algorithm: "MD5" }), "8ca523f5e9506fed4657c9700eebdbec");
+});
+
+test("digestResponse matches the RFC 7616 example (SHA-256)", () => {
+  assert.equal(
+    digestResponse({ ...RFC7616, algorithm: "SHA-256" }),
+    "753927fa0e85d155564e2e272a28d1802ca10daf4496794697cf8db5856cb6c1",
+  );
+});
+
+test("digestResponse hashes the body for auth-int only", () => {
+  const base = { ...RFC7616, algorithm: "SHA-256", qop: "auth-int", method: "PUT" };
+  assert.notEqual(digestResponse({ ...base, body: "<a/>" }), digestResponse({ ...base, body: "<b/>" }));
+  assert.equal(
+    digestResponse({ ...base, qop: "auth", body: "<a/>" }),
+    digestResponse({ ...base, qop: "auth", body: "<b/>" }),
+  );
+});
+
+test("digestResponse rejects an unknown algorithm", () => {
+  assert.throws(() => digestResponse({ ...RFC7616, algorithm: "SHA-512" }), /Unsupported Digest algorithm/);
+});
+
+/* ================================================================== */
+/*  parseChallenge                                                      */
+/* ================================================================== */
+
+test("parseChallenge picks the strongest of several challenges", () => {
+  const c = parseChallenge([
+    'Digest realm="r", nonce="n1", qop="auth", algorithm=MD5',
+    'Digest realm="r", nonce="n2", qop="auth,auth-int", algorithm=SHA-256, stale=TRUE',
+  ]);
+  assert.equal(c.algorithm, "SHA-256");
+  assert.equal(c.nonce, "n2");
+  assert.deepEqual(c.qop, ["auth", "auth-int"]);
+  assert.equal(c.stale, true);
+});
+
+test("parseChallenge defaults to MD5 and unescapes quoted values", () => {
+  const c = parseChallenge('Digest realm="say \\"hi\\"", nonce="abc", opaque="xyz"');
+  assert.equal(c.algorithm, "MD5");
+  assert.equal(c.realm, 'say "hi"');
+  assert.equal(c.opaque, "xyz");
+  assert.deepEqual(c.qop, []);
+});
+
+test("parseChallenge ignores Basic and unsupported challenges", () => {
+  assert.equal(parseChallenge('Basic realm="r"'), null);
+  assert.equal(parseChallenge('Digest realm="r", nonce="n", algorithm=SHA-512-256'), null);
+  assert.equal(parseChallenge(undefined), null);
+});
+
+/* ================================================================== */
+/*  DigestSession                                                       */
+/* ================================================================== */
+
+test("DigestSession sends no header before the first challenge", () => {
+  const s = new DigestSession("admin", "pw");
+  assert.equal(s.ready, false);
+  assert.equal(s.authorization("GET", "/ISAPI/System/time"), null);
+});
+
+test("DigestSession counts nonce use and starts again on a new challenge", () => {
+  const s = new DigestSession("admin", "pw");
+  s.challenge('Digest realm="r", nonce="n1", qop="auth"');
+
+  assert.equal(params(s.authorization("GET", "/a")).nc, "00000001");
+  assert.equal(params(s.authorization("GET", "/b")).nc, "00000002");
+
+  s.challenge('Digest realm="r", nonce="n2", qop="auth"');
+  const p = params(s.authorization("GET", "/c"));
+  assert.equal(p.nonce, "n2");
+  assert.equal(p.nc, "00000001");
+});
+
+test("DigestSession answers in a way the server can verify", () => {
+  const s = new DigestSession("admin", "pw");
+  s.challenge('Digest realm="DS-K1T342", nonce="abc", qop="auth", algorithm=SHA-256, opaque="op"');
+
+  const p = params(s.authorization("POST", "/ISAPI/AccessControl/AcsEvent?format=json", "{}"));
+  assert.equal(p.opaque, "op");
+  assert.equal(p.uri, "/ISAPI/AccessControl/AcsEvent?format=json");
+  assert.equal(p.response, digestResponse({
+    algorithm: "SHA-256",
+    username : "admin",
+    password : "pw",
+    realm    : "DS-K1T342",
+    nonce    : "abc",
+    method   : "POST",
+    uri      : p.uri,
+    qop      : "auth",
+    nc       : p.nc,
+    cnonce   : p.cnonce,
+  }));
+});
+
+test("DigestSession prefers qop=auth and falls back to auth-int or none", () => {
+  const s = new DigestSession("admin", "pw");
+
+  s.challenge('Digest realm="r", nonce="n", qop="auth-int,auth"');
+  assert.equal(params(s.authorization("PUT", "/x", "<x/>")).qop, "auth");
+
+  s.challenge('Digest realm="r", nonce="n", qop="auth-int"');
+  assert.equal(params(s.authorization("PUT", "/x", "<x/>")).qop, "auth-int");
+
+  s.challenge('Digest realm="r", nonce="n"');
+  const p = params(s.authorization("GET", "/x"));
+  assert.equal(p.qop, undefined);
+  assert.equal(p.nc,  undefined);
+});
+
+test("DigestSession rejects a challenge it cannot answer, and reset() forgets the last one", () => {
+  const s = new DigestSession("admin", "pw");
+  assert.throws(() => s.challenge('Basic realm="r"'), /Unsupported authentication challenge/);
+
+  s.challenge('Digest realm="r", nonce="n"');
+  assert.equal(s.ready, true);
+  s.reset();
+  assert.equal(s.ready, false);
+  assert.equal(s.authorization("GET", "/x"), null);
+});
@@ -0,0 +1,52 @@
+/**
+ * test/env.js
+ * ─────────────────────────────────────────────────────────────
+ * Module: Test Environment
+ * Responsibility:
+ *   • Give configLoader.js a complete, valid configuration — import
+ *     this file FIRST in any test whose modules read the config
+ *   • Point every data and log path at a fresh temp directory, so a
+ *     test never touches ./data, ./logs or the developer's .env
+ *
+ * node --test runs each test file in its own process, so a file may
+ * change process.env further (e.g. CLOUD_API_BASE_URL once its mock
+ * cloud listens) before it import()s the modules under test.
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import * as fs   from "fs";
+import * as os   from "os";
+import * as path from "path";
+
+/** Scratch directory for this test file's data and logs. */
+export const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "hik-mw-test-"));
+
+process.on("exit", () => fs.rmSync(TMP_DIR, { recursive: true, force: true }));
+
+// An empty .env, so dotenv adds nothing from the working tree
+fs.writeFileSync(path.join(TMP_DIR, ".env"), "");
+
+Object.assign(process.env, {
+  DOTENV_CONFIG_PATH       : path.join(TMP_DIR, ".env"),
+  DOTENV_CONFIG_QUIET      : "true",
+
+  TERMINAL_HOST            : "127.0.0.1",
+  TERMINAL_USERNAME        : "admin",
+  TERMINAL_PASSWORD        : "test-password",
+  TERMINAL_DEVICE_NAME     : "TEST-TERMINAL",
+  SCHOOL_CODE              : "TEST",
+  CLOUD_API_BASE_URL       : "http://127.0.0.1:9",
+  CLOUD_API_KEY            : "test-key",
+  CLOUD_RETRY_DELAY_MS     : "0",
+
+  LOG_LEVEL                : "error",
+  LOG_DIR                  : path.join(TMP_DIR, "logs"),
+  QUEUE_FILE_PATH          : path.join(TMP_DIR, "queue.json"),
+  SYNC_STATE_FILE_PATH     : path.join(TMP_DIR, "sync_state.json"),
+  SENT_LOG_DIR             : path.join(TMP_DIR, "sent"),
+  ROSTER_CREATED_FILE_PATH : path.join(TMP_DIR, "roster_created.json"),
+  SNAPSHOT_DIR             : path.join(TMP_DIR, "snapshots"),
+  UPDATE_HISTORY_PATH      : path.join(TMP_DIR, "update_history.log"),
+  DEVICE_REGISTRY_FILE_PATH: path.join(TMP_DIR, "devices.json"),
+  DEVICE_AUDIT_LOG_PATH    : path.join(TMP_DIR, "device_ip_changes.log"),
+});
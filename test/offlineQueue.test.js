@@ -0,0 +1,203 @@
+/**
+ * test/offlineQueue.test.js
+ * ─────────────────────────────────────────────────────────────
+ * The offline queue on its own (merging, removal, eviction) and
+ * the replay drop rules against a local mock cloud: delivered and
+ * 400 / 422 batches leave the queue, everything else stays.
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import { TMP_DIR } from "./env.js";
+
+import { test, beforeEach, after } from "node:test";
+import assert   from "node:assert/strict";
+import * as fs   from "fs";
+import * as http from "http";
+import * as path from "path";
+
+/* ================================================================== */
+/*  Mock cloud                                                          */
+/* ================================================================== */
+
+/** Statuses the mock answers with, one per request; 200 once empty. */
+let replies  = [];
+/** Bodies of the requests the mock received. */
+let received = [];
+
+const cloud = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    received.push(JSON.parse(body));
+    const status = replies.shift() ?? 200;
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(status < 300 ? { ok: true } : { error: `HTTP ${status}` }));
+  });
+});
+await new Promise((resolve) => cloud.listen(0, "127.0.0.1", resolve));
+after(() => cloud.close());
+
+Object.assign(process.env, {
+  CLOUD_API_BASE_URL  : `http://127.0.0.1:${cloud.address().port}`,
+  CLOUD_BATCH_SIZE    : "2",
+  CLOUD_RETRY_ATTEMPTS: "2",
+  QUEUE_MAX_SIZE      : "6",
+});
+
+const { enqueue, listQueued, removeQueuedRecords, depth } = await import("../offlineQueue.js");
+const { replayQueue, syncToCloud }                       = await import("../attendanceProcessor.js");
+
+/* ================================================================== */
+/*  Helpers                                                             */
+/* ================================================================== */
+
+/** Attendance records for the given adm_nos. */
+const records = (...admNos) => admNos.map((adm_no) => ({ adm_no, time_in: "07:30:00" }));
+
+/** adm_nos queued for a date, in queue order. */
+const queuedFor = (date) => listQueued().find((e) => e.date === date)?.attendance.map((r) => r.adm_no) ?? [];
+
+beforeEach(() => {
+  fs.rmSync(path.join(TMP_DIR, "queue.json"), { force: true });
+  replies  = [];
+  received = [];
+});
+
+/* ================================================================== */
+/*  Queue                                                               */
+/* ================================================================== */
+
+test("enqueue merges a date by adm_no, the newer record winning", () => {
+  enqueue("2026-10-19", records("A", "B"), "timeout");
+  enqueue("2026-10-19", [{ adm_no: "A", time_in: "07:30:00", time_out: "15:00:00" }, ...records("C")], "HTTP 503");
+
+  const [entry] = listQueued();
+  assert.deepEqual(entry.attendance.map((r) => r.adm_no), ["B", "A", "C"]);
+  assert.equal(entry.attendance[1].time_out, "15:00:00");
+  assert.equal(entry.attempts, 2);
+  assert.equal(entry.lastError, "HTTP 503");
+});
+
+test("enqueue keeps dates oldest first", () => {
+  enqueue("2026-10-19", records("A"));
+  enqueue("2026-10-17", records("B"));
+  enqueue("2026-10-18", records("C"));
+  assert.deepEqual(listQueued().map((e) => e.date), ["2026-10-17", "2026-10-18", "2026-10-19"]);
+});
+
+test("removeQueuedRecords drops a date once it is empty", () => {
+  enqueue("2026-10-18", records("A", "B"));
+  enqueue("2026-10-19", records("C"));
+
+  removeQueuedRecords("2026-10-18", ["A"]);
+  assert.deepEqual(queuedFor("2026-10-18"), ["B"]);
+
+  removeQueuedRecords("2026-10-18", ["B"]);
+  assert.deepEqual(listQueued().map((e) => e.date), ["2026-10-19"]);
+});
+
+test("a full queue evicts whole oldest dates, then trims the oldest remaining one", () => {
+  enqueue("2026-10-17", records("A", "B"));
+  enqueue("2026-10-18", records("C", "D", "E"));
+  enqueue("2026-10-19", records("F", "G", "H", "I"));    // 9 records, max 6
+
+  assert.deepEqual(listQueued().map((e) => e.date), ["2026-10-18", "2026-10-19"]);
+  assert.deepEqual(queuedFor("2026-10-18"), ["D", "E"]);
+  assert.deepEqual(depth(), { dates: 2, records: 6 });
+});
+
+/* ================================================================== */
+/*  Replay drop rules                                                   */
+/* ================================================================== */
+
+test("replay delivers every queued date and empties the queue", async () => {
+  enqueue("2026-10-18", records("A", "B", "C"));
+  enqueue("2026-10-19", records("D"));
+
+  const result = await replayQueue();
+  assert.deepEqual(result, { reachable: true, replayed: 4, error: null });
+  assert.equal(listQueued().length, 0);
+  assert.deepEqual(received.map((b) => b.date), ["2026-10-18", "2026-10-18", "2026-10-19"]);
+});
+
+test("replay drops a batch the cloud rejects with 422", async () => {
+  enqueue("2026-10-19", records("A", "B", "C"));
+  replies = [200, 422];
+
+  const result = await replayQueue();
+  assert.equal(result.reachable, true);
+  assert.equal(result.replayed, 2);
+  assert.equal(listQueued().length, 0);
+});
+
+for (const status of [401, 403]) {
+  test(`replay keeps the whole queue on ${status} and stops trying`, async () => {
+    enqueue("2026-10-18", records("A", "B", "C"));
+    enqueue("2026-10-19", records("D"));
+    replies = [status];
+
+    const result = await replayQueue();
+    assert.equal(result.reachable, false);
+    assert.equal(received.length, 1);    // no retries, no further batches or dates
+    assert.deepEqual(queuedFor("2026-10-18"), ["A", "B", "C"]);
+    assert.deepEqual(queuedFor("2026-10-19"), ["D"]);
+    assert.equal(listQueued()[0].attempts, 2);
+  });
+}
+
+for (const status of [408, 429]) {
+  test(`replay retries a ${status} and keeps the batch when it persists`, async () => {
+    enqueue("2026-10-19", records("A", "B", "C"));
+    replies = [200, status, status];
+
+    const result = await replayQueue();
+    assert.equal(result.reachable, false);
+    assert.equal(received.length, 3);
+    assert.deepEqual(queuedFor("2026-10-19"), ["C"]);
+  });
+}
+
+test("a retried 429 that then succeeds is delivered", async () => {
+  enqueue("2026-10-19", records("A"));
+  replies = [429, 200];
+
+  await replayQueue();
+  assert.equal(received.length, 2);
+  assert.equal(listQueued().length, 0);
+});
+
+test("a 404 keeps the records queued", async () => {
+  enqueue("2026-10-19", records("A"));
+  replies = [404];
+
+  await replayQueue();
+  assert.equal(received.length, 1);
+  assert.deepEqual(queuedFor("2026-10-19"), ["A"]);
+});
+
+/* ================================================================== */
+/*  syncToCloud                                                         */
+/* ================================================================== */
+
+test("syncToCloud queues a new day behind a queue the cloud refuses", async () => {
+  enqueue("2026-10-18", records("A"));
+  replies = [401];
+
+  const result = await syncToCloud(records("B", "C"), "2026-10-19");
+  assert.equal(result.success, false);
+  assert.equal(result.queued,  true);
+  assert.equal(received.length, 1);
+  assert.deepEqual(queuedFor("2026-10-18"), ["A"]);
+  assert.deepEqual(queuedFor("2026-10-19"), ["B", "C"]);
+});
+
+test("syncToCloud queues only failed batches and reports rejected ones", async () => {
+  replies = [200, 422, 503, 503];
+
+  const result = await syncToCloud(records("A", "B", "C", "D", "E"), "2026-10-19");
+  assert.equal(result.success, false);
+  assert.deepEqual(result.batches.succeeded, ["A", "B"]);
+  assert.deepEqual(result.batches.rejected,  ["C", "D"]);
+  assert.deepEqual(result.batches.failed,    ["E"]);
+  assert.deepEqual(queuedFor("2026-10-19"), ["E"]);
+});
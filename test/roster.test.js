@@ -0,0 +1,127 @@
+/**
+ * test/roster.test.js
+ * ─────────────────────────────────────────────────────────────
+ * diffRoster(): who is created, updated (and with which fields),
+ * deleted or kept — above all, that a missing or truncated roster
+ * never deletes staff or persons enrolled by hand.
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import "./env.js";
+
+import { test } from "node:test";
+import assert   from "node:assert/strict";
+
+const { diffRoster }          = await import("../roster.js");
+const { DEFAULT_VALID_UNTIL } = await import("../hikvisionClient.js");
+
+const TODAY = "2026-10-19";
+
+/** A roster entry. */
+const student = (adm_no, name = `Student ${adm_no}`, valid_until = null) => ({ adm_no, name, valid_until, photo_url: null });
+
+/** A person on the terminal, in sync with student(employeeNo) by default. */
+const user = (employeeNo, extra = {}) => ({
+  employeeNo,
+  name      : `Student ${employeeNo}`,
+  userType  : "normal",
+  validFrom : "2026-01-01T00:00:00",
+  validUntil: DEFAULT_VALID_UNTIL,
+  ...extra,
+});
+
+/** diffRoster() with deletion switched on and everyone enrolled by the sync. */
+const diffDeleting = (roster, users, opts = {}) => diffRoster(roster, users, TODAY, {
+  deleteMissing: true,
+  deleteMax    : 20,
+  created      : new Set(users.map((u) => u.employeeNo)),
+  ...opts,
+});
+
+const employeeNos = (list) => list.map((x) => x.employeeNo ?? x.user.employeeNo);
+
+/* ================================================================== */
+/*  Create / update                                                     */
+/* ================================================================== */
+
+test("students missing from the terminal are created, unless they already left", () => {
+  const diff = diffRoster([student("S1"), student("S2", "Gone", "2026-10-01"), student("S3")], [user("S3")], TODAY);
+  assert.deepEqual(diff.create.map((s) => s.adm_no),  ["S1"]);
+  assert.deepEqual(diff.skipped.map((s) => s.adm_no), ["S2"]);
+  assert.equal(diff.unchanged, 1);
+});
+
+test("an update patches only the fields that changed", () => {
+  const diff = diffRoster(
+    [student("S1", "Jane Doe"), student("S2", "Student S2", "2026-11-30")],
+    [user("S1", { name: "Jane  Do" }), user("S2")],
+    TODAY,
+  );
+
+  const [rename, leaver] = diff.update;
+  assert.deepEqual(rename.patch, { name: "Jane Doe" });
+  assert.deepEqual(leaver.patch, { validFrom: "2026-01-01T00:00:00", validUntil: "2026-11-30T23:59:59" });
+  assert.deepEqual(leaver.changes, ["valid until 2026-11-30"]);
+});
+
+test("a student whose validity end was lifted gets the default one back", () => {
+  const diff = diffRoster([student("S1")], [user("S1", { validUntil: "2026-11-30T23:59:59" })], TODAY);
+  assert.equal(diff.update[0].patch.validUntil, DEFAULT_VALID_UNTIL);
+  assert.deepEqual(diff.update[0].changes, ["validity end 2026-11-30 removed"]);
+});
+
+test("a roster entry without a name does not blank the terminal's", () => {
+  const diff = diffRoster([student("S1", "")], [user("S1", { name: "Jane Doe" })], TODAY);
+  assert.equal(diff.update.length, 0);
+  assert.equal(diff.unchanged, 1);
+});
+
+/* ================================================================== */
+/*  Delete guards                                                       */
+/* ================================================================== */
+
+test("nobody is deleted while ROSTER_DELETE_MISSING is off", () => {
+  const diff = diffDeleting([student("S1")], [user("S1"), user("S2")], { deleteMissing: false });
+  assert.deepEqual(diff.delete, []);
+  assert.deepEqual(diff.kept.map((k) => k.reason), ["ROSTER_DELETE_MISSING=false"]);
+});
+
+test("a student who left the roster and was enrolled by the sync is deleted", () => {
+  const diff = diffDeleting([student("S1")], [user("S1"), user("S2")]);
+  assert.deepEqual(employeeNos(diff.delete), ["S2"]);
+  assert.deepEqual(diff.kept, []);
+});
+
+test("an empty roster deletes nobody", () => {
+  const diff = diffDeleting([], [user("S1"), user("S2")]);
+  assert.deepEqual(diff.delete, []);
+  assert.deepEqual(diff.kept.map((k) => k.reason), ["the roster is empty", "the roster is empty"]);
+});
+
+test("persons enrolled by hand are kept", () => {
+  const diff = diffDeleting([student("S1")], [user("S1"), user("T1", { name: "Teacher" })], { created: new Set(["S1"]) });
+  assert.deepEqual(diff.delete, []);
+  assert.deepEqual(diff.kept.map((k) => [k.user.employeeNo, k.reason]), [["T1", "not enrolled by the roster sync"]]);
+});
+
+test("persons who are not of userType normal are kept", () => {
+  const diff = diffDeleting([student("S1")], [user("S1"), user("S2", { userType: "visitor" })]);
+  assert.deepEqual(diff.delete, []);
+  assert.deepEqual(diff.kept.map((k) => k.reason), ["userType visitor"]);
+});
+
+test("more deletions than ROSTER_DELETE_MAX are all refused", () => {
+  const users = ["S1", "S2", "S3", "S4"].map((id) => user(id));
+  const diff  = diffDeleting([student("S1")], users, { deleteMax: 2 });
+
+  assert.deepEqual(diff.delete, []);
+  assert.equal(diff.deleteRefused, 3);
+  assert.deepEqual(employeeNos(diff.kept), ["S2", "S3", "S4"]);
+  assert.ok(diff.kept.every((k) => k.reason === "over ROSTER_DELETE_MAX=2"));
+});
+
+test("ROSTER_DELETE_MAX=2 still allows two deletions, and 0 means no limit", () => {
+  const users = ["S1", "S2", "S3", "S4"].map((id) => user(id));
+  assert.deepEqual(employeeNos(diffDeleting([student("S1"), student("S2")], users, { deleteMax: 2 }).delete), ["S3", "S4"]);
+  assert.deepEqual(employeeNos(diffDeleting([student("S1")], users, { deleteMax: 0 }).delete), ["S2", "S3", "S4"]);
+});
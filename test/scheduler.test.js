@@ -0,0 +1,112 @@
+/**
+ * test/scheduler.test.js
+ * ─────────────────────────────────────────────────────────────
+ * Cron parsing, matching and nextRun() — including schedules that
+ * can never fire and wall-clock times that DST skips or repeats.
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import { test }   from "node:test";
+import assert     from "node:assert/strict";
+import { parseCron, cronMatches, nextRun, zonedParts, startSchedule } from "../scheduler.js";
+
+/** nextRun() as an ISO string, for readable assertions. */
+const next = (expression, timeZone, from) =>
+  nextRun(parseCron(expression), timeZone, new Date(from))?.toISOString() ?? null;
+
+/* ================================================================== */
+/*  parseCron                                                           */
+/* ================================================================== */
+
+test("parseCron expands ranges, lists, steps and names", () => {
+  const s = parseCron("*/15 6-8 1,15 JAN-MAR MON-FRI");
+  assert.deepEqual([...s.minute.values],     [0, 15, 30, 45]);
+  assert.deepEqual([...s.hour.values],       [6, 7, 8]);
+  assert.deepEqual([...s.dayOfMonth.values], [1, 15]);
+  assert.deepEqual([...s.month.values],      [1, 2, 3]);
+  assert.deepEqual([...s.dayOfWeek.values],  [1, 2, 3, 4, 5]);
+  assert.equal(s.minute.wildcard, true);
+  assert.equal(s.hour.wildcard,   false);
+});
+
+test("parseCron treats weekday 7 as Sunday", () => {
+  assert.deepEqual([...parseCron("0 0 * * 7").dayOfWeek.values], [0]);
+});
+
+test("parseCron rejects malformed expressions", () => {
+  assert.throws(() => parseCron("0 0 * *"),      /must have 5 fields/);
+  assert.throws(() => parseCron("60 * * * *"),   /Invalid minute value "60"/);
+  assert.throws(() => parseCron("*/0 * * * *"),  /Invalid step "0"/);
+  assert.throws(() => parseCron("0 0 * FOO *"),  /Unknown month name "FOO"/);
+  assert.throws(() => parseCron(undefined),      /must have 5 fields/);
+});
+
+test("parseCron rejects schedules that never fire", () => {
+  assert.throws(() => parseCron("0 0 30 2 *"),    /never fires/);
+  assert.throws(() => parseCron("0 0 31 4,6 *"),  /never fires/);
+  assert.throws(() => parseCron("0 0 31 9 */2"),  /never fires/);
+});
+
+test("parseCron accepts rare but possible schedules", () => {
+  assert.doesNotThrow(() => parseCron("0 0 29 2 *"));    // leap day
+  assert.doesNotThrow(() => parseCron("0 0 31 4 MON"));  // day OR weekday — Mondays in April
+});
+
+/* ================================================================== */
+/*  cronMatches                                                         */
+/* ================================================================== */
+
+test("cronMatches ORs day-of-month and weekday when both are restricted", () => {
+  const s     = parseCron("0 8 1 * MON");
+  const parts = (iso) => zonedParts(new Date(iso), "UTC");
+
+  assert.equal(cronMatches(s, parts("2026-10-01T08:00:00Z")), true);    // the 1st, a Thursday
+  assert.equal(cronMatches(s, parts("2026-10-19T08:00:00Z")), true);    // a Monday
+  assert.equal(cronMatches(s, parts("2026-10-20T08:00:00Z")), false);   // neither
+  assert.equal(cronMatches(s, parts("2026-10-19T08:01:00Z")), false);   // wrong minute
+});
+
+test("cronMatches ANDs them when either is a wildcard", () => {
+  const s = parseCron("0 8 */2 * MON");
+  assert.equal(cronMatches(s, zonedParts(new Date("2026-10-19T08:00:00Z"), "UTC")), true);    // 19th, Monday
+  assert.equal(cronMatches(s, zonedParts(new Date("2026-10-26T08:00:00Z"), "UTC")), false);   // 26th, Monday
+});
+
+/* ================================================================== */
+/*  nextRun                                                             */
+/* ================================================================== */
+
+test("nextRun returns the next matching minute, strictly after `from`", () => {
+  assert.equal(next("*/15 * * * *", "UTC", "2026-10-19T10:07:30Z"), "2026-10-19T10:15:00.000Z");
+  assert.equal(next("*/15 * * * *", "UTC", "2026-10-19T10:15:00Z"), "2026-10-19T10:30:00.000Z");
+});
+
+test("nextRun evaluates the schedule in the configured timezone", () => {
+  // Saturday noon UTC → Monday 06:00 in Nairobi (UTC+3)
+  assert.equal(next("0 6 * * 1-5", "Africa/Nairobi", "2026-10-17T12:00:00Z"), "2026-10-19T03:00:00.000Z");
+});
+
+test("nextRun finds a leap day years ahead", () => {
+  assert.equal(next("0 0 29 2 *", "UTC", "2025-03-01T00:00:00Z"), "2028-02-29T00:00:00.000Z");
+});
+
+test("nextRun skips a wall-clock time that DST removes", () => {
+  // 02:30 does not exist in New York on 2026-03-08 — the next run is the day after (EDT)
+  assert.equal(next("30 2 * * *", "America/New_York", "2026-03-08T05:00:00Z"), "2026-03-09T06:30:00.000Z");
+});
+
+test("nextRun picks the first of a wall-clock time that DST repeats", () => {
+  // 01:30 happens twice in New York on 2026-11-01 — first in EDT (UTC-4)
+  assert.equal(next("30 1 * * *", "America/New_York", "2026-11-01T04:00:00Z"), "2026-11-01T05:30:00.000Z");
+});
+
+/* ================================================================== */
+/*  startSchedule                                                       */
+/* ================================================================== */
+
+test("startSchedule rejects an unknown timezone before arming", () => {
+  assert.throws(
+    () => startSchedule({ expression: "* * * * *", timezone: "Mars/Olympus", task: async () => {} }),
+    RangeError,
+  );
+});
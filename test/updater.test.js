@@ -0,0 +1,162 @@
+/**
+ * test/updater.test.js
+ * ─────────────────────────────────────────────────────────────
+ * End-to-end git update: an install cloned from a local bare
+ * "GitHub" remote runs the real updater.js against new commits —
+ * one that passes the smoke check and one that breaks a module and
+ * must be rolled back.
+ *
+ * The install carries a config.js that throws when imported, as a
+ * school's stale copy might: the update must not depend on it.
+ * ─────────────────────────────────────────────────────────────
+ */
+
+import { test }      from "node:test";
+import assert        from "node:assert/strict";
+import { spawnSync } from "child_process";
+import * as fs       from "fs";
+import * as net      from "net";
+import * as os       from "os";
+import * as path     from "path";
+import * as url      from "url";
+
+const ROOT = path.resolve(path.dirname(url.fileURLToPath(import.meta.url)), "..");
+const TMP  = fs.mkdtempSync(path.join(os.tmpdir(), "hik-mw-update-"));
+process.on("exit", () => fs.rmSync(TMP, { recursive: true, force: true }));
+
+/** Longest one updater run may take (it imports every module and probes the terminal). */
+const UPDATER_TIMEOUT_MS = 120_000;
+
+/* ================================================================== */
+/*  Helpers                                                             */
+/* ================================================================== */
+
+/** Run git in `cwd`, returning trimmed stdout; throws on failure. */
+function git(cwd, ...args) {
+  const res = spawnSync("git", ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args], { cwd, encoding: "utf8" });
+  if (res.error || res.status !== 0) throw new Error(`git ${args.join(" ")}: ${res.error?.message ?? res.stderr}`);
+  return res.stdout.trim();
+}
+
+/** Commit every change in `cwd` and push it to the remote. */
+function commitAndPush(cwd, message) {
+  git(cwd, "add", "-A");
+  git(cwd, "commit", "-q", "-m", message);
+  git(cwd, "push", "-q", "origin", "main");
+  return git(cwd, "rev-parse", "HEAD");
+}
+
+/** A local TCP port nothing listens on — the "powered off" terminal. */
+async function closedPort() {
+  const server = net.createServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+/** Run the install's updater.js, returning its exit code and output. */
+function runUpdater(install) {
+  const res = spawnSync(process.execPath, ["updater.js"], { cwd: install, encoding: "utf8", timeout: UPDATER_TIMEOUT_MS });
+  return { status: res.status, output: `${res.stdout}${res.stderr}`, error: res.error };
+}
+
+/** Last entry of the install's update history. */
+function lastAttempt(install) {
+  const lines = fs.readFileSync(path.join(install, "data", "update_history.log"), "utf8").trim().split("\n");
+  return JSON.parse(lines.at(-1));
+}
+
+/* ================================================================== */
+/*  Fixture                                                             */
+/* ================================================================== */
+
+const gitMissing = spawnSync("git", ["--version"]).status !== 0;
+const notCheckout = gitMissing || spawnSync("git", ["rev-parse", "--is-inside-work-tree"], { cwd: ROOT }).status !== 0;
+
+/**
+ * Publish this tree as v1 on a bare remote and clone an install from
+ * it, set up the way a school's would be.
+ *
+ * @returns {Promise<{ dev: string, install: string, v1: string }>}
+ */
+async function setUp() {
+  const dev     = path.join(TMP, "dev");
+  const remote  = path.join(TMP, "remote.git");
+  const install = path.join(TMP, "install");
+
+  // v1 — the tracked files of this checkout
+  for (const file of git(ROOT, "ls-files").split("\n").filter(Boolean)) {
+    fs.mkdirSync(path.dirname(path.join(dev, file)), { recursive: true });
+    fs.copyFileSync(path.join(ROOT, file), path.join(dev, file));
+  }
+  git(TMP, "init", "-q", "-b", "main", dev);
+  git(dev, "add", "-A");
+  git(dev, "commit", "-q", "-m", "v1");
+  git(TMP, "clone", "-q", "--bare", dev, remote);
+  git(dev, "remote", "add", "origin", remote);
+  git(TMP, "clone", "-q", remote, install);
+
+  // The school's side: .env, a stale config.js, dependencies
+  fs.writeFileSync(path.join(install, ".env"), [
+    "TERMINAL_HOST=127.0.0.1",
+    `TERMINAL_PORT=${await closedPort()}`,
+    "TERMINAL_USERNAME=admin",
+    "TERMINAL_PASSWORD=test-password",
+    "TERMINAL_DEVICE_NAME=TEST-TERMINAL",
+    "SCHOOL_CODE=TEST",
+    "CLOUD_API_BASE_URL=http://127.0.0.1:9",
+    "CLOUD_API_KEY=test-key",
+    "GITHUB_BRANCH=main",
+    "UPDATE_CHANNEL=beta",
+    "UPDATE_METHOD=git",
+    "",
+  ].join("\n"));
+  fs.writeFileSync(path.join(install, "config.js"), 'throw new Error("stale config.js was imported");\n');
+  fs.symlinkSync(path.join(ROOT, "node_modules"), path.join(install, "node_modules"), "dir");
+  fs.appendFileSync(path.join(install, ".git", "info", "exclude"), "node_modules\n");
+
+  return { dev, install, v1: git(install, "rev-parse", "HEAD") };
+}
+
+/* ================================================================== */
+/*  Tests                                                               */
+/* ================================================================== */
+
+test("an install updates to a good commit and rolls back a broken one", { skip: notCheckout && "needs git and a git checkout" }, async () => {
+  const { dev, install, v1 } = await setUp();
+
+  // ── A good update: pulled, smoke-checked, kept ──────────────────
+  fs.appendFileSync(path.join(dev, "syncRunner.js"), "\n// v2\n");
+  const v2 = commitAndPush(dev, "v2");
+
+  let run = runUpdater(install);
+  assert.equal(run.error, undefined);
+  assert.equal(run.status, 0, run.output);
+  assert.match(run.output, /Smoke check passed/);
+  assert.match(run.output, /is not reachable \(ECONNREFUSED\) — not counted against the update/);
+  assert.equal(git(install, "rev-parse", "HEAD"), v2);
+  assert.deepEqual(
+    [lastAttempt(install).status, lastAttempt(install).from, lastAttempt(install).to],
+    ["updated", v1, v2],
+  );
+
+  // ── A broken update: pulled, fails the smoke check, rolled back ─
+  fs.appendFileSync(path.join(dev, "syncRunner.js"), "\nexport const = ;\n");
+  const v3 = commitAndPush(dev, "v3 — broken");
+
+  run = runUpdater(install);
+  assert.equal(run.error, undefined);
+  assert.equal(run.status, 1, run.output);
+  assert.match(run.output, /import \.\/syncRunner\.js: /);
+  assert.match(run.output, /rolled back \(smoke check failed\)/);
+  assert.equal(git(install, "rev-parse", "HEAD"), v2);
+  assert.deepEqual(
+    [lastAttempt(install).status, lastAttempt(install).from, lastAttempt(install).to],
+    ["rolled-back", v2, v3],
+  );
+
+  // The school's files survive both runs
+  assert.match(fs.readFileSync(path.join(install, "config.js"), "utf8"), /stale config\.js/);
+  assert.match(fs.readFileSync(path.join(install, ".env"), "utf8"), /^TERMINAL_HOST=127\.0\.0\.1$/m);
+});
@@ -3,27 +3,50 @@
  * ─────────────────────────────────────────────────────────────
  * Standalone GitHub Auto-Updater
  *
- * Completely independent — does NOT import anything from the
- * rest of the middleware. Safe to run at any time without
- * affecting the running application.
+ * Independent of the sync pipeline — only configLoader.js, logger.js and
+ * releaseArchive.js are shared with the middleware. Safe to run at
+ * any time without affecting the running application. Logs to
+ * LOG_DIR/updater.log.
+ *
+ * Two ways to update (UPDATE_METHOD, default auto — git when this
+ * directory is a clone, archives otherwise):
+ *   git      fetch and pull / check out a tag, as below
+ *   archive  for installs from a zip: download a release archive from
+ *            UPDATE_ARCHIVE_SOURCE, verify its SHA-256 (and signature),
+ *            swap the code in place keeping .env, config.js, data/ and
+ *            logs/, then the same npm install, smoke check and rollback
  *
  * What it does:
- *   1. Checks if the local code is behind GitHub
- *   2. Shows exactly which files changed
- *   3. Pulls the latest code
+ *   1. Works out the target for UPDATE_CHANNEL:
+ *        stable → the newest release tag (vX.Y.Z, no pre-releases)
+ *        beta   → the tip of GITHUB_BRANCH
+ *      or exactly UPDATE_PIN_VERSION when one is set
+ *   2. Shows exactly which files and commits change
+ *   3. Records the current commit, then moves to the target — a pull
+ *      for beta, a reset to the tag for a release
  *   4. Runs npm install if package.json changed
- *   5. Reports the commits that were applied
+ *   5. Runs smokeCheck.js on the new code (config, module imports,
+ *      read-only terminal probe) in a fresh process
+ *   6. If the install or smoke check fails → git reset back to the
+ *      recorded commit and reinstall dependencies, so the school
+ *      keeps syncing on the last working version
+ *   7. Reports the commits that were applied, and appends the attempt
+ *      to UPDATE_HISTORY_PATH (one JSON line per attempt)
  *
  * Usage:
  *   node updater.js                 — check and update if behind
  *   node updater.js --check         — check only, do not pull
  *   node updater.js --force         — pull even if up to date
- *   node updater.js --branch main   — specify branch (default: main)
+ *   node updater.js --list          — list releases with their changelog
+ *   node updater.js --channel beta  — override UPDATE_CHANNEL for this run
+ *   node updater.js --pin v1.4.2    — move to that release (overrides UPDATE_PIN_VERSION)
+ *   node updater.js --branch main   — branch for the beta channel (default: GITHUB_BRANCH)
+ *   node updater.js --method archive — override UPDATE_METHOD for this run
  *
  * Prerequisites:
- *   • Git installed and available in PATH
- *   • Project is a Git repo connected to a GitHub remote
- *   • No other dependencies needed — uses Node built-ins only
+ *   • git: Git in PATH, and the project a clone of the GitHub repo
+ *   • archive: `tar` in PATH (built into Windows 10+, Linux, macOS)
+ *   • The project's npm dependencies installed (npm install)
  * ─────────────────────────────────────────────────────────────
  */
 
@@ -31,15 +54,33 @@ import { execSync, spawnSync } from "child_process";
 import * as fs                 from "fs";
 import * as path               from "path";
 import * as url                from "url";
-import config                  from "./config.js";
+import config                  from "./configLoader.js";
+import { createLogger, useLogFile,
+         newRunId, withRunId,
+         currentRunId }        from "./logger.js";
+import { readManifest, downloadRelease,
+         extractArchive, swapIn,
+         restoreBackup,
+         dependenciesChanged } from "./releaseArchive.js";
+import { redactUrl }           from "./configSchema.js";
 
 /* ================================================================== */
 /*  Project root                                                        */
 /* ================================================================== */
 
-const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
-const ROOT      = __dirname;
-const PKG_PATH  = path.join(ROOT, "package.json");
+const __dirname   = path.dirname(url.fileURLToPath(import.meta.url));
+const ROOT        = __dirname;
+const PKG_PATH    = path.join(ROOT, "package.json");
+const SMOKE_CHECK = path.join(ROOT, "smokeCheck.js");
+
+// Archive updates work in here (same disk, so the swap is renames only):
+//   download/  new/  – this run's archive and what it unpacked to
+//   backup/          – what this run replaced, until it succeeds
+//   previous/        – what the last successful update replaced, kept
+//                      until the next one for a rollback by hand
+const STAGING        = path.join(ROOT, ".update");
+// Which archive release is installed — a zip install has no git to ask
+const RELEASE_MARKER = path.join(ROOT, "data", "installed_release.json");
 
 /* ================================================================== */
 /*  CLI flags                                                           */
@@ -48,23 +89,39 @@ const PKG_PATH  = path.join(ROOT, "package.json");
 const args       = process.argv.slice(2);
 const CHECK_ONLY = args.includes("--check");
 const FORCE      = args.includes("--force");
-const branchFlag = args.indexOf("--branch");
+const LIST       = args.includes("--list");
+
+/** Value following `--name`, or undefined. */
+function flagValue(name) {
+  const i = args.indexOf(name);
+  return i !== -1 && args[i + 1] && !args[i + 1].startsWith("--") ? args[i + 1] : undefined;
+}
+
+// Each: CLI flag > .env (configLoader.js) > fallback
+const BRANCH     = flagValue("--branch")  ?? config.github?.branch  ?? "main";
+const CHANNEL    = flagValue("--channel") ?? config.github?.channel ?? "beta";
+const PIN        = flagValue("--pin")     ?? (config.github?.pinVersion || null);
+const METHOD     = flagValue("--method")  ?? config.github?.method  ?? "auto";
 
-// Branch: CLI flag > config.js (GITHUB_BRANCH in .env) > fallback "main"
-const BRANCH     = branchFlag !== -1 && args[branchFlag + 1]
-  ? args[branchFlag + 1]
-  : (config.github?.branch ?? "main");
+/** Channels UPDATE_CHANNEL / --channel accept. */
+const CHANNELS   = ["stable", "beta"];
+/** Methods UPDATE_METHOD / --method accept. */
+const METHODS    = ["auto", "git", "archive"];
 
 /* ================================================================== */
-/*  Console helpers                                                     */
+/*  Console / log-file helpers                                          */
 /* ================================================================== */
 
-const log   = (msg) => console.log(msg);
-const ok    = (msg) => console.log(`  ✔  ${msg}`);
-const warn  = (msg) => console.warn(`  ⚠  ${msg}`);
-const fail  = (msg) => console.error(`  ✖  ${msg}`);
-const info  = (msg) => console.log(`  ${msg}`);
-const step  = (msg) => console.log(`\n▶ ${msg}`);
+// Own file, so the updater never rotates the running daemon's log
+useLogFile("updater.log");
+const logger = createLogger("updater");
+
+const log   = (msg) => logger.info(msg);
+const ok    = (msg) => logger.info(`  ✔  ${msg}`);
+const warn  = (msg) => logger.warn(`  ⚠  ${msg}`);
+const fail  = (msg) => logger.error(`  ✖  ${msg}`);
+const info  = (msg) => logger.info(`  ${msg}`);
+const step  = (msg) => logger.info(`\n▶ ${msg}`);
 
 /* ================================================================== */
 /*  Shell helpers                                                       */
@@ -118,27 +175,47 @@ function getRemoteName()         {
   catch { return "origin"; }
 }
 
+// --force: a release tag moved on the remote replaces the local one
 function fetchRemote(remote, branch) {
-  run(`git fetch ${remote} ${branch} --quiet`);
+  run(`git fetch ${remote} ${branch} --tags --force --quiet`);
+}
+
+function getRemoteCommit(ref) {
+  return run(`git rev-parse --short ${ref}^{commit}`);
+}
+
+function getCommitFull(ref) {
+  return run(`git rev-parse ${ref}^{commit}`);
 }
 
-function getRemoteCommit(remote, branch) {
-  return run(`git rev-parse --short ${remote}/${branch}`);
+function getCommitsBehind(ref) {
+  const count = run(`git rev-list HEAD..${ref} --count`);
+  return parseInt(count, 10) || 0;
 }
 
-function getCommitsBehind(remote, branch) {
-  const count = run(`git rev-list HEAD..${remote}/${branch} --count`);
+function getCommitsAhead(ref) {
+  const count = run(`git rev-list ${ref}..HEAD --count`);
   return parseInt(count, 10) || 0;
 }
 
-function getChangedFiles(remote, branch) {
-  const out = run(`git diff --name-only HEAD ${remote}/${branch}`);
+/** True when `ref` is already contained in HEAD (HEAD is at or past it). */
+function isInHead(ref) {
+  try { run(`git merge-base --is-ancestor ${ref} HEAD`); return true; }
+  catch { return false; }
+}
+
+function hasLocalChanges() {
+  return run("git status --porcelain --untracked-files=no") !== "";
+}
+
+function getChangedFiles(ref) {
+  const out = run(`git diff --name-only HEAD ${ref}`);
   return out ? out.split("\n").filter(Boolean) : [];
 }
 
-function getCommitLog(fromCommit, remote, branch) {
+function getCommitLog(from, to) {
   try {
-    return run(`git log ${fromCommit}..${remote}/${branch} --oneline`);
+    return run(`git log ${from}..${to} --oneline`);
   } catch {
     return "";
   }
@@ -152,6 +229,523 @@ function readPackageJson() {
   return fs.existsSync(PKG_PATH) ? fs.readFileSync(PKG_PATH, "utf8") : "";
 }
 
+/* ================================================================== */
+/*  Releases                                                            */
+/* ================================================================== */
+
+/**
+ * "v1.4.2" / "1.5.0-rc.1" → its parts; null for any other tag.
+ *
+ * @param {string} tag
+ * @returns {Version|null}
+ */
+function parseVersion(tag) {
+  const m = tag.match(/^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?$/);
+  if (!m) return null;
+  return { tag, major: +m[1], minor: +m[2], patch: +m[3], pre: m[4] ?? null };
+}
+
+/** Semver order; a pre-release sorts before its release. */
+function compareVersions(a, b) {
+  return a.major - b.major || a.minor - b.minor || a.patch - b.patch ||
+    (a.pre === b.pre ? 0
+      : a.pre === null ? 1
+      : b.pre === null ? -1
+      : a.pre.localeCompare(b.pre, "en", { numeric: true }));
+}
+
+/**
+ * Every release tag fetched, oldest first. Other tags are ignored.
+ *
+ * @returns {Version[]}
+ */
+function listVersions() {
+  const out = run("git tag --list");
+  return (out ? out.split("\n") : [])
+    .map((t) => parseVersion(t.trim()))
+    .filter(Boolean)
+    .sort(compareVersions);
+}
+
+/**
+ * The release HEAD sits on exactly, or null for an untagged commit.
+ *
+ * @param {Version[]} versions
+ * @returns {Version|null}
+ */
+function getInstalledVersion(versions) {
+  const head = getLocalCommitFull();
+  return versions.filter((v) => getCommitFull(`refs/tags/${v.tag}`) === head).at(-1) ?? null;
+}
+
+/**
+ * The release a run installs: exactly the pinned one, else the newest
+ * — leaving pre-releases out on the stable channel.
+ *
+ * @param {Version[]} versions – oldest first
+ * @param {string}    where    – for the error, e.g. "on origin"
+ * @returns {Version|null} null when there is no release to pick
+ */
+function pickVersion(versions, where) {
+  if (PIN) {
+    const wanted  = parseVersion(PIN);
+    const version = wanted && versions.find((v) => compareVersions(v, wanted) === 0);
+    if (!version) {
+      const err = new Error(`Release "${PIN}" was not found ${where} — see  node updater.js --list`);
+      err.code = "VERSION_NOT_FOUND";
+      throw err;
+    }
+    return version;
+  }
+  return versions.filter((v) => CHANNEL !== "stable" || v.pre === null).at(-1) ?? null;
+}
+
+/**
+ * What a git run moves to: the pinned release, the newest stable
+ * release, or the tip of the beta branch.
+ *
+ * @param {string}    remote
+ * @param {Version[]} versions
+ * @returns {UpdateTarget|null} null when the stable channel has no release yet
+ */
+function resolveTarget(remote, versions) {
+  if (CHANNEL === "beta" && !PIN) {
+    return { label: `${remote}/${BRANCH}`, ref: `${remote}/${BRANCH}`, version: null, pinned: false };
+  }
+
+  const version = pickVersion(versions, `on ${remote}`);
+  return version
+    ? { label: version.tag, ref: `refs/tags/${version.tag}`, version, pinned: Boolean(PIN) }
+    : null;
+}
+
+/**
+ * Move the working tree to a release tag. A reset rather than a pull:
+ * it works in both directions (a pin may go back) and leaves no merge
+ * commit. Refuses when tracked files were edited, as a pull would.
+ *
+ * @param {Version} version
+ * @returns {number} exit code
+ */
+function checkOutVersion(version) {
+  if (hasLocalChanges()) {
+    fail("You have local uncommitted changes — a release checkout would discard them.");
+    return 1;
+  }
+  return runVisible("git", ["reset", "--hard", `refs/tags/${version.tag}`]);
+}
+
+/**
+ * --list: every release, newest first, with the commits it added since
+ * the release before it — for a stable release, the stable release
+ * before it, so the pre-releases' changes are not lost — then what the
+ * beta branch has on top.
+ *
+ * @param {string}       remote
+ * @param {Version[]}    versions
+ * @param {Version|null} installed
+ * @param {UpdateTarget|null} target
+ */
+function printVersions(remote, versions, installed, target) {
+  const latestStable = versions.filter((v) => v.pre === null).at(-1);
+
+  step(`Releases on ${remote} (channel: ${CHANNEL}${PIN ? `, pinned to ${PIN}` : ""})`);
+  if (versions.length === 0) {
+    info("No release tags yet — tag one with:  git tag v1.0.0 && git push --tags");
+  }
+
+  versions.slice().reverse().forEach((v) => {
+    const previous = versions.slice(0, versions.indexOf(v)).filter((p) => v.pre !== null || p.pre === null).at(-1);
+    const marks = [
+      v === installed        && "installed",
+      v === latestStable     && "latest stable",
+      v.pre !== null         && "pre-release",
+      v === target?.version  && (target.pinned ? "pinned" : "target"),
+    ].filter(Boolean);
+
+    log("");
+    info(`${v.tag.padEnd(14)} ${run(`git log -1 --format=%cs refs/tags/${v.tag}`)}${marks.length ? `   ← ${marks.join(", ")}` : ""}`);
+
+    if (!previous) {
+      info("    (first release)");
+      return;
+    }
+    const changelog = getCommitLog(`refs/tags/${previous.tag}`, `refs/tags/${v.tag}`);
+    if (changelog) changelog.split("\n").forEach((l) => info(`    ${l}`));
+  });
+
+  const newest = versions.at(-1);
+  const beta   = getCommitLog(newest ? `refs/tags/${newest.tag}` : "HEAD", `${remote}/${BRANCH}`);
+  log("");
+  info(`${remote}/${BRANCH} (beta): ${beta ? beta.split("\n").length : 0} commit(s) after ${newest?.tag ?? "HEAD"}`);
+  if (beta) beta.split("\n").forEach((l) => info(`    ${l}`));
+  log("");
+}
+
+/* ================================================================== */
+/*  Smoke check & rollback                                              */
+/* ================================================================== */
+
+/**
+ * Run smokeCheck.js from the freshly pulled tree in its own process —
+ * this process still has the old modules loaded.
+ *
+ * @returns {{ passed: boolean, output: string[] }}
+ */
+function runSmokeCheck() {
+  if (!fs.existsSync(SMOKE_CHECK)) {
+    warn("smokeCheck.js is missing from the new version — skipping the smoke check.");
+    return { passed: true, output: [] };
+  }
+
+  const res = spawnSync(process.execPath, [SMOKE_CHECK], {
+    cwd     : ROOT,
+    encoding: "utf8",
+    timeout : config.github.smokeTimeoutMs,
+  });
+
+  const output = `${res.stdout ?? ""}${res.stderr ?? ""}`.split("\n").filter((l) => l.trim());
+  output.forEach((l) => log(l));
+
+  if (res.error) {
+    const reason = res.error.code === "ETIMEDOUT"
+      ? `did not finish within ${config.github.smokeTimeoutMs}ms`
+      : res.error.message;
+    output.push(`smoke check ${reason}`);
+    fail(`Smoke check ${reason}.`);
+    return { passed: false, output };
+  }
+  return { passed: res.status === 0, output };
+}
+
+/**
+ * Put the previous code back and reinstall dependencies when they
+ * changed.
+ *
+ * @param {string}     label       – previous version, for the log
+ * @param {() => void} restoreCode – throws when the code could not be restored
+ * @param {boolean}    reinstall
+ * @returns {boolean} true when the previous version is fully restored
+ */
+function rollBack(label, restoreCode, reinstall) {
+  step(`Rolling back to ${label} …`);
+  try {
+    restoreCode();
+  } catch (err) {
+    fail(`Restoring the code failed: ${err.message}`);
+    return false;
+  }
+  ok(`Code restored to ${label}.`);
+
+  if (reinstall) {
+    info("Reinstalling the previous dependencies …");
+    if (runVisible("npm", ["install"]) !== 0) {
+      fail("npm install failed — run it manually to restore the previous dependencies.");
+      return false;
+    }
+    ok("Dependencies restored.");
+  }
+  return true;
+}
+
+/**
+ * Append one update attempt to UPDATE_HISTORY_PATH. A failed write is
+ * reported, never thrown.
+ *
+ * @param {UpdateAttempt} attempt
+ */
+function recordAttempt(attempt) {
+  const file = path.resolve(config.github.historyPath);
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(
+      file,
+      `${JSON.stringify({ ts: new Date().toISOString(), runId: currentRunId(), ...attempt })}\n`,
+      "utf8"
+    );
+  } catch (err) {
+    warn(`Could not write the update history (${file}): ${err.message}`);
+  }
+}
+
+/* ================================================================== */
+/*  Archive updates                                                     */
+/* ================================================================== */
+
+/** @returns {{ version: string, sha256: string, installedAt: string }|null} */
+function readInstalledRelease() {
+  try {
+    return JSON.parse(fs.readFileSync(RELEASE_MARKER, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} version
+ * @param {string} sha256 – of the archive installed
+ */
+function writeInstalledRelease(version, sha256) {
+  try {
+    fs.mkdirSync(path.dirname(RELEASE_MARKER), { recursive: true });
+    fs.writeFileSync(RELEASE_MARKER, `${JSON.stringify({ version, sha256, installedAt: new Date().toISOString() }, null, 2)}\n`, "utf8");
+  } catch (err) {
+    warn(`Could not record the installed release (${RELEASE_MARKER}): ${err.message}`);
+  }
+}
+
+/**
+ * --list for archive installs: every published release, newest first,
+ * with its notes from releases.json.
+ *
+ * @param {Version[]}     versions
+ * @param {Map<string, import("./releaseArchive.js").ArchiveRelease>} byTag
+ * @param {Version|null}  installed
+ * @param {Version|null}  target
+ */
+function printArchiveReleases(versions, byTag, installed, target) {
+  const latestStable = versions.filter((v) => v.pre === null).at(-1);
+
+  step(`Releases at ${redactUrl(config.github.archiveSource)} (channel: ${CHANNEL}${PIN ? `, pinned to ${PIN}` : ""})`);
+  if (versions.length === 0) info("No releases published yet.");
+
+  versions.slice().reverse().forEach((v) => {
+    const marks = [
+      installed && compareVersions(v, installed) === 0 && "installed",
+      v === latestStable && "latest stable",
+      v.pre !== null     && "pre-release",
+      v === target       && (PIN ? "pinned" : "target"),
+    ].filter(Boolean);
+
+    log("");
+    info(`${v.tag.padEnd(14)} ${byTag.get(v.tag).file}${marks.length ? `   ← ${marks.join(", ")}` : ""}`);
+    (byTag.get(v.tag).notes ?? []).forEach((n) => info(`    • ${n}`));
+  });
+  log("");
+}
+
+/**
+ * Update an install that has no git: pick a release from the archive
+ * source by channel / pin, verify and unpack it, swap it in, then the
+ * same npm install, smoke check and rollback as a git update.
+ */
+async function updateFromArchive() {
+  const source = config.github.archiveSource;
+  const shown  = redactUrl(source);   // a URL may carry a token
+  if (!source) {
+    fail("UPDATE_METHOD is archive, but UPDATE_ARCHIVE_SOURCE is not set in .env");
+    process.exit(1);
+  }
+
+  /* ── 1. Read the release list ────────────────────────────────── */
+  const installedRelease = readInstalledRelease();
+  const installed        = installedRelease && parseVersion(installedRelease.version);
+
+  step("Checking for updates …");
+  info(`Install    : ${ROOT}  (from a release archive)`);
+  info(`Source     : ${shown}`);
+  info(`Channel    : ${CHANNEL}${PIN ? `  — pinned to ${PIN}` : ""}`);
+  info(`Installed  : ${installed?.tag ?? "unknown — no release installed by the updater yet"}`);
+
+  let releases;
+  try {
+    releases = await readManifest(source);
+  } catch (err) {
+    fail(`Could not read the release list: ${err.message}`);
+    process.exit(1);
+  }
+
+  const byTag    = new Map(releases.map((r) => [r.version, r]));
+  const versions = releases.map((r) => parseVersion(r.version)).filter(Boolean).sort(compareVersions);
+
+  let target;
+  try {
+    target = pickVersion(versions, `at ${shown}`);
+  } catch (err) {
+    if (err.code !== "VERSION_NOT_FOUND") throw err;
+    if (!LIST) {
+      fail(err.message);
+      process.exit(1);
+    }
+    warn(err.message);
+    target = null;
+  }
+
+  if (LIST) {
+    printArchiveReleases(versions, byTag, installed, target);
+    process.exit(0);
+  }
+
+  if (!target) {
+    log("");
+    warn(`${shown} lists no ${CHANNEL === "stable" ? "stable " : ""}release — this install is NOT being updated.`);
+    log("");
+    process.exit(0);
+  }
+
+  const release = byTag.get(target.tag);
+  info(`Target     : ${target.tag}  (${release.file})`);
+
+  /* ── 2. Compare ──────────────────────────────────────────────── */
+  // Unknown installed version (installed by hand) → take the target
+  const order = installed ? compareVersions(target, installed) : 1;
+
+  if ((order === 0 || (order < 0 && !PIN)) && !FORCE) {
+    log("");
+    if (order === 0) {
+      ok(`Already up to date with ${target.tag}`);
+    } else {
+      ok(`Already ahead of ${target.tag} — staying on ${installed.tag} until a newer release is published.`);
+    }
+    log("");
+    process.exit(0);
+  }
+
+  /* ── 3. Show what changes ────────────────────────────────────── */
+  log("");
+  if (order < 0) {
+    info(`📦  Moving back to ${target.tag} from ${installed.tag}`);
+  } else {
+    info(`📦  ${target.tag} available${installed ? ` (installed: ${installed.tag})` : ""}`);
+    // Notes of every release since the installed one, newest first
+    versions
+      .filter((v) => installed ? compareVersions(v, target) <= 0 && compareVersions(v, installed) > 0 : v === target)
+      .reverse()
+      .forEach((v) => {
+        const notes = byTag.get(v.tag).notes ?? [];
+        if (notes.length === 0) return;
+        log("");
+        info(`${v.tag}:`);
+        notes.forEach((n) => info(`    • ${n}`));
+      });
+  }
+
+  /* ── 4. Stop here if --check only ────────────────────────────── */
+  if (CHECK_ONLY) {
+    log("");
+    info("Run  node updater.js  without --check to apply the update.");
+    log("");
+    process.exit(0);
+  }
+
+  const attempt = {
+    method : "archive",
+    channel: CHANNEL,
+    branch : null,
+    version: target.tag,
+    from   : installed?.tag ?? null,
+  };
+
+  const downloadDir = path.join(STAGING, "download");
+  const unpackDir   = path.join(STAGING, "new");
+  const backupDir   = path.join(STAGING, "backup");
+  const previousDir = path.join(STAGING, "previous");
+  const clearWork   = () => [downloadDir, unpackDir].forEach((d) => fs.rmSync(d, { recursive: true, force: true }));
+
+  // Left behind only by a crash mid-swap — it may hold the only copy
+  if (fs.existsSync(backupDir)) {
+    fail(`An earlier update was interrupted — the code it replaced is in ${backupDir}.`);
+    info("Move its contents back into the install folder, delete it, then run the updater again.");
+    process.exit(1);
+  }
+
+  /* ── 5. Download, verify and unpack ──────────────────────────── */
+  step(`Downloading ${release.file} …`);
+  clearWork();
+
+  let download, newRoot;
+  try {
+    download = await downloadRelease(source, release, downloadDir, config.github.archiveKey || undefined);
+    ok(`SHA-256 verified${download.signed ? ", signature verified" : " (unsigned — no UPDATE_ARCHIVE_PUBLIC_KEY)"}.`);
+    newRoot = extractArchive(download.file, unpackDir);
+  } catch (err) {
+    fail(err.message);
+    recordAttempt({ ...attempt, to: null, status: "download-failed", reason: err.message });
+    clearWork();
+    info("Nothing was changed.");
+    process.exit(1);
+  }
+
+  /* ── 6. Swap the code in ─────────────────────────────────────── */
+  const reinstall = dependenciesChanged(ROOT, newRoot);
+  const previous  = installed?.tag ?? "the previous code";
+
+  step(`Installing ${target.tag} …`);
+  let swapped;
+  try {
+    swapped = swapIn(ROOT, newRoot, backupDir);
+  } catch (err) {
+    fail(`Could not swap the code in: ${err.message} — the previous code was put back.`);
+    recordAttempt({ ...attempt, to: target.tag, status: "rolled-back", reason: `swap failed: ${err.message}` });
+    fs.rmSync(backupDir, { recursive: true, force: true });
+    clearWork();
+    process.exit(1);
+  }
+  ok(`Code updated successfully — ${swapped.length} entries replaced, everything else kept.`);
+
+  /** Undo the update, log the attempt and exit non-zero. */
+  const abandon = (status, reason, output = []) => {
+    const restored = rollBack(previous, () => restoreBackup(ROOT, backupDir, swapped), reinstall);
+    recordAttempt({ ...attempt, to: target.tag, status: restored ? status : "rollback-failed", reason, output });
+    log("");
+    if (restored) {
+      fs.rmSync(backupDir, { recursive: true, force: true });
+      clearWork();
+      fail(`Update to ${target.tag} rolled back (${reason}). Still running ${previous}.`);
+    } else {
+      fail(`Update to ${target.tag} failed (${reason}) and could not be fully rolled back.`);
+      info(`The previous code is in ${backupDir} — move it back by hand, then run npm install.`);
+    }
+    log("");
+    process.exit(1);
+  };
+
+  /* ── 7. Reinstall dependencies if the lock file changed ──────── */
+  if (reinstall) {
+    step("Lock file changed — reinstalling dependencies …");
+    log("");
+
+    const installCode = runVisible("npm", ["install"]);
+
+    if (installCode !== 0) {
+      log("");
+      fail("npm install failed.");
+      abandon("rolled-back", `npm install exit code ${installCode}`);
+    }
+
+    log("");
+    ok("Dependencies reinstalled.");
+  }
+
+  /* ── 8. Smoke check the new version ──────────────────────────── */
+  step("Running the post-update smoke check …");
+  const smoke = runSmokeCheck();
+  if (!smoke.passed) {
+    fail("The new version failed its smoke check.");
+    abandon("rolled-back", "smoke check failed", smoke.output);
+  }
+
+  writeInstalledRelease(target.tag, download.sha256);
+  recordAttempt({ ...attempt, to: target.tag, status: "updated", reason: null, output: smoke.output });
+  fs.rmSync(previousDir, { recursive: true, force: true });
+  fs.renameSync(backupDir, previousDir);
+  clearWork();
+
+  /* ── 9. Summary ──────────────────────────────────────────────── */
+  log("");
+  log("═══════════════════════════════════════════════════════");
+  log("  Update Complete");
+  log("═══════════════════════════════════════════════════════");
+  info(`Was  : ${previous}`);
+  info(`Now  : ${target.tag}`);
+  if (reinstall) info("Deps : reinstalled");
+  info(`Kept : the replaced code, in ${previousDir}, until the next update`);
+  log("");
+  ok("Restart the middleware to apply changes:");
+  info("  node index.js");
+  log("");
+}
+
 /* ================================================================== */
 /*  Main                                                                */
 /* ================================================================== */
@@ -161,67 +755,125 @@ async function main() {
   log("  Middleware – GitHub Auto-Updater (Standalone)");
   log("═══════════════════════════════════════════════════════");
 
+  if (!CHANNELS.includes(CHANNEL)) {
+    fail(`Unknown channel "${CHANNEL}" — use one of: ${CHANNELS.join(", ")}`);
+    process.exit(1);
+  }
+  if (!METHODS.includes(METHOD)) {
+    fail(`Unknown method "${METHOD}" — use one of: ${METHODS.join(", ")}`);
+    process.exit(1);
+  }
+
+  // Installs from a zip have no git — they update from release archives
+  if (METHOD === "archive" || (METHOD === "auto" && config.github.archiveSource && !isGitRepo())) {
+    return updateFromArchive();
+  }
+
   /* ── 1. Verify this is a Git repo ────────────────────────────── */
   if (!isGitRepo()) {
     fail("This directory is not a Git repository.");
     info("Run:  git init");
     info("Then: git remote add origin https://github.com/yourname/yourrepo.git");
+    info("Or, to update from release archives, set UPDATE_ARCHIVE_SOURCE in .env");
     process.exit(1);
   }
 
   /* ── 2. Gather repo state ────────────────────────────────────── */
+
   const remote       = getRemoteName().split("\n")[0].trim() || "origin";
   const localBranch  = getCurrentBranch();
-  const targetBranch = BRANCH;
   const localCommit  = getLocalCommit();
   const localFull    = getLocalCommitFull();
 
   step("Checking for updates …");
   info(`Repository : ${ROOT}`);
   info(`Remote     : ${remote}`);
-  info(`Branch     : ${localBranch}  (tracking: ${remote}/${targetBranch})`);
+  info(`Branch     : ${localBranch}`);
+  info(`Channel    : ${CHANNEL}${CHANNEL === "beta" ? `  (tracking: ${remote}/${BRANCH})` : ""}${PIN ? `  — pinned to ${PIN}` : ""}`);
   info(`Local HEAD : ${localCommit}`);
 
   /* ── 3. Fetch from GitHub ────────────────────────────────────── */
   try {
-    info(`Fetching from ${remote}/${targetBranch} …`);
-    fetchRemote(remote, targetBranch);
+    info(`Fetching ${remote}/${BRANCH} and release tags …`);
+    fetchRemote(remote, BRANCH);
   } catch (err) {
-    fail(`Could not reach GitHub: ${err.message}`);
+    fail(`Could not reach GitHub: ${redactUrl(err.message)}`);
     info("Check your internet connection and GitHub remote URL:");
     info(`  git remote -v`);
     process.exit(1);
   }
 
-  const remoteCommit = getRemoteCommit(remote, targetBranch);
-  info(`Remote HEAD: ${remoteCommit}`);
+  const versions  = listVersions();
+  const installed = getInstalledVersion(versions);
+  info(`Installed  : ${installed?.tag ?? "untagged"}`);
+
+  let target;
+  try {
+    target = resolveTarget(remote, versions);
+  } catch (err) {
+    if (err.code !== "VERSION_NOT_FOUND") throw err;
+    if (!LIST) {
+      fail(err.message);
+      process.exit(1);
+    }
+    warn(err.message);
+    target = null;
+  }
+
+  if (LIST) {
+    printVersions(remote, versions, installed, target);
+    process.exit(0);
+  }
+
+  // Not an error, but this school is getting no updates at all
+  if (!target) {
+    log("");
+    warn(`UPDATE_CHANNEL is stable, but ${remote} has no release tag (vX.Y.Z) — this install is NOT being updated.`);
+    info(`Tag a release (git tag v1.0.0 && git push --tags), or set UPDATE_CHANNEL=beta to follow ${BRANCH}.`);
+    log("");
+    process.exit(0);
+  }
+
+  const targetFull = getCommitFull(target.ref);
+  info(`Target     : ${target.label}  (${getRemoteCommit(target.ref)})`);
 
   /* ── 4. Compare ──────────────────────────────────────────────── */
-  const behind = getCommitsBehind(remote, targetBranch);
+  const behind    = getCommitsBehind(target.ref);
+  const upToDate  = target.version ? targetFull === localFull : behind === 0;
+  // Only an explicit pin moves back; stable waits for a newer release
+  const downgrade = !upToDate && isInHead(target.ref);
 
-  if (behind === 0 && !FORCE) {
+  if ((upToDate || (downgrade && !target.pinned)) && !FORCE) {
     log("");
-    ok(`Already up to date with ${remote}/${targetBranch}`);
+    if (upToDate) {
+      ok(`Already up to date with ${target.label}`);
+    } else {
+      ok(`Already ahead of ${target.label} — staying on ${localCommit} until a newer release is tagged.`);
+    }
     log("");
     process.exit(0);
   }
 
   /* ── 5. Show what changed ────────────────────────────────────── */
   log("");
-  info(`📦  ${behind} new commit(s) available on ${remote}/${targetBranch}`);
+  if (downgrade) {
+    info(`📦  Moving back to ${target.label} — ${getCommitsAhead(target.ref)} commit(s) will be removed`);
+  } else {
+    info(`📦  ${behind} new commit(s) available on ${target.label}`);
+  }
 
-  const changed = getChangedFiles(remote, targetBranch);
+  const changed = getChangedFiles(target.ref);
   if (changed.length > 0) {
     log("");
     info("Files that will be updated:");
     changed.forEach((f) => info(`    • ${f}`));
   }
 
-  // Show the incoming commit messages
-  const commitLog = getCommitLog(localFull, remote, targetBranch);
+  // Show the incoming (or, going back, the removed) commit messages
+  const commitLog = downgrade ? getCommitLog(target.ref, localFull) : getCommitLog(localFull, target.ref);
   if (commitLog) {
     log("");
-    info("Incoming commits:");
+    info(downgrade ? "Commits removed:" : "Incoming commits:");
     commitLog.split("\n").forEach((l) => info(`    ${l}`));
   }
 
@@ -233,25 +885,64 @@ async function main() {
     process.exit(0);
   }
 
-  /* ── 7. Pull ─────────────────────────────────────────────────── */
-  step(`Pulling latest code from ${remote}/${targetBranch} …`);
-  log("");
+  /* ── 7. Pull / check out the release ────────────────────────── */
+  const attempt = {
+    method : "git",
+    channel: CHANNEL,
+    branch : target.version ? null : BRANCH,
+    version: target.version?.tag ?? null,
+    from   : localFull,
+  };
 
-  const pullCode = runVisible("git", ["pull", remote, targetBranch]);
+  let pullCode;
+  if (target.version) {
+    step(`Checking out release ${target.label} …`);
+    log("");
+    pullCode = checkOutVersion(target.version);
+  } else {
+    step(`Pulling latest code from ${target.label} …`);
+    log("");
+    pullCode = runVisible("git", ["pull", remote, BRANCH]);
+  }
 
   if (pullCode !== 0) {
     log("");
-    fail(`git pull failed (exit code ${pullCode})`);
+    const what = target.version ? "release checkout" : "git pull";
+    fail(`${what} failed (exit code ${pullCode})`);
+    recordAttempt({ ...attempt, to: null, status: "pull-failed", reason: `${what} exit code ${pullCode}` });
     info("Possible causes:");
     info("  • You have local uncommitted changes");
     info("    Fix: git stash  then run updater again");
-    info("  • Merge conflict — resolve manually then pull again");
+    if (!target.version) info("  • Merge conflict — resolve manually then pull again");
     process.exit(1);
   }
 
   log("");
   ok("Code updated successfully.");
 
+  const pulledFull = getLocalCommitFull();
+
+  /** Undo the update, log the attempt and exit non-zero. */
+  const abandon = (status, reason, pkgChanged, output = []) => {
+    const restored = rollBack(localCommit, () => run(`git reset --hard ${localFull}`), pkgChanged);
+    recordAttempt({
+      ...attempt,
+      to    : pulledFull,
+      status: restored ? status : "rollback-failed",
+      reason,
+      output,
+    });
+    log("");
+    if (restored) {
+      fail(`Update to ${pulledFull.slice(0, 7)} rolled back (${reason}). Still running ${localCommit}.`);
+    } else {
+      fail(`Update to ${pulledFull.slice(0, 7)} failed (${reason}) and could not be fully rolled back — fix by hand:`);
+      info(`  git reset --hard ${localFull} && npm install`);
+    }
+    log("");
+    process.exit(1);
+  };
+
   /* ── 8. Reinstall dependencies if package.json changed ──────── */
   const pkgChanged = isPackageJsonChanged(changed);
 
@@ -263,23 +954,33 @@ async function main() {
 
     if (installCode !== 0) {
       log("");
-      fail("npm install failed — run it manually to resolve.");
-      process.exit(1);
+      fail("npm install failed.");
+      abandon("rolled-back", `npm install exit code ${installCode}`, pkgChanged);
     }
 
     log("");
     ok("Dependencies reinstalled.");
   }
 
-  /* ── 9. Summary ──────────────────────────────────────────────── */
+  /* ── 9. Smoke check the new version ──────────────────────────── */
+  step("Running the post-update smoke check …");
+  const smoke = runSmokeCheck();
+  if (!smoke.passed) {
+    fail("The new version failed its smoke check.");
+    abandon("rolled-back", "smoke check failed", pkgChanged, smoke.output);
+  }
+
+  recordAttempt({ ...attempt, to: pulledFull, status: "updated", reason: null, output: smoke.output });
+
+  /* ── 10. Summary ─────────────────────────────────────────────── */
   const newCommit = getLocalCommit();
 
   log("");
   log("═══════════════════════════════════════════════════════");
   log("  Update Complete");
   log("═══════════════════════════════════════════════════════");
-  info(`Was  : ${localCommit}`);
-  info(`Now  : ${newCommit}`);
+  info(`Was  : ${installed?.tag ?? localCommit}`);
+  info(`Now  : ${target.version?.tag ?? newCommit}`);
   info(`Files: ${changed.length} updated`);
   if (pkgChanged) info("Deps : reinstalled");
   log("");
@@ -288,7 +989,43 @@ async function main() {
   log("");
 }
 
-main().catch((err) => {
+/* ================================================================== */
+/*  Types                                                               */
+/* ================================================================== */
+
+/**
+ * @typedef {object} Version
+ * @property {string}      tag    – as tagged, e.g. "v1.4.2"
+ * @property {number}      major
+ * @property {number}      minor
+ * @property {number}      patch
+ * @property {string|null} pre    – "rc.1" for "v1.5.0-rc.1", null for a release
+ */
+
+/**
+ * @typedef {object} UpdateTarget
+ * @property {string}       label   – "v1.4.2" or "origin/main"
+ * @property {string}       ref     – what git resolves: "refs/tags/v1.4.2" or "origin/main"
+ * @property {Version|null} version – null when following the beta branch
+ * @property {boolean}      pinned  – UPDATE_PIN_VERSION / --pin chose it
+ */
+
+/**
+ * @typedef {object} UpdateAttempt
+ * @property {"git"|"archive"} method
+ * @property {"stable"|"beta"} channel
+ * @property {string|null} branch   – branch followed (null for a release)
+ * @property {string|null} version  – release moved to (null for a branch)
+ * @property {string|null} from     – commit before the update (full hash), or the
+ *                                    installed archive release (null if unknown)
+ * @property {string|null} to       – commit pulled or release installed (null
+ *                                    when the pull / download failed)
+ * @property {"updated"|"pull-failed"|"download-failed"|"rolled-back"|"rollback-failed"} status
+ * @property {string|null} reason
+ * @property {string[]}    [output] – smoke check output
+ */
+
+withRunId(newRunId(), main).catch((err) => {
   fail(`Unhandled error: ${err.message}`);
   process.exit(1);
 });
\ No newline at end of file